@@ -0,0 +1,47 @@
+require('dotenv').config({ path: process.env.CONFIG_PATH || '.env' });
+
+const path = require('path');
+const CryptoService = require('../src/crypto-service');
+const { reencryptSupabaseColumns } = require('../src/crypto-rotation');
+
+const USO = 'Uso: node scripts/crypto-reencrypt.js <tabela> <coluna1,coluna2> [--id=id] [--aad-column=id] ' +
+  '[--schema=./schema.js] [--batch=500] [--dry-run]';
+
+// Migra as colunas para ENCRYPTION_ACTIVE_KEY_ID (mantenha as chaves antigas em ENCRYPTION_KEYS até terminar).
+// Colunas com aad precisam do mesmo aad usado pelo serviço: --aad-column=id equivale a `aad: true` no schema.
+// --schema carrega o módulo que exporta o schema do CryptoService; colunas com aad nele exigem --aad-column.
+const [table, columnsArg] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+const flags = Object.fromEntries(
+  process.argv.slice(2)
+    .filter((a) => a.startsWith('--'))
+    .map((a) => {
+      const [k, v] = a.slice(2).split('=');
+      return [k, v === undefined ? true : v];
+    })
+);
+
+if (!table || !columnsArg) {
+  console.error(USO);
+  process.exit(1);
+}
+
+const schema = flags.schema ? require(path.resolve(flags.schema)) : undefined;
+
+reencryptSupabaseColumns({
+  table,
+  columns: columnsArg.split(',').map((c) => c.trim()).filter(Boolean),
+  idColumn: flags.id || 'id',
+  aadColumn: flags['aad-column'] || undefined,
+  cryptoService: schema ? new CryptoService({ schema: schema.schema || schema }) : undefined,
+  batchSize: Number(flags.batch) || 500,
+  dryRun: Boolean(flags['dry-run']),
+  onBatch: (r) => console.log(`… ${r.scanned} lidas, ${r.updated} migradas, ${r.failed} falhas (último id: ${r.lastId})`)
+})
+  .then((resumo) => {
+    console.log(JSON.stringify(resumo, null, 2));
+    process.exit(resumo.failed > 0 ? 2 : 0);
+  })
+  .catch((error) => {
+    console.error('❌ Falha na re-criptografia:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,25 @@
+require('dotenv').config({ path: process.env.CONFIG_PATH || '.env' });
+
+const path = require('path');
+const PluggyStubServer = require('../src/pluggy-stub-server');
+
+// Uso: node scripts/pluggy-stub.js [arquivo-de-fixtures] [porta]
+// Depois: PLUGGY_BASE_URL=http://127.0.0.1:<porta> node test-pluggy.js
+const fixturesFile = process.argv[2] || path.join(__dirname, '..', 'fixtures', 'pluggy', 'sandbox.json');
+const port = Number(process.argv[3] || process.env.PLUGGY_STUB_PORT || 4099);
+
+const stub = new PluggyStubServer({
+  fixturesFile,
+  port,
+  webhookUrl: process.env.PLUGGY_STUB_WEBHOOK_URL || null
+});
+
+stub.start().then((url) => {
+  console.log(`🧪 Stub da Pluggy pronto em ${url} (fixtures: ${fixturesFile})`);
+  console.log(`💡 Use PLUGGY_BASE_URL=${url} nos serviços/scripts`);
+});
+
+process.on('SIGINT', async () => {
+  await stub.stop();
+  process.exit(0);
+});
@@ -1,70 +1,510 @@
+const http = require('http');
 const https = require('https');
 
+const { stripDocument, isValidCnpj } = require('./document-utils');
+const { MemoryCacheStore } = require('./cache-store');
+const { CnpjProviderChain } = require('./cnpj-providers');
+
+// Status HTTP considerados transitórios (vale a pena tentar de novo)
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Erro tipado da BrasilAPI.
+ *
+ * - code: NOT_FOUND | INVALID_INPUT | RATE_LIMITED | UNAVAILABLE | TIMEOUT | NETWORK | INVALID_RESPONSE
+ * - status: status HTTP (0 quando não houve resposta)
+ */
+class BrasilApiError extends Error {
+  constructor(message, { code, status = 0, url = null, body = null, cause } = {}) {
+    super(message);
+    this.name = 'BrasilApiError';
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+
+  get notFound() {
+    return this.code === 'NOT_FOUND';
+  }
+
+  get retryable() {
+    return ['RATE_LIMITED', 'UNAVAILABLE', 'TIMEOUT', 'NETWORK'].includes(this.code);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function invalidInput(message) {
+  return { data: null, error: new BrasilApiError(message, { code: 'INVALID_INPUT' }) };
+}
+
+function codeFromStatus(status) {
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 400) return 'INVALID_INPUT';
+  if (status === 429) return 'RATE_LIMITED';
+  return 'UNAVAILABLE';
+}
+
+/**
+ * Converte o header Retry-After (segundos ou data HTTP) em milissegundos.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 class BrasilApiClient {
-  constructor({ cacheTtlMs = 6 * 60 * 60 * 1000 } = {}) {
+  /**
+   * @param {Object} options
+   * @param {number} options.cacheTtlMs - Validade de respostas encontradas (padrão: 6h)
+   * @param {number} options.negativeCacheTtlMs - Validade de "não encontrado" (404) (padrão: 30min)
+   * @param {number} options.timeoutMs - Timeout por requisição (padrão: 10s)
+   * @param {number} options.maxRetries - Tentativas extras em 429/5xx/rede (padrão: 2)
+   * @param {number} options.retryBaseDelayMs - Base do backoff exponencial (padrão: 500ms)
+   * @param {number} options.retryMaxDelayMs - Teto de espera entre tentativas (padrão: 5s)
+   * @param {boolean} options.returnErrors - Métodos devolvem { data, error } em vez de null (padrão: false)
+   * @param {Object} options.cache - Backend de cache (MemoryCacheStore, SupabaseCacheStore, ...)
+   * @param {number} options.cacheMaxEntries - Limite do LRU padrão em memória (padrão: 5000)
+   * @param {Array<Object|string>} options.cnpjProviders - Cadeia de provedores de CNPJ (padrão: CNPJ_PROVIDERS ou só brasilapi)
+   * @param {number} options.circuitFailureThreshold - Falhas seguidas para pular um provedor (padrão: 5)
+   * @param {number} options.circuitCooldownMs - Tempo que um provedor fica pulado (padrão: 60s)
+   * @param {number} options.batchConcurrency - Consultas simultâneas em cnpjInfoBatch (padrão: 4)
+   * @param {number} options.batchMinIntervalMs - Intervalo mínimo entre consultas não cacheadas em cnpjInfoBatch (padrão: 250ms)
+   */
+  constructor({
+    cacheTtlMs = 6 * 60 * 60 * 1000,
+    negativeCacheTtlMs = 30 * 60 * 1000,
+    timeoutMs = 10_000,
+    maxRetries = 2,
+    retryBaseDelayMs = 500,
+    retryMaxDelayMs = 5000,
+    returnErrors = false,
+    baseUrl = 'https://brasilapi.com.br/api',
+    cache = null,
+    cacheMaxEntries = 5000,
+    cnpjProviders,
+    circuitFailureThreshold = 5,
+    circuitCooldownMs = 60 * 1000,
+    batchConcurrency = 4,
+    batchMinIntervalMs = 250
+  } = {}) {
     this.cacheTtlMs = cacheTtlMs;
-    this.cache = new Map();
+    this.negativeCacheTtlMs = negativeCacheTtlMs;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.returnErrors = returnErrors;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.cache = cache || new MemoryCacheStore({ maxEntries: cacheMaxEntries, ttlMs: cacheTtlMs });
+    this.cnpjChain = new CnpjProviderChain({
+      providers: cnpjProviders,
+      failureThreshold: circuitFailureThreshold,
+      cooldownMs: circuitCooldownMs
+    });
+    this.batchConcurrency = batchConcurrency;
+    this.batchMinIntervalMs = batchMinIntervalMs;
+    this.inflight = new Map();
+  }
+
+  /**
+   * Dados do CNPJ na BrasilAPI. Aceita CNPJ com ou sem máscara; números
+   * com dígito verificador inválido não geram chamada à API.
+   *
+   * Por padrão devolve os dados ou null (qualquer falha). Com
+   * `returnErrors: true` (no construtor ou na chamada) devolve
+   * `{ data, error }`, onde error é um BrasilApiError com `code`
+   * (NOT_FOUND, RATE_LIMITED, UNAVAILABLE, ...).
+   */
+  async cnpjInfo(cnpj, { returnErrors = this.returnErrors } = {}) {
+    const result = await this._cnpjLookup(cnpj);
+    return returnErrors ? result : result.data;
+  }
+
+  /**
+   * Enriquecimento em lote: remove duplicados, limita consultas simultâneas e
+   * espaça as chamadas que não estão em cache (evita estourar rate limit).
+   *
+   * @param {string[]} cnpjs - CNPJs com ou sem máscara (duplicados são consultados uma vez)
+   * @param {Object} options
+   * @param {number} options.concurrency - Consultas simultâneas (padrão: batchConcurrency)
+   * @param {number} options.minIntervalMs - Intervalo mínimo entre consultas à API (padrão: batchMinIntervalMs)
+   * @param {Function} options.onProgress - ({ done, total, cnpj }) => void
+   * @returns {Promise<Map<string, { data: Object|null, error: BrasilApiError|null }>>}
+   *   Chave = CNPJ só com dígitos (entradas inválidas usam o valor original, com error.code = INVALID_INPUT)
+   */
+  async cnpjInfoBatch(cnpjs = [], {
+    concurrency = this.batchConcurrency,
+    minIntervalMs = this.batchMinIntervalMs,
+    onProgress
+  } = {}) {
+    const results = new Map();
+    const vistos = new Set();
+    const unicos = [];
+
+    for (const valor of cnpjs || []) {
+      const cnpj = stripDocument(valor);
+      if (!isValidCnpj(cnpj)) {
+        results.set(String(valor), invalidInput(`CNPJ inválido: ${valor}`));
+      } else if (!vistos.has(cnpj)) {
+        vistos.add(cnpj);
+        unicos.push(cnpj);
+      }
+    }
+
+    // Próximo horário liberado para uma consulta à API (compartilhado entre os workers)
+    let proximaVez = 0;
+    const aguardarVez = async () => {
+      const agora = Date.now();
+      const minhaVez = Math.max(agora, proximaVez);
+      proximaVez = minhaVez + minIntervalMs;
+      if (minhaVez > agora) await sleep(minhaVez - agora);
+    };
+
+    let proximo = 0;
+    let feitos = 0;
+    const worker = async () => {
+      while (proximo < unicos.length) {
+        const cnpj = unicos[proximo];
+        proximo += 1;
+
+        results.set(cnpj, await this._cnpjLookup(cnpj, { beforeRequest: aguardarVez }));
+        feitos += 1;
+        if (onProgress) onProgress({ done: feitos, total: unicos.length, cnpj });
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, unicos.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return results;
   }
 
-  async cnpjInfo(cnpj) {
-    if (!cnpj || cnpj.length !== 14) return null;
+  /**
+   * Consultas simultâneas do mesmo CNPJ compartilham a mesma promise.
+   */
+  async _cnpjLookup(valor, { beforeRequest } = {}) {
+    const cnpj = stripDocument(valor);
+    if (!isValidCnpj(cnpj)) {
+      return invalidInput(`CNPJ inválido: ${valor}`);
+    }
+
+    if (this.inflight.has(cnpj)) {
+      return this.inflight.get(cnpj);
+    }
+
+    const promise = this._cached(`cnpj:${cnpj}`, async () => {
+      if (beforeRequest) await beforeRequest();
+      return this.cnpjChain.lookup(cnpj, this._providerContext());
+    }).finally(() => this.inflight.delete(cnpj));
 
-    const cached = this.cache.get(cnpj);
-    if (cached && cached.expires > Date.now()) return cached.data;
+    this.inflight.set(cnpj, promise);
+    return promise;
+  }
 
-    const url = `https://brasilapi.com.br/api/cnpj/v1/${cnpj}`;
+  /**
+   * Adiciona um provedor de CNPJ à cadeia (ex: base interna ou mock local).
+   * @param {Object|string} provider - { name, lookup(cnpj, ctx) } (ver cnpj-providers.js)
+   * @param {Object} options
+   * @param {number} options.position - Índice na cadeia (0 = consultado primeiro)
+   */
+  registerCnpjProvider(provider, options = {}) {
+    this.cnpjChain.register(provider, options);
+    return this;
+  }
+
+  /**
+   * Saúde dos provedores de CNPJ: estado do circuito, sucessos, falhas e latência.
+   */
+  cnpjProviderHealth() {
+    return this.cnpjChain.health();
+  }
+
+  _providerContext() {
+    return {
+      baseUrl: this.baseUrl,
+      requestJson: (url) => this._requestJson(url),
+      error: (message, options = {}) => new BrasilApiError(message, options)
+    };
+  }
+
+  /**
+   * Lista de bancos (COMPE + ISPB). Cacheada por 24h.
+   *
+   * @typedef {Object} Bank
+   * @property {string|null} code - Código COMPE com 3 dígitos (ex: '001'); null para instituições só com ISPB
+   * @property {string} ispb - ISPB com 8 dígitos (ex: '00000000')
+   * @property {string} name - Nome curto
+   * @property {string|null} fullName - Razão social
+   *
+   * @returns {Promise<Bank[]|null>} (ou { data, error } com returnErrors)
+   */
+  async listBanks({ returnErrors = this.returnErrors } = {}) {
+    const result = await this._banksLookup();
+    return returnErrors ? result : result.data;
+  }
+
+  _banksLookup() {
+    return this._lookup('banks:all', '/banks/v1', (raw) => {
+      if (!Array.isArray(raw)) {
+        throw new BrasilApiError('Lista de bancos inválida', { code: 'INVALID_RESPONSE' });
+      }
+      return raw.map((b) => ({
+        code: b.code === null || b.code === undefined ? null : String(b.code).padStart(3, '0'),
+        ispb: String(b.ispb || '').padStart(8, '0'),
+        name: b.name || null,
+        fullName: b.fullName || null
+      }));
+    }, { ttlMs: DAY_MS });
+  }
+
+  /**
+   * Banco pelo código COMPE (1-3 dígitos, ex: '341' ou 1) ou ISPB (8 dígitos).
+   * Usa a lista cacheada, então várias consultas custam uma chamada à API.
+   *
+   * @returns {Promise<Bank|null>} (ou { data, error } com returnErrors; error.code = NOT_FOUND se não existe)
+   */
+  async getBank(codeOrIspb, { returnErrors = this.returnErrors } = {}) {
+    const digitos = String(codeOrIspb ?? '').replace(/\D/g, '');
+    let result;
+
+    if (!digitos || (digitos.length > 3 && digitos.length !== 8)) {
+      result = invalidInput(`Código de banco/ISPB inválido: ${codeOrIspb}`);
+    } else {
+      const lista = await this._banksLookup();
+      if (lista.error) {
+        result = lista;
+      } else {
+        const bank = digitos.length === 8
+          ? lista.data.find((b) => b.ispb === digitos)
+          : lista.data.find((b) => b.code === digitos.padStart(3, '0'));
+        result = bank
+          ? { data: bank, error: null }
+          : { data: null, error: new BrasilApiError(`Banco ${codeOrIspb} não encontrado`, { code: 'NOT_FOUND', status: 404 }) };
+      }
+    }
+
+    return returnErrors ? result : result.data;
+  }
+
+  /**
+   * Endereço de um CEP (com ou sem máscara).
+   *
+   * @typedef {Object} CepInfo
+   * @property {string} cep - 8 dígitos
+   * @property {string} state - UF
+   * @property {string} city
+   * @property {string|null} neighborhood
+   * @property {string|null} street
+   * @property {{ latitude: number, longitude: number }|null} location
+   *
+   * @returns {Promise<CepInfo|null>} (ou { data, error } com returnErrors)
+   */
+  async cepInfo(cep, { returnErrors = this.returnErrors } = {}) {
+    const digitos = String(cep ?? '').replace(/\D/g, '');
+    const result = digitos.length !== 8
+      ? invalidInput(`CEP inválido: ${cep}`)
+      : await this._lookup(`cep:${digitos}`, `/cep/v2/${digitos}`, (raw) => {
+          const coords = raw.location?.coordinates;
+          const latitude = parseFloat(coords?.latitude);
+          const longitude = parseFloat(coords?.longitude);
+          return {
+            cep: digitos,
+            state: raw.state || null,
+            city: raw.city || null,
+            neighborhood: raw.neighborhood || null,
+            street: raw.street || null,
+            location: Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null
+          };
+        });
+
+    return returnErrors ? result : result.data;
+  }
+
+  /**
+   * Feriados nacionais do ano. Cacheados por 24h.
+   *
+   * @typedef {Object} Holiday
+   * @property {string} date - YYYY-MM-DD
+   * @property {string} name
+   * @property {string} type - 'national'
+   *
+   * @returns {Promise<Holiday[]|null>} (ou { data, error } com returnErrors)
+   */
+  async holidays(year, { returnErrors = this.returnErrors } = {}) {
+    const ano = Number(year);
+    const result = !Number.isInteger(ano) || ano < 1900 || ano > 2199
+      ? invalidInput(`Ano inválido para feriados: ${year}`)
+      : await this._lookup(`holidays:${ano}`, `/feriados/v1/${ano}`, (raw) => {
+          if (!Array.isArray(raw)) {
+            throw new BrasilApiError(`Lista de feriados inválida para ${ano}`, { code: 'INVALID_RESPONSE' });
+          }
+          return raw.map((h) => ({ date: h.date, name: h.name || null, type: h.type || 'national' }));
+        }, { ttlMs: DAY_MS });
+
+    return returnErrors ? result : result.data;
+  }
+
+  /**
+   * Consulta com cache (positivo e negativo) e erro tipado.
+   * @returns {Promise<{ data: any, error: BrasilApiError|null }>}
+   */
+  _lookup(cacheKey, path, transform, { ttlMs } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    return this._cached(cacheKey, async () => transform(await this._requestJson(url)), { ttlMs });
+  }
+
+  /**
+   * Executa `loader` com cache positivo/negativo; erros viram { data: null, error }.
+   * @returns {Promise<{ data: any, error: BrasilApiError|null }>}
+   */
+  async _cached(cacheKey, loader, { ttlMs = this.cacheTtlMs } = {}) {
+    const cached = await this.cache.get(cacheKey);
+    if (cached) {
+      return cached.notFound
+        ? { data: null, error: new BrasilApiError(`${cacheKey} não encontrado (cache)`, { code: 'NOT_FOUND', status: 404 }) }
+        : { data: cached.data, error: null };
+    }
 
     try {
-      const raw = await this._fetchJson(url);
-      if (!raw) return null;
-
-      const secondaryCnaes = Array.isArray(raw.cnaes_secundarios)
-        ? raw.cnaes_secundarios
-            .map((item) => ({
-              code: (item.codigo || '').toString(),
-              description: item.descricao || null
-            }))
-            .filter((c) => c.code && c.description)
-        : [];
-
-      // A BrasilAPI usa os campos `nome_fantasia` e `razao_social`.
-      // Os campos `trade_name` / `company_name` não existem na resposta.
-      const tradeName = raw.nome_fantasia || raw.razao_social || null;
-
-      const data = {
-        cnpj,
-        trade_name: tradeName,
-        cnae: (raw.cnae_fiscal || '').toString(),
-        cnae_desc: raw.cnae_fiscal_descricao || null,
-        secondary_cnaes: secondaryCnaes
+      const data = await loader();
+
+      await this.cache.set(cacheKey, { data }, { ttlMs });
+      return { data, error: null };
+    } catch (error) {
+      // "Não existe" é estável: cache curto evita reconsultar o mesmo recurso
+      if (error instanceof BrasilApiError && error.notFound) {
+        await this.cache.set(cacheKey, { data: null, notFound: true }, { ttlMs: this.negativeCacheTtlMs });
+      }
+      return {
+        data: null,
+        error: error instanceof BrasilApiError
+          ? error
+          : new BrasilApiError(error.message || String(error), { code: 'INVALID_RESPONSE', cause: error })
       };
+    }
+  }
+
+  /**
+   * Hits/misses do cache de consultas.
+   */
+  cacheStats() {
+    return this.cache.stats();
+  }
 
-      this.cache.set(cnpj, { data, expires: Date.now() + this.cacheTtlMs });
-      return data;
-    } catch {
-      return null;
+  /**
+   * Espera antes da próxima tentativa: Retry-After quando presente,
+   * senão backoff exponencial com jitter.
+   */
+  _retryDelay(attempt, retryAfterMs = null) {
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.retryMaxDelayMs);
     }
+    const teto = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * teto);
   }
 
-  _fetchJson(url) {
+  /**
+   * GET com retries em 429/5xx/timeout/rede.
+   * @returns {Promise<Object>} Corpo JSON de uma resposta 2xx
+   * @throws {BrasilApiError}
+   */
+  async _requestJson(url) {
+    let attempt = 0;
+
+    for (;;) {
+      let error;
+
+      try {
+        const { status, headers, body } = await this._fetchJson(url);
+
+        if (status >= 200 && status < 300) {
+          if (body === null || typeof body !== 'object') {
+            throw new BrasilApiError(`Resposta inválida da BrasilAPI para ${url}`, { code: 'INVALID_RESPONSE', status, url, body });
+          }
+          return body;
+        }
+
+        error = new BrasilApiError(`BrasilAPI respondeu ${status} para ${url}`, {
+          code: codeFromStatus(status),
+          status,
+          url,
+          body
+        });
+        error.retryAfterMs = parseRetryAfter(headers['retry-after']);
+      } catch (e) {
+        error = e;
+      }
+
+      const retryable = error instanceof BrasilApiError && error.retryable && RETRYABLE_STATUS.concat(0).includes(error.status);
+      if (!retryable || attempt >= this.maxRetries) {
+        throw error;
+      }
+
+      await sleep(this._retryDelay(attempt, error.retryAfterMs ?? null));
+      attempt += 1;
+    }
+  }
+
+  /**
+   * GET simples com timeout. O prazo vale para a requisição inteira, da
+   * conexão ao fim do corpo: um servidor que manda os headers e trava no
+   * meio do corpo também dá TIMEOUT.
+   * @returns {Promise<{status: number, headers: Object, body: any}>}
+   */
+  _fetchJson(url, { timeoutMs = this.timeoutMs } = {}) {
     return new Promise((resolve, reject) => {
-      https
-        .get(url, (res) => {
-          let buf = '';
-          res.on('data', (d) => {
-            buf += d;
-          });
-          res.on('end', () => {
+      let timer = null;
+      let encerrado = false;
+      const concluir = (fn, valor) => {
+        if (encerrado) return;
+        encerrado = true;
+        clearTimeout(timer);
+        fn(valor);
+      };
+      const falhaDeRede = (e) => concluir(reject, e instanceof BrasilApiError ? e : new BrasilApiError(e.message, { code: 'NETWORK', url, cause: e }));
+
+      const transport = url.startsWith('http:') ? http : https;
+      const req = transport.get(url, { headers: { Accept: 'application/json', 'User-Agent': 'enfinia-shared' } }, (res) => {
+        let buf = '';
+        res.on('data', (d) => {
+          buf += d;
+        });
+        res.on('end', () => {
+          let body = null;
+          if (buf) {
             try {
-              resolve(JSON.parse(buf));
-            } catch (e) {
-              reject(e);
+              body = JSON.parse(buf);
+            } catch {
+              body = buf;
             }
-          });
-        })
-        .on('error', reject);
+          }
+          concluir(resolve, { status: res.statusCode, headers: res.headers, body });
+        });
+        res.on('error', falhaDeRede);
+      });
+
+      timer = setTimeout(() => {
+        const erro = new BrasilApiError(`Timeout após ${timeoutMs}ms em ${url}`, { code: 'TIMEOUT', url });
+        concluir(reject, erro);
+        req.destroy(erro);
+      }, timeoutMs);
+
+      req.on('error', falhaDeRede);
     });
   }
 }
 
 module.exports = BrasilApiClient;
+module.exports.BrasilApiError = BrasilApiError;
@@ -0,0 +1,184 @@
+const Logger = require('./logger');
+const BrasilApiClient = require('./brasilapi-client');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converte Date ou 'YYYY-MM-DD' (ou ISO com hora) em 'YYYY-MM-DD'.
+ * Datas são tratadas em UTC para não "voltar um dia" por fuso.
+ */
+function toIsoDate(valor) {
+  if (valor instanceof Date) {
+    if (Number.isNaN(valor.getTime())) throw new Error('Data inválida');
+    return valor.toISOString().slice(0, 10);
+  }
+
+  const texto = String(valor || '');
+  if (!/^\d{4}-\d{2}-\d{2}/.test(texto)) {
+    throw new Error(`Data inválida: ${valor} (use YYYY-MM-DD)`);
+  }
+  return texto.slice(0, 10);
+}
+
+function somarDias(isoDate, dias) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + dias * DIA_MS).toISOString().slice(0, 10);
+}
+
+function diaDaSemana(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher).
+ */
+function domingoDePascoa(ano) {
+  const a = ano % 19;
+  const b = Math.floor(ano / 100);
+  const c = ano % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const mes = Math.floor((h + l - 7 * m + 114) / 31);
+  const dia = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+}
+
+/**
+ * Feriados nacionais calculados localmente, usados quando a BrasilAPI
+ * está indisponível: datas fixas + as móveis pela Páscoa. Carnaval e
+ * Corpus Christi são ponto facultativo, mas sem expediente bancário -
+ * contam como feriado para vencimentos.
+ */
+function feriadosNacionaisLocais(ano) {
+  const fixos = ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '12-25'];
+  if (ano >= 2024) fixos.push('11-20'); // Consciência Negra (Lei 14.759/2023)
+
+  const pascoa = domingoDePascoa(ano);
+  return [
+    ...fixos.map((md) => `${ano}-${md}`),
+    somarDias(pascoa, -48), // Carnaval (segunda)
+    somarDias(pascoa, -47), // Carnaval (terça)
+    somarDias(pascoa, -2), // Sexta-feira Santa
+    somarDias(pascoa, 60) // Corpus Christi
+  ];
+}
+
+/**
+ * Calendário de dias úteis (fins de semana + feriados nacionais da BrasilAPI).
+ *
+ * Usado para vencimentos: boleto/fatura que vence em feriado ou fim de
+ * semana pode ser pago no próximo dia útil (`rollForward`).
+ *
+ * Todas as datas entram e saem como 'YYYY-MM-DD'.
+ */
+class BusinessCalendar {
+  /**
+   * @param {Object} options
+   * @param {BrasilApiClient} options.brasilApi - Client usado para buscar feriados
+   * @param {string[]} options.extraHolidays - Feriados adicionais (ex: municipais) em YYYY-MM-DD
+   * @param {number[]} options.weekendDays - Dias não úteis da semana (0 = domingo; padrão: [0, 6])
+   * @param {number} options.fallbackRetryMs - Quanto tempo usar o calendário local antes de tentar a API de novo (padrão: 10min)
+   */
+  constructor({ brasilApi, extraHolidays = [], weekendDays = [0, 6], fallbackRetryMs = 10 * 60 * 1000 } = {}) {
+    this.brasilApi = brasilApi || new BrasilApiClient();
+    this.extraHolidays = new Set(extraHolidays.map(toIsoDate));
+    this.weekendDays = new Set(weekendDays);
+    this.fallbackRetryMs = fallbackRetryMs;
+    this.porAno = new Map();
+  }
+
+  /**
+   * Feriados do ano (BrasilAPI, com fallback local) + extraHolidays.
+   * @returns {Promise<Set<string>>}
+   */
+  async holidaysFor(year) {
+    const cached = this.porAno.get(year);
+    if (cached && cached.expires > Date.now()) return cached.feriados;
+
+    let datas;
+    const { data, error } = await this.brasilApi.holidays(year, { returnErrors: true });
+    if (data) {
+      datas = data.map((h) => h.date);
+    } else {
+      Logger.warn(`⚠️ Feriados de ${year} indisponíveis na BrasilAPI (${error?.code}), usando calendário local`);
+      datas = feriadosNacionaisLocais(year);
+    }
+
+    const feriados = new Set(datas);
+    for (const extra of this.extraHolidays) {
+      if (extra.startsWith(`${year}-`)) feriados.add(extra);
+    }
+
+    // Fallback fica em cache só por fallbackRetryMs; depois tenta a API de novo
+    this.porAno.set(year, { feriados, expires: data ? Infinity : Date.now() + this.fallbackRetryMs });
+    return feriados;
+  }
+
+  async isHoliday(date) {
+    const iso = toIsoDate(date);
+    const feriados = await this.holidaysFor(Number(iso.slice(0, 4)));
+    return feriados.has(iso);
+  }
+
+  async isBusinessDay(date) {
+    const iso = toIsoDate(date);
+    if (this.weekendDays.has(diaDaSemana(iso))) return false;
+    return !(await this.isHoliday(iso));
+  }
+
+  /**
+   * A própria data se for dia útil; senão o próximo dia útil.
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async rollForward(date) {
+    let iso = toIsoDate(date);
+    while (!(await this.isBusinessDay(iso))) {
+      iso = somarDias(iso, 1);
+    }
+    return iso;
+  }
+
+  /**
+   * Soma (ou subtrai, se negativo) dias úteis a uma data.
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async addBusinessDays(date, days) {
+    let iso = toIsoDate(date);
+    const passo = days < 0 ? -1 : 1;
+    let restantes = Math.abs(Math.trunc(days));
+
+    while (restantes > 0) {
+      iso = somarDias(iso, passo);
+      if (await this.isBusinessDay(iso)) restantes -= 1;
+    }
+    return iso;
+  }
+
+  /**
+   * Dias úteis no intervalo (from, to]: exclui o dia inicial e inclui o final,
+   * como em "quantos dias úteis faltam até o vencimento".
+   * Negativo quando `to` é anterior a `from`.
+   * @returns {Promise<number>}
+   */
+  async countBusinessDays(from, to) {
+    const inicio = toIsoDate(from);
+    const fim = toIsoDate(to);
+    if (inicio === fim) return 0;
+    if (fim < inicio) return -(await this.countBusinessDays(fim, inicio));
+
+    let total = 0;
+    for (let iso = somarDias(inicio, 1); iso <= fim; iso = somarDias(iso, 1)) {
+      if (await this.isBusinessDay(iso)) total += 1;
+    }
+    return total;
+  }
+}
+
+module.exports = BusinessCalendar;
+module.exports.toIsoDate = toIsoDate;
@@ -0,0 +1,228 @@
+const Logger = require('./logger');
+const { supabase: sharedSupabase } = require('../lib/supabase-client');
+
+/**
+ * Cache compartilhado com backends plugáveis.
+ *
+ * Todo backend implementa a mesma interface assíncrona:
+ * - get(key) → valor ou undefined (expirado/ausente)
+ * - set(key, value, { ttlMs })
+ * - delete(key), clear()
+ * - stats() → { hits, misses, sets, evictions, hitRate, ... }
+ *
+ * Backends:
+ * - MemoryCacheStore: LRU em memória com limite de entradas e TTL
+ * - SupabaseCacheStore: persistente em tabela do Supabase (sobrevive a restart)
+ */
+
+class CacheStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.hits = 0;
+    this.misses = 0;
+    this.sets = 0;
+    this.evictions = 0;
+    this.errors = 0;
+  }
+
+  snapshot(extra = {}) {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      sets: this.sets,
+      evictions: this.evictions,
+      errors: this.errors,
+      hitRate: total ? this.hits / total : 0,
+      ...extra
+    };
+  }
+}
+
+/**
+ * LRU em memória. A ordem de inserção do Map é a ordem de uso:
+ * cada leitura reinsere a chave no fim, e o primeiro item é o menos usado.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Limite de entradas (padrão: 1000)
+   * @param {number} options.ttlMs - TTL padrão (padrão: 1h; null = sem expiração)
+   */
+  constructor({ maxEntries = 1000, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this._stats = new CacheStats();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this._stats.misses += 1;
+      return undefined;
+    }
+
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      this._stats.misses += 1;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this._stats.hits += 1;
+    return entry.value;
+  }
+
+  async set(key, value, { ttlMs = this.ttlMs } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: ttlMs ? Date.now() + ttlMs : null });
+    this._stats.sets += 1;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this._stats.evictions += 1;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    return this._stats.snapshot({ size: this.entries.size, maxEntries: this.maxEntries });
+  }
+}
+
+/**
+ * Cache persistente em tabela do Supabase.
+ *
+ * Tabela esperada (nome configurável):
+ * - cache_entries: namespace text, key text, value jsonb, expires_at timestamptz,
+ *   updated_at timestamptz; UNIQUE(namespace, key)
+ *
+ * Falhas do banco nunca quebram o chamador: viram miss (get) ou são
+ * apenas logadas (set/delete).
+ */
+class SupabaseCacheStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Client Supabase (padrão: compartilhado)
+   * @param {string} options.table - Tabela (padrão: cache_entries)
+   * @param {string} options.namespace - Separa caches diferentes na mesma tabela
+   * @param {number} options.ttlMs - TTL padrão (padrão: 24h; null = sem expiração)
+   */
+  constructor({ supabase, table = 'cache_entries', namespace = 'default', ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.supabase = supabase || sharedSupabase;
+    this.table = table;
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this._stats = new CacheStats();
+
+    if (!this.supabase) {
+      throw new Error('Supabase não configurado - SupabaseCacheStore indisponível');
+    }
+  }
+
+  async get(key) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.table)
+        .select('value, expires_at')
+        .eq('namespace', this.namespace)
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!data || (data.expires_at && new Date(data.expires_at).getTime() <= Date.now())) {
+        this._stats.misses += 1;
+        return undefined;
+      }
+
+      this._stats.hits += 1;
+      return data.value;
+    } catch (error) {
+      this._stats.errors += 1;
+      this._stats.misses += 1;
+      Logger.warn(`⚠️ SupabaseCacheStore.get falhou (${this.namespace}/${key}): ${error.message || error}`);
+      return undefined;
+    }
+  }
+
+  async set(key, value, { ttlMs = this.ttlMs } = {}) {
+    const agora = Date.now();
+    try {
+      const { error } = await this.supabase
+        .from(this.table)
+        .upsert({
+          namespace: this.namespace,
+          key,
+          value,
+          expires_at: ttlMs ? new Date(agora + ttlMs).toISOString() : null,
+          updated_at: new Date(agora).toISOString()
+        }, { onConflict: 'namespace,key' });
+
+      if (error) throw error;
+      this._stats.sets += 1;
+    } catch (error) {
+      this._stats.errors += 1;
+      Logger.warn(`⚠️ SupabaseCacheStore.set falhou (${this.namespace}/${key}): ${error.message || error}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      const { error } = await this.supabase
+        .from(this.table)
+        .delete()
+        .eq('namespace', this.namespace)
+        .eq('key', key);
+
+      if (error) throw error;
+    } catch (error) {
+      this._stats.errors += 1;
+      Logger.warn(`⚠️ SupabaseCacheStore.delete falhou (${this.namespace}/${key}): ${error.message || error}`);
+    }
+  }
+
+  async clear() {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('namespace', this.namespace);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Remove entradas expiradas do namespace (rodar periodicamente, ex: cron).
+   * @returns {Promise<void>}
+   */
+  async purgeExpired() {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('namespace', this.namespace)
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+  }
+
+  stats() {
+    return this._stats.snapshot({ namespace: this.namespace });
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  SupabaseCacheStore
+};
@@ -0,0 +1,188 @@
+const AppVars = require('./variables');
+const { resolveCategoryIndex } = require('./variables');
+
+/**
+ * Categorização de empresas pelo CNAE (dados do BrasilApiClient.cnpjInfo).
+ *
+ * Cada categoria candidata soma pontos conforme AppVars.categorizacao.pesosScore:
+ * - cnaePrimario: CNAE principal mapeado em cnaeCategorias
+ * - cnaeSecundario: algum CNAE secundário mapeado para a mesma categoria
+ * - nomeFantasia: nome fantasia contém termo de AppVars.padroes da categoria
+ * - matchHistorico: categoria já usada pelo usuário para esse estabelecimento
+ * - matchPadroesDescricao: descrição da transação contém termo da categoria
+ *
+ * O score (máx. 100) define a faixa em limitesScore e a confiança em
+ * confiancaPorScore. Abaixo de precisaoMinima a categoria é só sugestão e
+ * o usuário deve confirmar (`askUser: true`).
+ */
+
+function semAcento(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Nomes fantasia costumam vir em caixa alta e sem acento ("DROGARIA SAO PAULO")
+function contemTermo(texto, termo) {
+  const t = semAcento(termo).replace(/\*/g, '').trim();
+  if (!t || !texto) return false;
+  return new RegExp(`(^|[^a-z0-9])${escaparRegex(t)}($|[^a-z0-9])`).test(semAcento(texto));
+}
+
+function somenteDigitos(valor) {
+  return String(valor || '').replace(/\D/g, '');
+}
+
+function formatarCnae(codigo) {
+  const c = somenteDigitos(codigo);
+  return c.length === 7 ? c.replace(/^(\d{4})(\d)(\d{2})$/, '$1-$2/$3') : c;
+}
+
+/**
+ * Busca a categoria Enfinia de um código CNAE (com ou sem máscara).
+ * Vence o prefixo mais longo cadastrado em AppVars.categorizacao.cnaeCategorias.
+ *
+ * @param {string|number} cnae - Ex: '4711302' ou '4711-3/02'
+ * @returns {{ prefixo: string, categoria: string, subcategoria: string|null }|null}
+ */
+function findCnaeCategory(cnae) {
+  const codigo = somenteDigitos(cnae);
+  if (!codigo) return null;
+
+  const tabela = AppVars.categorizacao.cnaeCategorias || {};
+  for (let tamanho = codigo.length; tamanho >= 2; tamanho -= 1) {
+    const prefixo = codigo.slice(0, tamanho);
+    if (tabela[prefixo]) {
+      return { prefixo, categoria: tabela[prefixo].categoria, subcategoria: tabela[prefixo].subcategoria || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Faixa e confiança para um score, conforme limitesScore / confiancaPorScore.
+ * @returns {{ band: 'alto'|'medio'|'baixo', confidence: number }}
+ */
+function scoreToConfidence(score) {
+  const cfg = AppVars.categorizacao;
+  const band = score >= cfg.limitesScore.alto
+    ? 'alto'
+    : score >= cfg.limitesScore.medio ? 'medio' : 'baixo';
+  return { band, confidence: cfg.confiancaPorScore[band] };
+}
+
+function termoEncontrado(texto, categoria) {
+  const termos = AppVars.padroes.SAIDA[categoria] || AppVars.padroes.ENTRADA[categoria] || [];
+  let melhor = null;
+  for (const termo of termos) {
+    if (contemTermo(texto, termo) && (!melhor || termo.length > melhor.length)) {
+      melhor = termo;
+    }
+  }
+  return melhor;
+}
+
+/**
+ * Calcula a categoria mais provável de uma empresa.
+ *
+ * @param {Object} empresa - Saída de BrasilApiClient.cnpjInfo
+ *   ({ cnae, cnae_desc, secondary_cnaes: [{ code, description }], trade_name })
+ * @param {Object} options
+ * @param {string} options.description - Descrição da transação (bônus matchPadroesDescricao)
+ * @param {string} options.historyCategory - Categoria usada antes para esse CNPJ (bônus matchHistorico)
+ * @returns {Object|null} null quando nenhum sinal aponta categoria. Senão:
+ *   { category, categoryIndex, subcategory, score, band, confidence, askUser, explanation, candidates }
+ */
+function scoreCnaeCategory(empresa = {}, { description = null, historyCategory = null } = {}) {
+  const cfg = AppVars.categorizacao;
+  const pesos = cfg.pesosScore;
+  const candidatos = new Map();
+
+  const candidato = (categoria) => {
+    if (!candidatos.has(categoria)) {
+      candidatos.set(categoria, { category: categoria, subcategory: null, score: 0, explanation: [] });
+    }
+    return candidatos.get(categoria);
+  };
+
+  const primario = findCnaeCategory(empresa?.cnae);
+  if (primario) {
+    const c = candidato(primario.categoria);
+    c.score += pesos.cnaePrimario;
+    c.subcategory = primario.subcategoria;
+    c.explanation.push(`CNAE principal ${formatarCnae(empresa.cnae)}${empresa.cnae_desc ? ` (${empresa.cnae_desc})` : ''} → ${primario.categoria} (+${pesos.cnaePrimario})`);
+  }
+
+  const secundariosVistos = new Set();
+  for (const secundario of empresa?.secondary_cnaes || []) {
+    const match = findCnaeCategory(secundario.code);
+    if (!match || secundariosVistos.has(match.categoria)) continue;
+    secundariosVistos.add(match.categoria);
+
+    const c = candidato(match.categoria);
+    c.score += pesos.cnaeSecundario;
+    if (!c.subcategory) c.subcategory = match.subcategoria;
+    c.explanation.push(`CNAE secundário ${formatarCnae(secundario.code)}${secundario.description ? ` (${secundario.description})` : ''} → ${match.categoria} (+${pesos.cnaeSecundario})`);
+  }
+
+  // Nome fantasia e descrição: pontuam categorias já candidatas ou qualquer categoria de saída
+  const categoriasTexto = Object.keys(AppVars.padroes.SAIDA);
+
+  if (empresa?.trade_name) {
+    for (const categoria of categoriasTexto) {
+      const termo = termoEncontrado(empresa.trade_name, categoria);
+      if (!termo) continue;
+      const c = candidato(categoria);
+      c.score += pesos.nomeFantasia;
+      c.explanation.push(`Nome fantasia "${empresa.trade_name}" contém "${termo}" (+${pesos.nomeFantasia})`);
+    }
+  }
+
+  if (description) {
+    for (const categoria of categoriasTexto) {
+      const termo = termoEncontrado(description, categoria);
+      if (!termo) continue;
+      const c = candidato(categoria);
+      c.score += pesos.matchPadroesDescricao;
+      c.explanation.push(`Descrição "${description}" contém "${termo}" (+${pesos.matchPadroesDescricao})`);
+    }
+  }
+
+  if (historyCategory) {
+    const c = candidato(historyCategory);
+    c.score += pesos.matchHistorico;
+    c.explanation.push(`Categoria já usada antes para este estabelecimento (+${pesos.matchHistorico})`);
+  }
+
+  if (candidatos.size === 0) return null;
+
+  const ordenados = Array.from(candidatos.values())
+    .map((c) => ({ ...c, score: Math.min(100, c.score) }))
+    .sort((a, b) => b.score - a.score);
+
+  const melhor = ordenados[0];
+  const { band, confidence } = scoreToConfidence(melhor.score);
+
+  return {
+    category: melhor.category,
+    categoryIndex: resolveCategoryIndex(melhor.category),
+    subcategory: melhor.subcategory,
+    score: melhor.score,
+    band,
+    confidence,
+    askUser: confidence < cfg.precisaoMinima,
+    explanation: melhor.explanation,
+    candidates: ordenados.slice(0, 3).map(({ category, score }) => ({ category, score }))
+  };
+}
+
+module.exports = {
+  scoreCnaeCategory,
+  findCnaeCategory,
+  scoreToConfidence
+};
@@ -0,0 +1,314 @@
+const Logger = require('./logger');
+const { ENV } = require('./env');
+
+/**
+ * Cadeia de provedores de CNPJ usada pelo BrasilApiClient.cnpjInfo.
+ *
+ * Um provedor é um objeto `{ name, lookup(cnpj, ctx) }` que devolve o
+ * formato normalizado:
+ *   { cnpj, trade_name, cnae, cnae_desc, secondary_cnaes: [{ code, description }] }
+ *
+ * `ctx` é fornecido pelo client:
+ * - ctx.requestJson(url): GET com timeout/retries; lança erro com `code`
+ * - ctx.error(message, { code, status }): cria erro tipado (ex: NOT_FOUND)
+ * - ctx.baseUrl: base da BrasilAPI
+ *
+ * Os provedores são tentados em ordem. Cada um tem um circuit breaker:
+ * após `failureThreshold` falhas seguidas (rede, timeout, 429, 5xx) fica
+ * aberto por `cooldownMs` e é pulado; depois disso uma chamada de teste
+ * (half-open) decide se volta ao normal.
+ */
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Erros que não indicam problema no provedor (não contam para o circuito)
+const CODIGOS_SAUDAVEIS = ['NOT_FOUND', 'INVALID_INPUT'];
+
+function somenteDigitos(valor) {
+  return String(valor ?? '').replace(/\D/g, '');
+}
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 60 * 1000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenEmTeste = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return CIRCUIT_STATE.CLOSED;
+    return Date.now() - this.openedAt >= this.cooldownMs ? CIRCUIT_STATE.HALF_OPEN : CIRCUIT_STATE.OPEN;
+  }
+
+  /**
+   * Pode chamar o provedor agora? Em half-open libera uma única chamada de teste.
+   */
+  canRequest() {
+    const state = this.state;
+    if (state === CIRCUIT_STATE.CLOSED) return true;
+    if (state === CIRCUIT_STATE.OPEN || this.halfOpenEmTeste) return false;
+    this.halfOpenEmTeste = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenEmTeste = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures += 1;
+    if (this.halfOpenEmTeste || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+    this.halfOpenEmTeste = false;
+  }
+
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+// =============================================
+// PROVEDORES PADRÃO
+// =============================================
+
+/**
+ * BrasilAPI (https://brasilapi.com.br/api/cnpj/v1/{cnpj})
+ */
+function createBrasilApiCnpjProvider() {
+  return {
+    name: 'brasilapi',
+    async lookup(cnpj, ctx) {
+      const raw = await ctx.requestJson(`${ctx.baseUrl}/cnpj/v1/${cnpj}`);
+
+      const secondaryCnaes = Array.isArray(raw.cnaes_secundarios)
+        ? raw.cnaes_secundarios
+            .map((item) => ({
+              code: (item.codigo || '').toString(),
+              description: item.descricao || null
+            }))
+            .filter((c) => c.code && c.description)
+        : [];
+
+      // A BrasilAPI usa os campos `nome_fantasia` e `razao_social`.
+      // Os campos `trade_name` / `company_name` não existem na resposta.
+      return {
+        cnpj,
+        trade_name: raw.nome_fantasia || raw.razao_social || null,
+        cnae: (raw.cnae_fiscal || '').toString(),
+        cnae_desc: raw.cnae_fiscal_descricao || null,
+        secondary_cnaes: secondaryCnaes
+      };
+    }
+  };
+}
+
+/**
+ * CNPJ.ws API pública (https://publica.cnpj.ws/cnpj/{cnpj}) - limite baixo por minuto.
+ */
+function createCnpjWsProvider({ baseUrl = 'https://publica.cnpj.ws' } = {}) {
+  return {
+    name: 'cnpjws',
+    async lookup(cnpj, ctx) {
+      const raw = await ctx.requestJson(`${baseUrl.replace(/\/$/, '')}/cnpj/${cnpj}`);
+      const est = raw.estabelecimento || {};
+      const principal = est.atividade_principal || {};
+
+      return {
+        cnpj,
+        trade_name: est.nome_fantasia || raw.razao_social || null,
+        cnae: somenteDigitos(principal.id || principal.subclasse),
+        cnae_desc: principal.descricao || null,
+        secondary_cnaes: (est.atividades_secundarias || [])
+          .map((a) => ({ code: somenteDigitos(a.id || a.subclasse), description: a.descricao || null }))
+          .filter((c) => c.code && c.description)
+      };
+    }
+  };
+}
+
+/**
+ * ReceitaWS (https://receitaws.com.br/v1/cnpj/{cnpj}) - responde 200 com
+ * `status: 'ERROR'` para CNPJ inexistente.
+ */
+function createReceitaWsProvider({ baseUrl = 'https://receitaws.com.br/v1' } = {}) {
+  // '00.00-0-00' = atividade não informada
+  const atividade = (a) => ({ code: somenteDigitos(a?.code).replace(/^0+$/, ''), description: a?.text || null });
+
+  return {
+    name: 'receitaws',
+    async lookup(cnpj, ctx) {
+      const raw = await ctx.requestJson(`${baseUrl.replace(/\/$/, '')}/cnpj/${cnpj}`);
+      if (raw.status === 'ERROR') {
+        throw ctx.error(`ReceitaWS: ${raw.message || 'CNPJ não encontrado'}`, { code: 'NOT_FOUND', status: 404 });
+      }
+
+      const principal = atividade((raw.atividade_principal || [])[0]);
+      return {
+        cnpj,
+        trade_name: raw.fantasia || raw.nome || null,
+        cnae: principal.code,
+        cnae_desc: principal.code ? principal.description : null,
+        secondary_cnaes: (raw.atividades_secundarias || [])
+          .map(atividade)
+          .filter((c) => c.code && c.description)
+      };
+    }
+  };
+}
+
+const DEFAULT_CNPJ_PROVIDERS = {
+  brasilapi: createBrasilApiCnpjProvider,
+  cnpjws: createCnpjWsProvider,
+  receitaws: createReceitaWsProvider
+};
+
+// =============================================
+// CADEIA
+// =============================================
+
+class CnpjProviderChain {
+  /**
+   * @param {Object} options
+   * @param {Array<Object|string>} options.providers - Provedores ou nomes padrão ('brasilapi', 'cnpjws', 'receitaws').
+   *   Padrão: CNPJ_PROVIDERS ou só 'brasilapi' (cnpjws/receitaws são terceiros e precisam ser ligados explicitamente)
+   * @param {number} options.failureThreshold - Falhas seguidas para abrir o circuito (padrão: 5)
+   * @param {number} options.cooldownMs - Tempo com circuito aberto (padrão: 60s)
+   * @param {boolean} options.continueOnNotFound - Tenta o próximo provedor quando um diz "não existe" (padrão: false)
+   */
+  constructor({
+    providers = ENV.cnpj.PROVIDERS,
+    failureThreshold = 5,
+    cooldownMs = 60 * 1000,
+    continueOnNotFound = false
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.continueOnNotFound = continueOnNotFound;
+    this.entries = [];
+
+    providers.forEach((p) => this.register(p));
+  }
+
+  /**
+   * Adiciona um provedor (ex: base interna ou mock local).
+   * @param {Object|string} provider - { name, lookup(cnpj, ctx) } ou nome de provedor padrão
+   * @param {Object} options
+   * @param {number} options.position - Índice na cadeia (padrão: fim; 0 = primeiro)
+   */
+  register(provider, { position } = {}) {
+    const resolved = typeof provider === 'string' ? DEFAULT_CNPJ_PROVIDERS[provider]?.() : provider;
+    if (!resolved || !resolved.name || typeof resolved.lookup !== 'function') {
+      throw new Error(`Provedor de CNPJ inválido: ${typeof provider === 'string' ? provider : JSON.stringify(provider)}`);
+    }
+
+    this.unregister(resolved.name);
+
+    const entry = {
+      provider: resolved,
+      breaker: new CircuitBreaker({ failureThreshold: this.failureThreshold, cooldownMs: this.cooldownMs }),
+      stats: { successes: 0, failures: 0, notFound: 0, skipped: 0, totalLatencyMs: 0, lastError: null, lastSuccessAt: null, lastFailureAt: null }
+    };
+
+    const idx = position === undefined ? this.entries.length : Math.max(0, Math.min(position, this.entries.length));
+    this.entries.splice(idx, 0, entry);
+    return this;
+  }
+
+  unregister(name) {
+    this.entries = this.entries.filter((e) => e.provider.name !== name);
+    return this;
+  }
+
+  /**
+   * Saúde de cada provedor, na ordem da cadeia.
+   */
+  health() {
+    return this.entries.map(({ provider, breaker, stats }) => {
+      const chamadas = stats.successes + stats.notFound;
+      return {
+        name: provider.name,
+        state: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        successes: stats.successes,
+        notFound: stats.notFound,
+        failures: stats.failures,
+        skipped: stats.skipped,
+        avgLatencyMs: chamadas ? Math.round(stats.totalLatencyMs / chamadas) : null,
+        lastError: stats.lastError,
+        lastSuccessAt: stats.lastSuccessAt,
+        lastFailureAt: stats.lastFailureAt
+      };
+    });
+  }
+
+  resetCircuits() {
+    this.entries.forEach((e) => e.breaker.reset());
+  }
+
+  /**
+   * Consulta os provedores em ordem até um responder.
+   * @returns {Promise<Object>} Dados normalizados + `provider` (nome de quem respondeu)
+   * @throws Erro do último provedor tentado (ou UNAVAILABLE se todos estão com circuito aberto)
+   */
+  async lookup(cnpj, ctx) {
+    let ultimoErro = null;
+
+    for (const { provider, breaker, stats } of this.entries) {
+      if (!breaker.canRequest()) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const inicio = Date.now();
+      try {
+        const data = await provider.lookup(cnpj, ctx);
+        breaker.recordSuccess();
+        stats.successes += 1;
+        stats.totalLatencyMs += Date.now() - inicio;
+        stats.lastSuccessAt = new Date().toISOString();
+        return { ...data, provider: provider.name };
+      } catch (error) {
+        ultimoErro = error;
+
+        if (CODIGOS_SAUDAVEIS.includes(error?.code)) {
+          breaker.recordSuccess();
+          stats.notFound += error.code === 'NOT_FOUND' ? 1 : 0;
+          stats.totalLatencyMs += Date.now() - inicio;
+          if (error.code !== 'NOT_FOUND' || !this.continueOnNotFound) throw error;
+          continue;
+        }
+
+        const estadoAnterior = breaker.state;
+        breaker.recordFailure();
+        stats.failures += 1;
+        stats.lastError = error?.message || String(error);
+        stats.lastFailureAt = new Date().toISOString();
+
+        if (breaker.state === CIRCUIT_STATE.OPEN && estadoAnterior !== CIRCUIT_STATE.OPEN) {
+          Logger.warn(`⚠️ Provedor de CNPJ ${provider.name} com circuito aberto por ${Math.round(this.cooldownMs / 1000)}s: ${stats.lastError}`);
+        }
+      }
+    }
+
+    if (ultimoErro) throw ultimoErro;
+    throw ctx.error('Todos os provedores de CNPJ estão indisponíveis (circuito aberto)', { code: 'UNAVAILABLE' });
+  }
+}
+
+module.exports = {
+  CnpjProviderChain,
+  CircuitBreaker,
+  CIRCUIT_STATE,
+  createBrasilApiCnpjProvider,
+  createCnpjWsProvider,
+  createReceitaWsProvider
+};
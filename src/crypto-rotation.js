@@ -0,0 +1,172 @@
+const Logger = require('./logger');
+const CryptoService = require('./crypto-service');
+const { supabase: sharedSupabase } = require('../lib/supabase-client');
+
+// CryptoService em modo estrito lança em vez de retornar null: a falha vira erro da linha e a migração segue
+function tentar(fn) {
+  try {
+    return { valor: fn(), erro: null };
+  } catch (erro) {
+    return { valor: null, erro };
+  }
+}
+
+function descreverErro(erro, padrao) {
+  return erro ? `${erro.name}: ${erro.message}` : padrao;
+}
+
+/**
+ * Migra colunas criptografadas de uma tabela do Supabase para a chave ativa
+ * do CryptoService (rotação de chave / formatos v1 e v2 → v3).
+ *
+ * Percorre a tabela em lotes ordenados por `idColumn` (paginação por cursor,
+ * então é seguro interromper e rodar de novo) e só atualiza as linhas que
+ * têm alguma coluna fora do formato atual com a chave ativa.
+ *
+ * @param {Object} options
+ * @param {string} options.table - Tabela
+ * @param {string[]} options.columns - Colunas criptografadas
+ * @param {string} options.idColumn - Chave primária (padrão: 'id')
+ * @param {number} options.batchSize - Linhas por lote (padrão: 500)
+ * @param {boolean} options.dryRun - Só conta o que seria migrado (padrão: false)
+ * @param {Function} options.aad - (linha, coluna, tabela) => aad do GCM (ex: `${tabela}:${linha.id}:${coluna}`);
+ *   precisa ser o mesmo usado pelo serviço que lê a coluna
+ * @param {string} options.aadColumn - Atalho para o aad `${tabela}:${linha[aadColumn]}:${coluna}` (o de `aad: true`
+ *   no schema é com 'id'). Colunas com aad no schema do cryptoService exigem `aad` ou `aadColumn`
+ * @param {Object} options.blindIndexes - Colunas de blind index a recalcular a partir da coluna criptografada:
+ *   { phone_bidx: { source: 'phone', type: 'phone' } }. Recalcula quando o token está vazio
+ *   ou foi gerado com outra chave (rotação de BLIND_INDEX_KEYS).
+ * @param {CryptoService} options.cryptoService - Padrão: new CryptoService()
+ * @param {Object} options.supabase - Padrão: client compartilhado
+ * @param {Function} options.onBatch - async (resumoParcial) => void, chamado após cada lote
+ * @returns {Promise<Object>} { table, scanned, updated, unchanged, failed, errors, formats, dryRun }
+ *   formats = formatos encontrados antes da migração, ex: { v1: 40, v2: 3, v3: 120 }
+ */
+async function reencryptSupabaseColumns({
+  table,
+  columns,
+  idColumn = 'id',
+  batchSize = 500,
+  dryRun = false,
+  aad,
+  aadColumn,
+  blindIndexes = {},
+  cryptoService,
+  supabase,
+  onBatch
+} = {}) {
+  const indices = Object.entries(blindIndexes || {});
+  if (!table || !Array.isArray(columns) || (columns.length === 0 && indices.length === 0)) {
+    throw new Error('table e columns são obrigatórios em reencryptSupabaseColumns');
+  }
+
+  const db = supabase || sharedSupabase;
+  if (!db) {
+    throw new Error('Supabase não configurado - reencryptSupabaseColumns indisponível');
+  }
+
+  const crypto = cryptoService || new CryptoService();
+
+  const aadDaLinha = aad || (aadColumn ? (linha, coluna, tabela) => {
+    const valor = linha[aadColumn];
+    if (valor === null || valor === undefined || valor === '') {
+      throw new Error(`Linha sem ${aadColumn} para o aad de ${tabela}.${coluna}`);
+    }
+    return `${tabela}:${valor}:${coluna}`;
+  } : null);
+
+  // Re-criptografar sem o aad que o serviço usa deixaria a coluna ilegível
+  const comAad = [...columns, ...indices.map(([, cfg]) => cfg.source)].filter((coluna) => crypto.schemaField(table, coluna)?.aad);
+  if (comAad.length > 0 && !aadDaLinha) {
+    throw new Error(`${table}: ${Array.from(new Set(comAad)).join(', ')} usa aad no schema - informe aad ou aadColumn`);
+  }
+
+  const resumo = { table, scanned: 0, updated: 0, unchanged: 0, failed: 0, errors: [], formats: {}, dryRun };
+  let ultimoId = null;
+
+  for (;;) {
+    let query = db
+      .from(table)
+      .select(Array.from(new Set([idColumn, ...(aadColumn ? [aadColumn] : []), ...columns, ...indices.flatMap(([alvo, cfg]) => [alvo, cfg.source])])).join(','))
+      .order(idColumn, { ascending: true })
+      .limit(batchSize);
+
+    if (ultimoId !== null) {
+      query = query.gt(idColumn, ultimoId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const linhas = data || [];
+    if (linhas.length === 0) break;
+
+    for (const linha of linhas) {
+      resumo.scanned += 1;
+      const patch = {};
+      let falhou = false;
+
+      for (const coluna of columns) {
+        const valor = linha[coluna];
+        for (const [formato, total] of Object.entries(crypto.formatStats([valor]))) {
+          resumo.formats[formato] = (resumo.formats[formato] || 0) + total;
+        }
+        if (!crypto.needsReencryption(valor)) continue;
+
+        const { valor: novo, erro } = tentar(() => crypto.reencrypt(valor, { aad: aadDaLinha ? aadDaLinha(linha, coluna, table) : undefined }));
+        if (novo === null) {
+          falhou = true;
+          resumo.errors.push({ id: linha[idColumn], column: coluna, message: descreverErro(erro, `Não foi possível descriptografar (kid ${crypto.keyIdOf(valor)})`) });
+          continue;
+        }
+        patch[coluna] = novo;
+      }
+
+      for (const [alvo, { source, type }] of indices) {
+        const cifrado = linha[source];
+        if (!cifrado || (linha[alvo] && !crypto.needsBlindIndexRotation(linha[alvo]))) continue;
+
+        const { valor: claro, erro } = tentar(() => crypto.descriptografar(cifrado, { aad: aadDaLinha ? aadDaLinha(linha, source, table) : undefined }));
+        if (claro === null) {
+          falhou = true;
+          resumo.errors.push({ id: linha[idColumn], column: alvo, message: descreverErro(erro, `Não foi possível descriptografar ${source} para o blind index`) });
+          continue;
+        }
+        patch[alvo] = crypto.blindIndex(claro, type);
+      }
+
+      if (falhou) resumo.failed += 1;
+
+      if (Object.keys(patch).length === 0) {
+        if (!falhou) resumo.unchanged += 1;
+        continue;
+      }
+
+      if (!dryRun) {
+        const { error: updateError } = await db
+          .from(table)
+          .update(patch)
+          .eq(idColumn, linha[idColumn]);
+
+        if (updateError) {
+          resumo.failed += falhou ? 0 : 1;
+          resumo.errors.push({ id: linha[idColumn], message: updateError.message || String(updateError) });
+          continue;
+        }
+      }
+
+      resumo.updated += 1;
+    }
+
+    ultimoId = linhas[linhas.length - 1][idColumn];
+    if (onBatch) await onBatch({ ...resumo, lastId: ultimoId });
+    if (linhas.length < batchSize) break;
+  }
+
+  Logger.info(`🔑 Re-criptografia ${table}${dryRun ? ' (dry run)' : ''}: ${resumo.updated} atualizadas, ${resumo.unchanged} já na chave ativa, ${resumo.failed} falhas`);
+  return resumo;
+}
+
+module.exports = {
+  reencryptSupabaseColumns
+};
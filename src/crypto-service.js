@@ -1,147 +1,1031 @@
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const Logger = require('./logger');
+const { ENV } = require('./env');
+const { stripDocument, normalizePhone } = require('./document-utils');
+const { maskText, bucketMoney } = require('./pii-masking');
+
+// Formatos de texto criptografado (o atual é sempre o primeiro):
+// - v3: AES-256-GCM  → v3:<kid>:<iv hex>:<auth tag hex>:<ciphertext hex>
+// - v2: AES-256-CBC  → v2:<kid>:<iv hex>:<ciphertext hex>
+// - v1: AES-256-CBC  → <iv hex>:<ciphertext hex> (chave ENCRYPTION_KEY, sem kid)
+const FORMAT_VERSION = 'v3';
+const CRYPTO_FORMATS = {
+  v3: { version: 'v3', algorithm: 'aes-256-gcm', authenticated: true },
+  v2: { version: 'v2', algorithm: 'aes-256-cbc', authenticated: false },
+  v1: { version: 'v1', algorithm: 'aes-256-cbc', authenticated: false }
+};
+const GCM_IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+// Blind index: bi1:<kid>:<hmac-sha256 hex>
+const BLIND_INDEX_VERSION = 'bi1';
+
+// Arquivos: 'ENFC' | versão (1 byte) | tamanho do kid (1 byte) | kid | tamanho do bloco (uint32 BE) | salt (16 bytes) | blocos.
+// Cada bloco é AES-256-GCM (ciphertext + tag) com uma chave própria do arquivo, HKDF(chave do kid, salt),
+// e IV = contador do bloco + flag de último bloco: reordenar, remover ou truncar blocos é detectado.
+const FILE_MAGIC = Buffer.from('ENFC', 'ascii');
+const FILE_FORMAT_VERSION = 1;
+const FILE_SALT_BYTES = 16;
+const FILE_DEFAULT_CHUNK_SIZE = 64 * 1024;
+const FILE_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Erros do CryptoService. No modo estrito são lançados; no padrão são
+ * registrados no Logger e o método retorna null.
+ * - CryptoKeyError: chave não configurada, inválida ou kid fora do keyring
+ * - CryptoFormatError: texto fora dos formatos conhecidos, JSON ou número inválido
+ * - CryptoIntegrityError: autenticação falhou (texto adulterado/truncado, aad ou chave errada)
+ * - CryptoError com code MISSING_AAD: coluna com aad no schema e linha sem id (ou aad vazio)
+ */
+class CryptoError extends Error {
+  constructor(message, { code = 'CRYPTO_ERROR', kid = null, cause } = {}) {
+    super(message);
+    this.name = 'CryptoError';
+    this.code = code;
+    this.kid = kid;
+    if (cause) this.cause = cause;
+  }
+}
+
+class CryptoKeyError extends CryptoError {
+  constructor(message, options = {}) {
+    super(message, { code: 'KEY_ERROR', ...options });
+    this.name = 'CryptoKeyError';
+  }
+}
+
+class CryptoFormatError extends CryptoError {
+  constructor(message, options = {}) {
+    super(message, { code: 'FORMAT_ERROR', ...options });
+    this.name = 'CryptoFormatError';
+  }
+}
+
+class CryptoIntegrityError extends CryptoError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INTEGRITY_ERROR', ...options });
+    this.name = 'CryptoIntegrityError';
+  }
+}
+
+/**
+ * Normalizações aplicadas antes do HMAC, por tipo de campo. Garantem que
+ * variações de escrita do mesmo dado gerem o mesmo índice.
+ */
+const BLIND_INDEX_NORMALIZERS = {
+  // '+55 (11) 91234-5678', '0055 11 91234-5678' e '11 91234-5678' → '11912345678'
+  phone: (valor) => normalizePhone(valor),
+  cpf: (valor) => stripDocument(valor),
+  cnpj: (valor) => stripDocument(valor),
+  document: (valor) => stripDocument(valor),
+  email: (valor) => String(valor).trim().toLowerCase(),
+  text: (valor) => String(valor)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+};
+
+/**
+ * Dado associado (AAD) do GCM: amarra o texto a um contexto, ex: 'users:42:cpf'.
+ * Não é gravado no texto criptografado; precisa ser o mesmo na leitura.
+ */
+function toAad(aad) {
+  if (aad === null || aad === undefined || aad === '') return null;
+  return Buffer.isBuffer(aad) ? aad : Buffer.from(String(aad), 'utf8');
+}
+
+function montarCabecalhoArquivo(kid, chunkSize, salt) {
+  const kidBytes = Buffer.from(kid, 'utf8');
+  const tamanhoBloco = Buffer.alloc(4);
+  tamanhoBloco.writeUInt32BE(chunkSize);
+  return Buffer.concat([FILE_MAGIC, Buffer.from([FILE_FORMAT_VERSION, kidBytes.length]), kidBytes, tamanhoBloco, salt]);
+}
+
+/**
+ * Lê o cabeçalho de um arquivo criptografado.
+ * @returns {Object|null} { version, kid, chunkSize, salt, header, length } ou null se ainda faltam bytes
+ */
+function lerCabecalhoArquivo(buffer) {
+  if (buffer.length < FILE_MAGIC.length + 2) return null;
+
+  if (!buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) {
+    throw new CryptoFormatError('Arquivo não está no formato criptografado (cabeçalho ENFC ausente)');
+  }
+
+  const version = buffer[4];
+  if (version !== FILE_FORMAT_VERSION) {
+    throw new CryptoFormatError(`Versão de arquivo criptografado não suportada: ${version}`);
+  }
+
+  const fimKid = 6 + buffer[5];
+  const length = fimKid + 4 + FILE_SALT_BYTES;
+  if (buffer.length < length) return null;
+
+  const kid = buffer.toString('utf8', 6, fimKid);
+  const chunkSize = buffer.readUInt32BE(fimKid);
+  if (chunkSize < 1 || chunkSize > FILE_MAX_CHUNK_SIZE) {
+    throw new CryptoFormatError(`Tamanho de bloco inválido no arquivo criptografado: ${chunkSize}`, { kid });
+  }
+
+  return {
+    version,
+    kid,
+    chunkSize,
+    salt: Buffer.from(buffer.subarray(fimKid + 4, length)),
+    header: Buffer.from(buffer.subarray(0, length)),
+    length
+  };
+}
+
+function ivDoBloco(indice, ultimo) {
+  if (indice > 0xffffffff) {
+    throw new CryptoFormatError('Arquivo excede o número máximo de blocos');
+  }
+  const iv = Buffer.alloc(GCM_IV_BYTES);
+  iv.writeUInt32BE(indice, 7);
+  iv[11] = ultimo ? 1 : 0;
+  return iv;
+}
+
+/**
+ * Lê o keyring de ENCRYPTION_KEYS: JSON {"kid":"segredo"} ou "kid1:segredo1,kid2:segredo2".
+ */
+function parseKeyring(valor) {
+  if (!valor) return {};
+
+  const texto = String(valor).trim();
+  if (texto.startsWith('{')) {
+    return JSON.parse(texto);
+  }
+
+  return texto.split(',').reduce((acc, par) => {
+    const idx = par.indexOf(':');
+    if (idx > 0) acc[par.slice(0, idx).trim()] = par.slice(idx + 1).trim();
+    return acc;
+  }, {});
+}
+
+// Tipos de campo do schema de criptografia (encryptRow/decryptRow)
+const FIELD_TYPES = ['string', 'number', 'json'];
+
+/**
+ * Normaliza um campo do schema: 'number' ou
+ * { type: 'string', aad: true, blindIndex: 'phone' | { column: 'phone_bidx', type: 'phone' } }
+ */
+function normalizarCampo(tabela, coluna, definicao) {
+  const campo = typeof definicao === 'string' ? { type: definicao } : { ...definicao };
+  if (!FIELD_TYPES.includes(campo.type)) {
+    throw new Error(`Tipo inválido no schema de criptografia (${tabela}.${coluna}): ${campo.type} - use ${FIELD_TYPES.join(', ')}`);
+  }
+
+  if (campo.blindIndex) {
+    const indice = typeof campo.blindIndex === 'string' ? { type: campo.blindIndex } : campo.blindIndex;
+    campo.blindIndex = { column: indice.column || `${coluna}_bidx`, type: indice.type || 'text' };
+  }
+  return campo;
+}
 
 /**
  * CryptoService
  *
  * Responsável por criptografar e descriptografar dados sensíveis
- * usando AES-256-CBC (reversível).
+ * usando AES-256-GCM (reversível e autenticado: texto adulterado ou
+ * truncado não é aceito). Textos AES-256-CBC antigos continuam legíveis.
+ *
+ * Trabalha com um keyring (várias chaves identificadas por `kid`):
+ * - criptografar sempre usa a chave ativa e gera `v3:<kid>:<iv>:<tag>:<ciphertext>`
+ * - descriptografar escolhe a chave pelo kid do texto
+ * - textos antigos (`iv:ciphertext`, sem kid) usam ENCRYPTION_KEY (kid 'legacy')
+ *
+ * `options.aad` (dado associado) amarra o texto a um contexto, ex: id da
+ * linha + coluna. O mesmo aad é exigido para descriptografar, então um
+ * valor copiado para outra linha/coluna não é aceito.
+ *
+ * Para rotacionar: adicione a nova chave em ENCRYPTION_KEYS, troque
+ * ENCRYPTION_ACTIVE_KEY_ID e rode reencryptSupabaseColumns (crypto-rotation.js).
+ * Só remova a chave antiga depois que nenhum dado usar mais o kid dela.
+ *
+ * Arquivos (extratos, faturas) usam encryptStream/decryptStream ou
+ * encryptBuffer/decryptBuffer: blocos GCM com cabeçalho próprio (versão + kid).
+ *
+ * Por padrão os métodos não lançam: registram o erro no Logger e retornam
+ * null (entrada vazia também retorna null). Com `strict` (CRYPTO_STRICT=true
+ * ou `{ strict: true }` na chamada) chave errada, formato inválido e falha de
+ * integridade lançam CryptoKeyError, CryptoFormatError e CryptoIntegrityError.
  */
 class CryptoService {
-  constructor() {
-    this.secretKey = process.env.ENCRYPTION_KEY;
+  /**
+   * @param {Object} options
+   * @param {Object} options.keys - { kid: segredo } (padrão: ENCRYPTION_KEYS)
+   * @param {string} options.activeKeyId - kid usado para criptografar (padrão: ENCRYPTION_ACTIVE_KEY_ID)
+   * @param {string} options.legacyKey - Segredo do formato antigo (padrão: ENCRYPTION_KEY)
+   * @param {Object} options.blindIndexKeys - { kid: segredo } do blind index (padrão: BLIND_INDEX_KEYS;
+   *   vazio = derivada de ENCRYPTION_KEY com kid 'legacy'; sem ENCRYPTION_KEY é obrigatório)
+   * @param {string} options.blindIndexActiveKeyId - kid usado para gerar índices (padrão: BLIND_INDEX_ACTIVE_KEY_ID)
+   * @param {Object} options.schema - Colunas criptografadas por tabela (ver defineSchema)
+   * @param {boolean} options.strict - Lança erros tipados em vez de retornar null (padrão: CRYPTO_STRICT)
+   */
+  constructor({
+    keys = parseKeyring(ENV.crypto.ENCRYPTION_KEYS),
+    activeKeyId = ENV.crypto.ACTIVE_KEY_ID,
+    legacyKey = ENV.crypto.ENCRYPTION_KEY,
+    blindIndexKeys = parseKeyring(ENV.crypto.BLIND_INDEX_KEYS),
+    blindIndexActiveKeyId = ENV.crypto.BLIND_INDEX_ACTIVE_KEY_ID,
+    schema = {},
+    strict = ENV.crypto.STRICT
+  } = {}) {
+    this.strict = Boolean(strict);
+    this.algorithm = CRYPTO_FORMATS[FORMAT_VERSION].algorithm;
+    this.keys = new Map();
+
+    if (legacyKey) {
+      CryptoService._validarSegredo(LEGACY_KEY_ID, legacyKey, 'ENCRYPTION_KEY');
+      // Derivação original (salt fixo) - necessária para ler dados antigos
+      this.keys.set(LEGACY_KEY_ID, crypto.scryptSync(legacyKey, 'salt', 32));
+    }
+
+    for (const [kid, segredo] of Object.entries(keys || {})) {
+      if (!KEY_ID_PATTERN.test(kid) || kid === LEGACY_KEY_ID) {
+        throw new CryptoKeyError(`Key id inválido em ENCRYPTION_KEYS: ${kid}`, { kid });
+      }
+      CryptoService._validarSegredo(kid, segredo, `ENCRYPTION_KEYS[${kid}]`);
+      this.keys.set(kid, crypto.scryptSync(segredo, `enfinia:${kid}`, 32));
+    }
+
+    if (this.keys.size === 0) {
+      throw new CryptoKeyError('ENCRYPTION_KEY não configurada no arquivo .env');
+    }
+
+    this.activeKeyId = activeKeyId || (this.keys.size === 1 ? this.keys.keys().next().value : null);
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      throw new CryptoKeyError(`ENCRYPTION_ACTIVE_KEY_ID inválido: ${activeKeyId || '(vazio)'} - use um dos kids: ${Array.from(this.keys.keys()).join(', ')}`);
+    }
+
+    // Compatibilidade: `key` continua apontando para a chave ativa
+    this.key = this.keys.get(this.activeKeyId);
+
+    this._initBlindIndex(blindIndexKeys, blindIndexActiveKeyId);
+
+    this.schema = {};
+    this.defineSchema(schema);
+  }
 
-    if (!this.secretKey) {
-      throw new Error('ENCRYPTION_KEY não configurada no arquivo .env');
+  _initBlindIndex(blindIndexKeys, blindIndexActiveKeyId) {
+    this.blindIndexKeys = new Map();
+    this.blindIndexNormalizers = { ...BLIND_INDEX_NORMALIZERS };
+
+    const proprias = Object.entries(blindIndexKeys || {});
+    if (proprias.length > 0) {
+      for (const [kid, segredo] of proprias) {
+        if (!KEY_ID_PATTERN.test(kid)) {
+          throw new CryptoKeyError(`Key id inválido em BLIND_INDEX_KEYS: ${kid}`, { kid });
+        }
+        CryptoService._validarSegredo(kid, segredo, `BLIND_INDEX_KEYS[${kid}]`);
+        this.blindIndexKeys.set(kid, crypto.scryptSync(segredo, `enfinia:blind-index:${kid}`, 32));
+      }
+    } else {
+      // Sem chaves próprias: uma única chave derivada (HKDF) de ENCRYPTION_KEY, que não muda com
+      // ENCRYPTION_ACTIVE_KEY_ID. Uma chave de ENCRYPTION_KEYS não serve: o primeiro passo da
+      // rotação (adicionar outra chave) deixaria o blind index sem origem
+      if (!this.keys.has(LEGACY_KEY_ID)) {
+        throw new CryptoKeyError('BLIND_INDEX_KEYS não configurada: sem ENCRYPTION_KEY o blind index precisa de chave própria');
+      }
+      this.blindIndexKeys.set(LEGACY_KEY_ID, Buffer.from(crypto.hkdfSync('sha256', this.keys.get(LEGACY_KEY_ID), Buffer.alloc(0), 'enfinia:blind-index', 32)));
     }
 
-    if (this.secretKey.length < 32) {
-      throw new Error('ENCRYPTION_KEY deve ter no mínimo 32 caracteres');
+    this.blindIndexActiveKeyId = blindIndexActiveKeyId
+      || (this.blindIndexKeys.size === 1 ? this.blindIndexKeys.keys().next().value : null);
+
+    if (!this.blindIndexActiveKeyId || !this.blindIndexKeys.has(this.blindIndexActiveKeyId)) {
+      throw new CryptoKeyError(`BLIND_INDEX_ACTIVE_KEY_ID inválido: ${blindIndexActiveKeyId || '(vazio)'} - use um dos kids: ${Array.from(this.blindIndexKeys.keys()).join(', ')}`);
     }
+  }
 
-    this.key = crypto.scryptSync(this.secretKey, 'salt', 32);
-    this.algorithm = 'aes-256-cbc';
+  static _validarSegredo(kid, segredo, origem) {
+    if (!segredo || typeof segredo !== 'string') {
+      throw new CryptoKeyError(`${origem} não configurada`, { kid });
+    }
+    if (segredo.length < 32) {
+      throw new CryptoKeyError(`${origem} deve ter no mínimo 32 caracteres`, { kid });
+    }
   }
 
-  criptografar(texto) {
+  /**
+   * Modo estrito: lança o erro. Padrão: registra no Logger e retorna null.
+   */
+  _falha(erro, acao, strict) {
+    if (strict ?? this.strict) throw erro;
+    Logger.error(`🔐 Erro ao ${acao}`, erro);
+    return null;
+  }
+
+  /**
+   * Desmonta um texto criptografado em { version, algorithm, kid, iv, tag, encrypted }.
+   * @returns {Object|null} null se não for um formato conhecido
+   */
+  parse(textoCriptografado) {
+    if (!textoCriptografado || typeof textoCriptografado !== 'string') {
+      return null;
+    }
+
+    const parts = textoCriptografado.split(':');
+
+    if (parts[0] === 'v3' && parts.length === 5) {
+      return { ...CRYPTO_FORMATS.v3, kid: parts[1], iv: parts[2], tag: parts[3], encrypted: parts[4] };
+    }
+
+    if (parts[0] === 'v2' && parts.length === 4) {
+      return { ...CRYPTO_FORMATS.v2, kid: parts[1], iv: parts[2], tag: null, encrypted: parts[3] };
+    }
+
+    if (parts.length === 2) {
+      return { ...CRYPTO_FORMATS.v1, kid: LEGACY_KEY_ID, iv: parts[0], tag: null, encrypted: parts[1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Formato de um texto criptografado, para acompanhar a migração.
+   * @returns {{ version: string, algorithm: string, authenticated: boolean, kid: string, current: boolean }|null}
+   */
+  describe(textoCriptografado) {
+    const parsed = this.parse(textoCriptografado);
+    if (!parsed) return null;
+
+    return {
+      version: parsed.version,
+      algorithm: parsed.algorithm,
+      authenticated: parsed.authenticated,
+      kid: parsed.kid,
+      current: parsed.version === FORMAT_VERSION && parsed.kid === this.activeKeyId
+    };
+  }
+
+  /**
+   * Contagem de formatos em uma lista de valores (nulos/vazios são ignorados).
+   * @returns {Object} ex: { v3: 120, v2: 3, v1: 40, invalid: 1 }
+   */
+  formatStats(valores = []) {
+    return valores.reduce((acc, valor) => {
+      if (valor === null || valor === undefined || valor === '') return acc;
+      const parsed = this.parse(valor);
+      const chave = parsed ? parsed.version : 'invalid';
+      acc[chave] = (acc[chave] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * kid usado num texto criptografado ('legacy' para o formato antigo).
+   */
+  keyIdOf(textoCriptografado) {
+    const parsed = this.parse(textoCriptografado);
+    return parsed ? parsed.kid : null;
+  }
+
+  /**
+   * true quando o texto não está no formato atual com a chave ativa.
+   */
+  needsReencryption(textoCriptografado) {
+    const parsed = this.parse(textoCriptografado);
+    return Boolean(parsed) && (parsed.version !== FORMAT_VERSION || parsed.kid !== this.activeKeyId);
+  }
+
+  /**
+   * Descriptografa com a chave de origem e criptografa de novo com a chave ativa
+   * (e no formato atual). Textos CBC não têm aad; o aad informado passa a valer no novo texto.
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Dado associado (o mesmo na leitura e na escrita)
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {string|null} Novo texto ou null se não foi possível ler o original
+   */
+  reencrypt(textoCriptografado, { aad, strict } = {}) {
+    const texto = this.descriptografar(textoCriptografado, { aad, strict });
+    return texto === null ? null : this.criptografar(texto, { aad, strict });
+  }
+
+  /**
+   * Registra (ou substitui) a normalização de um tipo de blind index.
+   * @param {string} tipo - Ex: 'placa', 'cartao'
+   * @param {Function} fn - (valor) => string normalizada ('' = sem índice)
+   */
+  registerBlindIndexNormalizer(tipo, fn) {
+    if (!tipo || typeof fn !== 'function') {
+      throw new Error('registerBlindIndexNormalizer exige tipo e função');
+    }
+    this.blindIndexNormalizers[tipo] = fn;
+    return this;
+  }
+
+  normalizeForBlindIndex(valor, tipo = 'text') {
+    if (valor === null || valor === undefined || valor === '') return null;
+
+    const normalizar = this.blindIndexNormalizers[tipo];
+    if (!normalizar) {
+      throw new CryptoError(`Tipo de blind index desconhecido: ${tipo}`, { code: 'INVALID_BLIND_INDEX_TYPE' });
+    }
+
+    const normalizado = normalizar(valor);
+    return normalizado ? String(normalizado) : null;
+  }
+
+  /**
+   * Token determinístico para busca em campo criptografado (HMAC-SHA256).
+   * O tipo entra no HMAC, então o mesmo número como 'phone' e 'cpf' gera tokens diferentes.
+   *
+   * @param {string} valor - Valor em claro (ex: telefone, CPF, email)
+   * @param {string} tipo - 'phone' | 'cpf' | 'cnpj' | 'document' | 'email' | 'text' | tipo registrado
+   * @param {Object} options
+   * @param {string} options.kid - Chave a usar (padrão: ativa)
+   * @returns {string|null} 'bi1:<kid>:<hex>' ou null para valor vazio
+   */
+  blindIndex(valor, tipo = 'text', { kid = this.blindIndexActiveKeyId } = {}) {
+    const normalizado = this.normalizeForBlindIndex(valor, tipo);
+    if (normalizado === null) return null;
+
+    const key = this.blindIndexKeys.get(kid);
+    if (!key) {
+      throw new CryptoKeyError(`Chave de blind index "${kid}" não está no keyring`, { kid });
+    }
+
+    const hmac = crypto.createHmac('sha256', key).update(`${tipo}:${normalizado}`, 'utf8').digest('hex');
+    return `${BLIND_INDEX_VERSION}:${kid}:${hmac}`;
+  }
+
+  /**
+   * Tokens do valor em todas as chaves do keyring (ativa primeiro).
+   * Use na busca enquanto a rotação não terminou: `.in('phone_bidx', tokens)`.
+   * @returns {string[]}
+   */
+  blindIndexes(valor, tipo = 'text') {
+    const kids = [this.blindIndexActiveKeyId, ...Array.from(this.blindIndexKeys.keys()).filter((k) => k !== this.blindIndexActiveKeyId)];
+    return kids.map((kid) => this.blindIndex(valor, tipo, { kid })).filter(Boolean);
+  }
+
+  blindIndexKeyIdOf(token) {
+    const parts = typeof token === 'string' ? token.split(':') : [];
+    return parts.length === 3 && parts[0] === BLIND_INDEX_VERSION ? parts[1] : null;
+  }
+
+  /**
+   * true quando o token não foi gerado com a chave de blind index ativa.
+   */
+  needsBlindIndexRotation(token) {
+    return Boolean(token) && this.blindIndexKeyIdOf(token) !== this.blindIndexActiveKeyId;
+  }
+
+  /**
+   * @param {string} texto
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Dado associado (ex: 'users:42:cpf')
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   */
+  criptografar(texto, { aad, strict } = {}) {
     if (texto === null || texto === undefined || texto === '') {
       return null;
     }
 
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv(this.algorithm, this.key, iv);
+      const iv = crypto.randomBytes(GCM_IV_BYTES);
+      const cipher = crypto.createCipheriv(this.algorithm, this.keys.get(this.activeKeyId), iv, { authTagLength: GCM_TAG_BYTES });
+
+      const dadoAssociado = toAad(aad);
+      if (dadoAssociado) cipher.setAAD(dadoAssociado);
 
       let encrypted = cipher.update(String(texto), 'utf8', 'hex');
       encrypted += cipher.final('hex');
+      const tag = cipher.getAuthTag().toString('hex');
 
-      return iv.toString('hex') + ':' + encrypted;
+      return `${FORMAT_VERSION}:${this.activeKeyId}:${iv.toString('hex')}:${tag}:${encrypted}`;
     } catch (error) {
-      console.error('Erro ao criptografar:', error.message || error);
-      return null;
+      return this._falha(new CryptoError(error.message, { kid: this.activeKeyId, cause: error }), 'criptografar', strict);
     }
   }
 
-  descriptografar(textoCriptografado) {
-    if (!textoCriptografado || typeof textoCriptografado !== 'string') {
+  /**
+   * Lê qualquer formato conhecido (v3 GCM, v2/v1 CBC).
+   * No GCM, texto adulterado, truncado ou com aad diferente não é aceito.
+   * @param {string} textoCriptografado
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Mesmo dado associado usado ao criptografar
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {string|null} null para entrada vazia (ou para erro fora do modo estrito)
+   */
+  descriptografar(textoCriptografado, { aad, strict } = {}) {
+    if (textoCriptografado === null || textoCriptografado === undefined || textoCriptografado === '') {
       return null;
     }
 
     try {
-      const parts = textoCriptografado.split(':');
+      return this._decifrar(textoCriptografado, aad);
+    } catch (error) {
+      return this._falha(error, 'descriptografar', strict);
+    }
+  }
 
-      if (parts.length !== 2) {
-        throw new Error('Formato inválido de texto criptografado');
-      }
+  _decifrar(textoCriptografado, aad) {
+    const parsed = this.parse(textoCriptografado);
+    if (!parsed) {
+      throw new CryptoFormatError('Formato inválido de texto criptografado');
+    }
 
-      const iv = Buffer.from(parts[0], 'hex');
-      const encrypted = parts[1];
+    const key = this.keys.get(parsed.kid);
+    if (!key) {
+      throw new CryptoKeyError(`Chave "${parsed.kid}" não está no keyring`, { kid: parsed.kid });
+    }
 
-      const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
+    let decipher;
+    try {
+      const iv = Buffer.from(parsed.iv, 'hex');
 
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
+      if (parsed.authenticated) {
+        const tag = Buffer.from(parsed.tag, 'hex');
+        if (iv.length !== GCM_IV_BYTES || tag.length !== GCM_TAG_BYTES) {
+          throw new Error('IV ou auth tag com tamanho inválido');
+        }
+        decipher = crypto.createDecipheriv(parsed.algorithm, key, iv, { authTagLength: GCM_TAG_BYTES });
+        const dadoAssociado = toAad(aad);
+        if (dadoAssociado) decipher.setAAD(dadoAssociado);
+        decipher.setAuthTag(tag);
+      } else {
+        decipher = crypto.createDecipheriv(parsed.algorithm, key, iv);
+      }
+    } catch (error) {
+      throw new CryptoFormatError(error.message, { kid: parsed.kid, cause: error });
+    }
 
-      return decrypted;
+    try {
+      return decipher.update(parsed.encrypted, 'hex', 'utf8') + decipher.final('utf8');
     } catch (error) {
-      console.error('Erro ao descriptografar:', error.message || error);
-      return null;
+      const mensagem = parsed.authenticated
+        ? 'Falha de autenticação: texto adulterado/truncado, aad ou chave incorreta'
+        : `Não foi possível descriptografar (chave incorreta ou texto corrompido): ${error.message}`;
+      throw new CryptoIntegrityError(mensagem, { kid: parsed.kid, cause: error });
     }
   }
 
-  criptografarJSON(objeto) {
+  criptografarJSON(objeto, options = {}) {
     if (objeto === null || objeto === undefined) {
       return null;
     }
 
+    let json;
     try {
-      const json = JSON.stringify(objeto);
-      return this.criptografar(json);
+      json = JSON.stringify(objeto);
     } catch (error) {
-      console.error('Erro ao criptografar JSON:', error.message || error);
-      return null;
+      return this._falha(new CryptoFormatError(`Valor não serializável em JSON: ${error.message}`, { cause: error }), 'criptografar JSON', options.strict);
     }
+    return this.criptografar(json, options);
   }
 
-  descriptografarJSON(textoCriptografado) {
+  descriptografarJSON(textoCriptografado, options = {}) {
     if (!textoCriptografado) {
       return null;
     }
 
+    const json = this.descriptografar(textoCriptografado, options);
+    if (!json) {
+      return null;
+    }
+
     try {
-      const json = this.descriptografar(textoCriptografado);
-      return json ? JSON.parse(json) : null;
+      return JSON.parse(json);
     } catch (error) {
-      console.error('Erro ao descriptografar JSON:', error.message || error);
-      return null;
+      return this._falha(new CryptoFormatError(`JSON inválido: ${error.message}`, { cause: error }), 'descriptografar JSON', options.strict);
     }
   }
 
-  criptografarNumero(numero) {
+  criptografarNumero(numero, options = {}) {
     if (numero === null || numero === undefined) {
       return null;
     }
 
-    return this.criptografar(String(numero));
+    return this.criptografar(String(numero), options);
   }
 
-  descriptografarNumero(textoCriptografado) {
+  descriptografarNumero(textoCriptografado, options = {}) {
     if (!textoCriptografado) {
       return null;
     }
 
-    const texto = this.descriptografar(textoCriptografado);
+    const texto = this.descriptografar(textoCriptografado, options);
     if (!texto) {
       return null;
     }
 
     const numero = parseFloat(texto);
-    return Number.isNaN(numero) ? null : numero;
+    if (Number.isNaN(numero)) {
+      return this._falha(new CryptoFormatError('Valor descriptografado não é um número'), 'descriptografar número', options.strict);
+    }
+    return numero;
   }
 
-  mascararTexto(texto, mostrarInicio = 2, mostrarFim = 2) {
-    if (!texto || typeof texto !== 'string') {
-      return '****';
+  /**
+   * Declara as colunas criptografadas de cada tabela (tabelas já definidas são substituídas):
+   *
+   *   {
+   *     accounts: { balance: 'number', documento: 'string', meta: 'json' },
+   *     users: { phone: { type: 'string', blindIndex: 'phone' }, cpf: { type: 'string', aad: true } }
+   *   }
+   *
+   * - type: 'string' | 'number' | 'json'
+   * - aad: true (usa `${tabela}:${linha.id}:${coluna}`) ou (linha, coluna, tabela) => aad.
+   *   Com `true` o id precisa estar na linha em todo insert/update/select (gere o id no app antes do insert);
+   *   se o id vem do banco, use uma função sobre uma coluna que já existe no insert
+   * - blindIndex: tipo do índice ou { column, type }; a coluna padrão é `<coluna>_bidx`
+   */
+  defineSchema(schema = {}) {
+    for (const [tabela, campos] of Object.entries(schema || {})) {
+      this.schema[tabela] = Object.fromEntries(
+        Object.entries(campos || {}).map(([coluna, definicao]) => [coluna, normalizarCampo(tabela, coluna, definicao)])
+      );
     }
+    return this;
+  }
+
+  /**
+   * Definição normalizada de uma coluna ({ type, aad, blindIndex }) ou null se não é criptografada.
+   */
+  schemaField(tabela, coluna) {
+    return this.schema[tabela]?.[coluna] || null;
+  }
+
+  /**
+   * aad de uma coluna do schema. Com `aad: true` a linha precisa trazer o id - inclusive no insert
+   * (gere o id antes de gravar) e no patch de update; sem ele, lança CryptoError MISSING_AAD.
+   */
+  _aadDoCampo(tabela, coluna, campo, linha) {
+    if (!campo.aad) return undefined;
 
-    if (texto.length < 4) {
-      return '****';
+    let aad;
+    try {
+      aad = typeof campo.aad === 'function'
+        ? campo.aad(linha, coluna, tabela)
+        : (linha.id === null || linha.id === undefined ? null : `${tabela}:${linha.id}:${coluna}`);
+    } catch (error) {
+      throw new CryptoError(`aad de ${tabela}.${coluna}: ${error.message}`, { code: 'MISSING_AAD', cause: error });
     }
 
-    const inicio = texto.substring(0, mostrarInicio);
-    const fim = texto.substring(texto.length - mostrarFim);
-    const tamanhoMeio = Math.max(4, texto.length - mostrarInicio - mostrarFim);
-    const meio = '*'.repeat(tamanhoMeio);
+    if (aad === null || aad === undefined || aad === '') {
+      throw new CryptoError(
+        `${tabela}.${coluna} usa aad e a linha não tem ${typeof campo.aad === 'function' ? 'o aad' : 'a coluna id'} ` +
+        '(inclua o id no insert e no patch de update, ou defina aad como função)',
+        { code: 'MISSING_AAD' }
+      );
+    }
+    return aad;
+  }
 
-    return `${inicio}${meio}${fim}`;
+  /**
+   * Criptografa as colunas da linha declaradas no schema da tabela (e preenche os blind indexes).
+   * Colunas ausentes na linha não são tocadas, então serve para update parcial.
+   * Coluna com aad sem o id (ou sem o aad da função) lança CryptoError MISSING_AAD em qualquer modo.
+   * @param {Object} options
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {Object} Nova linha (a original não é alterada)
+   */
+  encryptRow(tabela, linha, { strict } = {}) {
+    const campos = this.schema[tabela];
+    if (!campos || !linha || typeof linha !== 'object') return linha;
+
+    const resultado = { ...linha };
+    for (const [coluna, campo] of Object.entries(campos)) {
+      if (!Object.prototype.hasOwnProperty.call(linha, coluna)) continue;
+
+      const valor = linha[coluna];
+      // Sem aad lança mesmo fora do modo estrito: gravar null apagaria o valor que já está no banco
+      const options = { aad: this._aadDoCampo(tabela, coluna, campo, linha), strict };
+
+      if (campo.type === 'number') {
+        resultado[coluna] = this.criptografarNumero(valor, options);
+      } else if (campo.type === 'json') {
+        resultado[coluna] = this.criptografarJSON(valor, options);
+      } else {
+        resultado[coluna] = this.criptografar(valor, options);
+      }
+
+      if (campo.blindIndex) {
+        resultado[campo.blindIndex.column] = this.blindIndex(valor, campo.blindIndex.type);
+      }
+    }
+    return resultado;
+  }
+
+  /**
+   * Descriptografa as colunas da linha declaradas no schema da tabela.
+   * @param {Object} options
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {Object} Nova linha com os valores em claro (number/json já convertidos)
+   */
+  decryptRow(tabela, linha, { strict } = {}) {
+    const campos = this.schema[tabela];
+    if (!campos || !linha || typeof linha !== 'object') return linha;
+
+    const resultado = { ...linha };
+    for (const [coluna, campo] of Object.entries(campos)) {
+      const valor = linha[coluna];
+      if (valor === null || valor === undefined) continue;
+
+      let options;
+      try {
+        options = { aad: this._aadDoCampo(tabela, coluna, campo, linha), strict };
+      } catch (error) {
+        // Ex: select sem a coluna id
+        resultado[coluna] = this._falha(error, `descriptografar ${tabela}.${coluna}`, strict);
+        continue;
+      }
+
+      if (campo.type === 'number') {
+        resultado[coluna] = this.descriptografarNumero(valor, options);
+      } else if (campo.type === 'json') {
+        resultado[coluna] = this.descriptografarJSON(valor, options);
+      } else {
+        resultado[coluna] = this.descriptografar(valor, options);
+      }
+    }
+    return resultado;
+  }
+
+  decryptRows(tabela, linhas, options = {}) {
+    return (linhas || []).map((linha) => this.decryptRow(tabela, linha, options));
+  }
+
+  _chaveDeArquivo(kid, salt) {
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new CryptoKeyError(`Chave "${kid}" não está no keyring`, { kid });
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', key, salt, 'enfinia:file', 32));
+  }
+
+  // Cabeçalho + função que criptografa cada bloco, na ordem
+  _cifradorDeArquivo({ aad, chunkSize = FILE_DEFAULT_CHUNK_SIZE } = {}) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > FILE_MAX_CHUNK_SIZE) {
+      throw new CryptoFormatError(`chunkSize deve ser um inteiro entre 1 e ${FILE_MAX_CHUNK_SIZE}`);
+    }
+
+    const salt = crypto.randomBytes(FILE_SALT_BYTES);
+    const header = montarCabecalhoArquivo(this.activeKeyId, chunkSize, salt);
+    const key = this._chaveDeArquivo(this.activeKeyId, salt);
+    // O cabeçalho entra no aad de todos os blocos (kid, tamanho do bloco e salt não podem ser trocados)
+    const dadoAssociado = Buffer.concat([header, toAad(aad) || Buffer.alloc(0)]);
+    let indice = 0;
+
+    return {
+      header,
+      chunkSize,
+      bloco: (texto, ultimo) => {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, ivDoBloco(indice++, ultimo), { authTagLength: GCM_TAG_BYTES });
+        cipher.setAAD(dadoAssociado);
+        return Buffer.concat([cipher.update(texto), cipher.final(), cipher.getAuthTag()]);
+      }
+    };
+  }
+
+  _decifradorDeArquivo(cabecalho, { aad } = {}) {
+    const key = this._chaveDeArquivo(cabecalho.kid, cabecalho.salt);
+    const dadoAssociado = Buffer.concat([cabecalho.header, toAad(aad) || Buffer.alloc(0)]);
+    let indice = 0;
+
+    return {
+      tamanhoBloco: cabecalho.chunkSize + GCM_TAG_BYTES,
+      bloco: (cifrado, ultimo) => {
+        const atual = indice++;
+        if (cifrado.length < GCM_TAG_BYTES) {
+          throw new CryptoIntegrityError('Arquivo criptografado truncado', { kid: cabecalho.kid });
+        }
+
+        try {
+          const decipher = crypto.createDecipheriv('aes-256-gcm', key, ivDoBloco(atual, ultimo), { authTagLength: GCM_TAG_BYTES });
+          decipher.setAAD(dadoAssociado);
+          decipher.setAuthTag(cifrado.subarray(cifrado.length - GCM_TAG_BYTES));
+          return Buffer.concat([decipher.update(cifrado.subarray(0, cifrado.length - GCM_TAG_BYTES)), decipher.final()]);
+        } catch (error) {
+          throw new CryptoIntegrityError(
+            `Falha de autenticação no bloco ${atual}: arquivo adulterado/truncado, aad ou chave incorreta`,
+            { kid: cabecalho.kid, cause: error }
+          );
+        }
+      }
+    };
+  }
+
+  /**
+   * Cabeçalho de um arquivo criptografado (basta o começo do arquivo).
+   * @returns {{ version: number, kid: string, chunkSize: number, current: boolean }|null}
+   */
+  describeFile(buffer) {
+    try {
+      const cabecalho = Buffer.isBuffer(buffer) ? lerCabecalhoArquivo(buffer) : null;
+      if (!cabecalho) return null;
+      return {
+        version: cabecalho.version,
+        kid: cabecalho.kid,
+        chunkSize: cabecalho.chunkSize,
+        current: cabecalho.kid === this.activeKeyId
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Criptografa um arquivo inteiro em memória (mesmo formato de encryptStream).
+   * @param {Buffer|string} dados
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Dado associado (ex: `statements:${userId}:${fileId}`)
+   * @param {number} options.chunkSize - Bytes por bloco (padrão: 64 KiB)
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {Buffer|null}
+   */
+  encryptBuffer(dados, { aad, chunkSize, strict } = {}) {
+    if (dados === null || dados === undefined) {
+      return null;
+    }
+
+    try {
+      const cifrador = this._cifradorDeArquivo({ aad, chunkSize });
+      const buffer = Buffer.isBuffer(dados) ? dados : Buffer.from(String(dados), 'utf8');
+      const partes = [cifrador.header];
+
+      let posicao = 0;
+      while (buffer.length - posicao > cifrador.chunkSize) {
+        partes.push(cifrador.bloco(buffer.subarray(posicao, posicao + cifrador.chunkSize), false));
+        posicao += cifrador.chunkSize;
+      }
+      partes.push(cifrador.bloco(buffer.subarray(posicao), true));
+
+      return Buffer.concat(partes);
+    } catch (error) {
+      const erro = error instanceof CryptoError ? error : new CryptoError(error.message, { kid: this.activeKeyId, cause: error });
+      return this._falha(erro, 'criptografar arquivo', strict);
+    }
+  }
+
+  /**
+   * @param {Buffer} dados - Saída de encryptBuffer/encryptStream
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Mesmo dado associado usado ao criptografar
+   * @param {boolean} options.strict - Sobrescreve o modo estrito do serviço
+   * @returns {Buffer|null}
+   */
+  decryptBuffer(dados, { aad, strict } = {}) {
+    if (dados === null || dados === undefined) {
+      return null;
+    }
+
+    try {
+      if (!Buffer.isBuffer(dados)) {
+        throw new CryptoFormatError('decryptBuffer espera um Buffer');
+      }
+
+      const cabecalho = lerCabecalhoArquivo(dados);
+      if (!cabecalho) {
+        throw new CryptoFormatError('Arquivo criptografado truncado (cabeçalho incompleto)');
+      }
+
+      const decifrador = this._decifradorDeArquivo(cabecalho, { aad });
+      const partes = [];
+
+      let posicao = cabecalho.length;
+      while (dados.length - posicao > decifrador.tamanhoBloco) {
+        partes.push(decifrador.bloco(dados.subarray(posicao, posicao + decifrador.tamanhoBloco), false));
+        posicao += decifrador.tamanhoBloco;
+      }
+      partes.push(decifrador.bloco(dados.subarray(posicao), true));
+
+      return Buffer.concat(partes);
+    } catch (error) {
+      return this._falha(error, 'descriptografar arquivo', strict);
+    }
+  }
+
+  /**
+   * Transform stream que criptografa o que passa por ele, para gravar uploads
+   * direto no storage: `pipeline(upload, cryptoService.encryptStream({ aad }), destino)`.
+   * Erros são emitidos no stream (independe do modo estrito).
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Dado associado
+   * @param {number} options.chunkSize - Bytes por bloco (padrão: 64 KiB)
+   * @returns {Transform}
+   */
+  encryptStream({ aad, chunkSize } = {}) {
+    const cifrador = this._cifradorDeArquivo({ aad, chunkSize });
+    let pendente = Buffer.alloc(0);
+    let cabecalhoEnviado = false;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          if (!cabecalhoEnviado) {
+            this.push(cifrador.header);
+            cabecalhoEnviado = true;
+          }
+
+          pendente = Buffer.concat([pendente, chunk]);
+          while (pendente.length > cifrador.chunkSize) {
+            this.push(cifrador.bloco(pendente.subarray(0, cifrador.chunkSize), false));
+            pendente = pendente.subarray(cifrador.chunkSize);
+          }
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+
+      flush(callback) {
+        try {
+          if (!cabecalhoEnviado) this.push(cifrador.header);
+          this.push(cifrador.bloco(pendente, true));
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Transform stream que descriptografa a saída de encryptStream/encryptBuffer.
+   * Cada bloco é autenticado antes de ser liberado, mas truncamento só é
+   * detectado no fim: se o stream emitir erro, descarte o que já foi lido.
+   * @param {Object} options
+   * @param {string|Buffer} options.aad - Mesmo dado associado usado ao criptografar
+   * @returns {Transform}
+   */
+  decryptStream({ aad } = {}) {
+    const service = this;
+    let pendente = Buffer.alloc(0);
+    let decifrador = null;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          pendente = Buffer.concat([pendente, chunk]);
+
+          if (!decifrador) {
+            const cabecalho = lerCabecalhoArquivo(pendente);
+            if (!cabecalho) return callback();
+            decifrador = service._decifradorDeArquivo(cabecalho, { aad });
+            pendente = pendente.subarray(cabecalho.length);
+          }
+
+          // O último bloco só é conhecido no flush, então sempre fica pelo menos um bloco pendente
+          while (pendente.length > decifrador.tamanhoBloco) {
+            this.push(decifrador.bloco(pendente.subarray(0, decifrador.tamanhoBloco), false));
+            pendente = pendente.subarray(decifrador.tamanhoBloco);
+          }
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+
+      flush(callback) {
+        try {
+          if (!decifrador) {
+            throw new CryptoFormatError('Arquivo criptografado truncado (cabeçalho incompleto)');
+          }
+          this.push(decifrador.bloco(pendente, true));
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  mascararTexto(texto, mostrarInicio = 2, mostrarFim = 2) {
+    return maskText(texto, mostrarInicio, mostrarFim);
   }
 
-  mascararValor(valor) {
+  /**
+   * Por padrão esconde o valor inteiro. Com `faixa: true` mostra só a faixa
+   * (ex: 'R$ 1 a 5 mil'), para dashboards de suporte.
+   * Máscaras de CPF, telefone, conta etc.: ver pii-masking.js (maskObject).
+   */
+  mascararValor(valor, { faixa = false } = {}) {
     if (valor === null || valor === undefined) {
       return 'R$ ****';
     }
 
-    return 'R$ ****';
+    return faixa ? bucketMoney(valor) : 'R$ ****';
   }
 }
 
 module.exports = CryptoService;
+module.exports.parseKeyring = parseKeyring;
+module.exports.LEGACY_KEY_ID = LEGACY_KEY_ID;
+module.exports.CRYPTO_FORMATS = CRYPTO_FORMATS;
+module.exports.BLIND_INDEX_NORMALIZERS = BLIND_INDEX_NORMALIZERS;
+module.exports.FIELD_TYPES = FIELD_TYPES;
+module.exports.CryptoError = CryptoError;
+module.exports.CryptoKeyError = CryptoKeyError;
+module.exports.CryptoFormatError = CryptoFormatError;
+module.exports.CryptoIntegrityError = CryptoIntegrityError;
@@ -0,0 +1,133 @@
+/**
+ * Utilitários de documentos brasileiros (CPF e CNPJ).
+ *
+ * Aceitam valores com ou sem máscara ("10.573.521/0001-91" ou "10573521000191")
+ * e validam os dígitos verificadores antes de qualquer consulta externa.
+ */
+
+const DOCUMENT_TYPES = {
+  CPF: 'CPF',
+  CNPJ: 'CNPJ'
+};
+
+/**
+ * Remove máscara e qualquer caractere não numérico.
+ * Números (ex: vindos de planilha) têm os zeros à esquerda restaurados
+ * até o tamanho de CPF (11) ou CNPJ (14) mais próximo.
+ */
+function stripDocument(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (typeof valor === 'number') {
+    const digitos = String(Math.trunc(Math.abs(valor)));
+    return digitos.length <= 11 ? digitos.padStart(11, '0') : digitos.padStart(14, '0');
+  }
+  return String(valor).replace(/\D/g, '');
+}
+
+function todosIguais(digitos) {
+  return /^(\d)\1+$/.test(digitos);
+}
+
+function digitoVerificador(base, pesos) {
+  const soma = base.split('').reduce((acc, d, i) => acc + Number(d) * pesos[i], 0);
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+}
+
+/**
+ * Valida CPF (com ou sem máscara) pelos dígitos verificadores.
+ */
+function isValidCpf(valor) {
+  const cpf = stripDocument(valor);
+  if (cpf.length !== 11 || todosIguais(cpf)) return false;
+
+  const d1 = digitoVerificador(cpf.slice(0, 9), [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = digitoVerificador(cpf.slice(0, 10), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return cpf.endsWith(`${d1}${d2}`);
+}
+
+/**
+ * Valida CNPJ (com ou sem máscara) pelos dígitos verificadores.
+ */
+function isValidCnpj(valor) {
+  const cnpj = stripDocument(valor);
+  if (cnpj.length !== 14 || todosIguais(cnpj)) return false;
+
+  const d1 = digitoVerificador(cnpj.slice(0, 12), [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = digitoVerificador(cnpj.slice(0, 13), [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return cnpj.endsWith(`${d1}${d2}`);
+}
+
+/**
+ * Identifica o tipo do documento: 'CPF', 'CNPJ' ou null (inválido).
+ * Útil para separar "PIX para pessoa" de "PIX para empresa".
+ */
+function detectDocumentType(valor) {
+  if (isValidCpf(valor)) return DOCUMENT_TYPES.CPF;
+  if (isValidCnpj(valor)) return DOCUMENT_TYPES.CNPJ;
+  return null;
+}
+
+/**
+ * CNPJ só com dígitos, ou null se inválido.
+ */
+function normalizeCnpj(valor) {
+  const cnpj = stripDocument(valor);
+  return isValidCnpj(cnpj) ? cnpj : null;
+}
+
+/**
+ * CPF só com dígitos, ou null se inválido.
+ */
+function normalizeCpf(valor) {
+  const cpf = stripDocument(valor);
+  return isValidCpf(cpf) ? cpf : null;
+}
+
+function formatCpf(valor) {
+  const cpf = stripDocument(valor);
+  if (cpf.length !== 11) return null;
+  return cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+function formatCnpj(valor) {
+  const cnpj = stripDocument(valor);
+  if (cnpj.length !== 14) return null;
+  return cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+}
+
+/**
+ * Formata para exibição conforme o tipo detectado; devolve null se inválido.
+ */
+function formatDocument(valor) {
+  const tipo = detectDocumentType(valor);
+  if (tipo === DOCUMENT_TYPES.CPF) return formatCpf(valor);
+  if (tipo === DOCUMENT_TYPES.CNPJ) return formatCnpj(valor);
+  return null;
+}
+
+/**
+ * Telefone só com DDD + número: '+55 (11) 91234-5678', '0055 11 91234-5678'
+ * e '011 91234-5678' → '11912345678'.
+ */
+function normalizePhone(valor) {
+  let digitos = String(valor).replace(/\D/g, '').replace(/^00/, '');
+  if (digitos.startsWith('55') && (digitos.length === 12 || digitos.length === 13)) {
+    digitos = digitos.slice(2);
+  }
+  return digitos.replace(/^0(?=\d{10,11}$)/, '');
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  stripDocument,
+  isValidCpf,
+  isValidCnpj,
+  detectDocumentType,
+  normalizeCpf,
+  normalizeCnpj,
+  formatCpf,
+  formatCnpj,
+  formatDocument,
+  normalizePhone
+};
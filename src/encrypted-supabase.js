@@ -0,0 +1,110 @@
+const CryptoService = require('./crypto-service');
+const { supabase: sharedSupabase } = require('../lib/supabase-client');
+
+// Métodos do query builder cujo primeiro argumento são linhas a gravar
+const METODOS_ESCRITA = ['insert', 'upsert', 'update'];
+
+function cifrarValores(crypto, tabela, valores) {
+  return Array.isArray(valores)
+    ? valores.map((linha) => crypto.encryptRow(tabela, linha))
+    : crypto.encryptRow(tabela, valores);
+}
+
+function decifrarResposta(crypto, tabela, resposta) {
+  if (!resposta || resposta.error || !resposta.data) return resposta;
+
+  const data = Array.isArray(resposta.data)
+    ? crypto.decryptRows(tabela, resposta.data)
+    : crypto.decryptRow(tabela, resposta.data);
+
+  return { ...resposta, data };
+}
+
+/**
+ * Envolve um query builder do supabase-js: grava linhas criptografadas e
+ * devolve `data` descriptografado. Filtros, order, limit etc. passam direto.
+ */
+function envolverQuery(builder, tabela, crypto) {
+  return new Proxy(builder, {
+    get(target, prop) {
+      if (prop === 'then') {
+        return (onFulfilled, onRejected) => target
+          .then((resposta) => decifrarResposta(crypto, tabela, resposta))
+          .then(onFulfilled, onRejected);
+      }
+
+      if (METODOS_ESCRITA.includes(prop)) {
+        return (valores, ...resto) => envolverQuery(target[prop](cifrarValores(crypto, tabela, valores), ...resto), tabela, crypto);
+      }
+
+      // Busca exata em coluna criptografada pelo blind index (todas as chaves do keyring)
+      if (prop === 'matchBlindIndex') {
+        return (coluna, valor) => {
+          const indice = crypto.schemaField(tabela, coluna)?.blindIndex;
+          if (!indice) {
+            throw new Error(`${tabela}.${coluna} não tem blind index no schema de criptografia`);
+          }
+          return envolverQuery(target.in(indice.column, crypto.blindIndexes(valor, indice.type)), tabela, crypto);
+        };
+      }
+
+      const valor = Reflect.get(target, prop);
+      if (typeof valor !== 'function') return valor;
+
+      return (...args) => {
+        const resultado = valor.apply(target, args);
+        const encadeavel = resultado && typeof resultado.then === 'function' && !(resultado instanceof Promise);
+        return encadeavel ? envolverQuery(resultado, tabela, crypto) : resultado;
+      };
+    }
+  });
+}
+
+/**
+ * Client do Supabase que aplica o schema de criptografia do CryptoService:
+ * insert/upsert/update criptografam as colunas declaradas e select (inclusive
+ * `.insert().select()`) devolve as linhas descriptografadas.
+ *
+ *   const db = createEncryptedSupabase({
+ *     schema: { accounts: { balance: 'number', documento: 'string', meta: 'json' } }
+ *   });
+ *   await db.from('accounts').insert({ user_id, balance: 1520.3, documento: '123...' });
+ *   const { data } = await db.from('accounts').select('*').eq('user_id', userId);
+ *
+ * Filtros em colunas criptografadas não funcionam (o texto muda a cada gravação);
+ * use `.matchBlindIndex(coluna, valor)` nas colunas com blindIndex.
+ * Colunas com `aad: true` precisam do id na linha também no insert (gere o id antes)
+ * e no patch de update (sem ele a chamada lança MISSING_AAD e nada é gravado), e do `id`
+ * no select; ou declare `aad` como função (ver CryptoService.defineSchema).
+ * rpc, storage etc. são repassados sem criptografia.
+ *
+ * @param {Object} options
+ * @param {Object} options.supabase - Padrão: client compartilhado
+ * @param {CryptoService} options.cryptoService - Padrão: new CryptoService()
+ * @param {Object} options.schema - Tabelas a adicionar ao schema do cryptoService (ver CryptoService.defineSchema)
+ */
+function createEncryptedSupabase({ supabase, cryptoService, schema } = {}) {
+  const db = supabase || sharedSupabase;
+  if (!db) {
+    throw new Error('Supabase não configurado - createEncryptedSupabase indisponível');
+  }
+
+  const crypto = cryptoService || new CryptoService();
+  if (schema) crypto.defineSchema(schema);
+
+  return new Proxy(db, {
+    get(target, prop) {
+      if (prop === 'from') {
+        return (tabela) => envolverQuery(target.from(tabela), tabela, crypto);
+      }
+      if (prop === 'cryptoService') return crypto;
+
+      const valor = Reflect.get(target, prop);
+      return typeof valor === 'function' ? valor.bind(target) : valor;
+    }
+  });
+}
+
+module.exports = {
+  createEncryptedSupabase
+};
@@ -45,6 +45,48 @@ const ENV = {
     },
     get CONNECT_URL() {
       return process.env.PLUGGY_CONNECT_URL || 'https://connect.pluggy.ai';
+    },
+    get AUTH_MODE() {
+      return process.env.PLUGGY_AUTH_MODE || 'token';
+    },
+    get RECORD_FIXTURES_TO() {
+      return process.env.PLUGGY_RECORD_FIXTURES_TO;
+    }
+  },
+
+  // 🔑 CRIPTOGRAFIA - Chaves do CryptoService (OBRIGATÓRIAS)
+  crypto: {
+    // Chave antiga (formato iv:ciphertext) - mantenha enquanto houver dados não migrados
+    get ENCRYPTION_KEY() {
+      return process.env.ENCRYPTION_KEY;
+    },
+    // Keyring: JSON {"kid":"segredo"} ou lista "kid1:segredo1,kid2:segredo2"
+    get ENCRYPTION_KEYS() {
+      return process.env.ENCRYPTION_KEYS;
+    },
+    // Chave usada para criptografar (as demais só descriptografam)
+    get ACTIVE_KEY_ID() {
+      return process.env.ENCRYPTION_ACTIVE_KEY_ID;
+    },
+    // Blind index (busca em campos criptografados) - padrão: derivado de ENCRYPTION_KEY (sem ela, obrigatório)
+    get BLIND_INDEX_KEYS() {
+      return process.env.BLIND_INDEX_KEYS;
+    },
+    get BLIND_INDEX_ACTIVE_KEY_ID() {
+      return process.env.BLIND_INDEX_ACTIVE_KEY_ID;
+    },
+    // Modo estrito: erros de chave/formato/integridade lançam exceção em vez de retornar null
+    get STRICT() {
+      return process.env.CRYPTO_STRICT === 'true';
+    }
+  },
+
+  // 🏢 CNPJ - Provedores consultados por BrasilApiClient.cnpjInfo (pode ter default)
+  cnpj: {
+    // Lista separada por vírgula, em ordem (ex: "brasilapi,cnpjws,receitaws")
+    get PROVIDERS() {
+      const lista = (process.env.CNPJ_PROVIDERS || '').split(',').map((p) => p.trim()).filter(Boolean);
+      return lista.length ? lista : ['brasilapi'];
     }
   },
 
@@ -5,8 +5,26 @@ const Logger = require('./logger');
 const AppVars = require('./variables');
 const { ENV } = require('./env');
 const CryptoService = require('./crypto-service');
+const { CryptoError, CryptoKeyError, CryptoFormatError, CryptoIntegrityError } = require('./crypto-service');
+const { reencryptSupabaseColumns } = require('./crypto-rotation');
+const { createEncryptedSupabase } = require('./encrypted-supabase');
 const BrasilApiClient = require('./brasilapi-client');
+const { BrasilApiError } = require('./brasilapi-client');
+const { CnpjProviderChain, createCnpjWsProvider, createReceitaWsProvider } = require('./cnpj-providers');
+const BusinessCalendar = require('./business-calendar');
+const DocumentUtils = require('./document-utils');
+const PiiMasking = require('./pii-masking');
+const { maskObject, bucketMoney } = require('./pii-masking');
+const { scoreCnaeCategory, findCnaeCategory } = require('./cnae-category-scorer');
+const { MemoryCacheStore, SupabaseCacheStore } = require('./cache-store');
 const PluggyClient = require('./pluggy-client');
+const { PluggyApiError } = require('./pluggy-client');
+const PluggyWebhookReceiver = require('./pluggy-webhook');
+const { PluggyWebhookError, PLUGGY_WEBHOOK_EVENTS, parsePluggyWebhook } = require('./pluggy-webhook');
+const { normalizePluggyTransaction, normalizePluggyTransactions } = require('./pluggy-transaction-normalizer');
+const OpenFinanceSync = require('./open-finance-sync');
+const PluggyStubServer = require('./pluggy-stub-server');
+const { PluggyFixtureRecorder, scrubPluggyPayload } = require('./pluggy-fixtures');
 const { supabase } = require('../lib/supabase-client');
 
 module.exports = {
@@ -14,8 +32,38 @@ module.exports = {
   AppVars,
   ENV,
   CryptoService,
+  CryptoError,
+  CryptoKeyError,
+  CryptoFormatError,
+  CryptoIntegrityError,
+  reencryptSupabaseColumns,
+  createEncryptedSupabase,
   BrasilApiClient,
+  BrasilApiError,
+  CnpjProviderChain,
+  createCnpjWsProvider,
+  createReceitaWsProvider,
+  BusinessCalendar,
+  DocumentUtils,
+  PiiMasking,
+  maskObject,
+  bucketMoney,
+  scoreCnaeCategory,
+  findCnaeCategory,
+  MemoryCacheStore,
+  SupabaseCacheStore,
   PluggyClient,
+  PluggyApiError,
+  PluggyWebhookReceiver,
+  PluggyWebhookError,
+  PLUGGY_WEBHOOK_EVENTS,
+  parsePluggyWebhook,
+  normalizePluggyTransaction,
+  normalizePluggyTransactions,
+  OpenFinanceSync,
+  PluggyStubServer,
+  PluggyFixtureRecorder,
+  scrubPluggyPayload,
   supabase
 };
 
@@ -0,0 +1,331 @@
+const Logger = require('./logger');
+const PluggyClient = require('./pluggy-client');
+const { normalizePluggyTransactions } = require('./pluggy-transaction-normalizer');
+const { PLUGGY_WEBHOOK_EVENTS } = require('./pluggy-webhook');
+const { supabase: sharedSupabase } = require('../lib/supabase-client');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function chunk(lista, tamanho) {
+  const partes = [];
+  for (let i = 0; i < lista.length; i += tamanho) {
+    partes.push(lista.slice(i, i + tamanho));
+  }
+  return partes;
+}
+
+function dataIso(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Sincronização incremental de dados Open Finance (Pluggy → Supabase).
+ *
+ * Para cada conta Pluggy mantém um cursor com a última data sincronizada e
+ * a maior `createdAt` vista. Cada execução busca a partir da data do cursor
+ * (menos uma janela de sobreposição, para pegar transações pendentes que
+ * mudaram) e, com `createdAtFrom`, tudo que a Pluggy criou desde o último
+ * sync, mesmo com data antiga. O upsert é por `external_id` (id da transação
+ * na Pluggy), então reimportar o mesmo período nunca duplica registros.
+ *
+ * Limite: uma transação já importada que muda na Pluggy com data anterior à
+ * janela de sobreposição (`overlapDays`) não é relida pelo sync incremental;
+ * para isso rode syncAccount/syncItem com `from`.
+ *
+ * Tabelas esperadas (nomes configuráveis):
+ * - open_finance_transactions: colunas do registro de normalizePluggyTransaction
+ *   + external_item_id, synced_at, deleted_at; UNIQUE(external_id)
+ * - open_finance_sync_cursors: external_item_id, external_account_id (UNIQUE),
+ *   account_id, last_synced_date, last_created_at, synced_at
+ */
+class OpenFinanceSync {
+  constructor({
+    pluggy,
+    supabase,
+    transactionsTable = 'open_finance_transactions',
+    cursorsTable = 'open_finance_sync_cursors',
+    initialLookbackDays = 90,
+    overlapDays = 3,
+    batchSize = 500
+  } = {}) {
+    this.pluggy = pluggy || new PluggyClient();
+    this.supabase = supabase || sharedSupabase;
+    this.transactionsTable = transactionsTable;
+    this.cursorsTable = cursorsTable;
+    this.initialLookbackDays = initialLookbackDays;
+    this.overlapDays = overlapDays;
+    this.batchSize = batchSize;
+  }
+
+  _db() {
+    if (!this.supabase) {
+      throw new Error('Supabase não configurado - OpenFinanceSync indisponível');
+    }
+    return this.supabase;
+  }
+
+  async getCursor(pluggyAccountId) {
+    const { data, error } = await this._db()
+      .from(this.cursorsTable)
+      .select('*')
+      .eq('external_account_id', pluggyAccountId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  async _saveCursor(cursor) {
+    const { error } = await this._db()
+      .from(this.cursorsTable)
+      .upsert(cursor, { onConflict: 'external_account_id' });
+
+    if (error) throw error;
+  }
+
+  async _existingIds(ids) {
+    const existentes = new Set();
+    for (const parte of chunk(ids, 200)) {
+      const { data, error } = await this._db()
+        .from(this.transactionsTable)
+        .select('external_id')
+        .in('external_id', parte);
+
+      if (error) throw error;
+      (data || []).forEach((row) => existentes.add(String(row.external_id)));
+    }
+    return existentes;
+  }
+
+  /**
+   * Data inicial da busca para uma conta, a partir do cursor salvo.
+   */
+  _fromDate(cursor, from) {
+    if (from) return from;
+    if (cursor && cursor.last_synced_date) {
+      return dataIso(new Date(cursor.last_synced_date).getTime() - this.overlapDays * DIA_MS);
+    }
+    return dataIso(Date.now() - this.initialLookbackDays * DIA_MS);
+  }
+
+  /**
+   * Sincroniza uma conta Pluggy.
+   *
+   * @param {string} pluggyAccountId - Id da conta na Pluggy
+   * @param {Object} options
+   * @param {string} options.itemId - Item Pluggy dono da conta
+   * @param {string} options.accountId - Conta Enfinia (gravada em account_id)
+   * @param {string} options.from - Força a data inicial (YYYY-MM-DD), ignorando o cursor
+   * @param {string} options.to - Data final (padrão: hoje)
+   * @returns {Promise<Object>} { pluggyAccountId, from, to, fetched, inserted, updated, cursor }
+   */
+  async syncAccount(pluggyAccountId, { itemId = null, accountId = null, from, to } = {}) {
+    if (!pluggyAccountId) {
+      throw new Error('pluggyAccountId é obrigatório em syncAccount');
+    }
+
+    const cursor = await this.getCursor(pluggyAccountId);
+    const inicio = this._fromDate(cursor, from);
+    const fim = to || dataIso(Date.now());
+
+    const brutas = await this.pluggy.listAllTransactions(pluggyAccountId, { from: inicio, to: fim });
+    // Criadas desde o último sync com data fora da janela (ex: lançamento retroativo)
+    if (!from && cursor?.last_created_at) {
+      const vistas = new Set(brutas.map((tx) => String(tx?.id)));
+      const criadas = await this.pluggy.listAllTransactions(pluggyAccountId, { createdAtFrom: cursor.last_created_at });
+      brutas.push(...criadas.filter((tx) => !vistas.has(String(tx?.id))));
+    }
+
+    const agora = new Date().toISOString();
+    const resolvedItemId = itemId || cursor?.external_item_id || null;
+    const resolvedAccountId = accountId ?? cursor?.account_id ?? null;
+
+    const registros = normalizePluggyTransactions(brutas, { accountId: resolvedAccountId }).map((tx) => ({
+      ...tx,
+      external_item_id: resolvedItemId,
+      synced_at: agora,
+      deleted_at: null
+    }));
+
+    const existentes = registros.length
+      ? await this._existingIds(registros.map((r) => r.external_id))
+      : new Set();
+
+    for (const parte of chunk(registros, this.batchSize)) {
+      const { error } = await this._db()
+        .from(this.transactionsTable)
+        .upsert(parte, { onConflict: 'external_id' });
+
+      if (error) throw error;
+    }
+
+    // Novo cursor: maior data e maior createdAt vistos
+    let ultimaData = cursor?.last_synced_date || null;
+    for (const r of registros) {
+      if (r.date && (!ultimaData || r.date > ultimaData)) ultimaData = r.date;
+    }
+    let ultimaCriacao = cursor?.last_created_at ? Date.parse(cursor.last_created_at) : NaN;
+    for (const tx of brutas) {
+      const criacao = Date.parse(tx?.createdAt);
+      if (!Number.isNaN(criacao) && (Number.isNaN(ultimaCriacao) || criacao > ultimaCriacao)) ultimaCriacao = criacao;
+    }
+    const novoCursor = {
+      external_item_id: resolvedItemId,
+      external_account_id: pluggyAccountId,
+      account_id: resolvedAccountId,
+      last_synced_date: ultimaData,
+      last_created_at: Number.isNaN(ultimaCriacao) ? null : new Date(ultimaCriacao).toISOString(),
+      synced_at: agora
+    };
+    await this._saveCursor(novoCursor);
+
+    const inseridas = registros.filter((r) => !existentes.has(r.external_id)).length;
+
+    return {
+      pluggyAccountId,
+      from: inicio,
+      to: fim,
+      fetched: registros.length,
+      inserted: inseridas,
+      updated: registros.length - inseridas,
+      cursor: novoCursor
+    };
+  }
+
+  /**
+   * Sincroniza todas as contas de um item Pluggy.
+   * Falha em uma conta não interrompe as demais; o erro vai para `errors`.
+   *
+   * @returns {Promise<Object>} Resumo consumível pelos serviços de saldo e resumo:
+   *   { itemId, accountId, startedAt, finishedAt, accounts: [...], totals, balances, errors }
+   */
+  async syncItem(itemId, { accountId = null, from, to } = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em syncItem');
+    }
+
+    const resumo = {
+      itemId,
+      accountId,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      accounts: [],
+      totals: { fetched: 0, inserted: 0, updated: 0, deleted: 0 },
+      balances: [],
+      errors: []
+    };
+
+    const contas = await this.pluggy.listAllAccounts(itemId);
+
+    for (const conta of contas) {
+      resumo.balances.push({
+        pluggyAccountId: conta.id,
+        type: conta.type || null,
+        subtype: conta.subtype || null,
+        name: conta.name || null,
+        balance: conta.balance ?? null,
+        currency: conta.currencyCode || 'BRL'
+      });
+
+      try {
+        const r = await this.syncAccount(conta.id, { itemId, accountId, from, to });
+        resumo.accounts.push(r);
+        resumo.totals.fetched += r.fetched;
+        resumo.totals.inserted += r.inserted;
+        resumo.totals.updated += r.updated;
+      } catch (error) {
+        Logger.error(`❌ Falha ao sincronizar conta Pluggy ${conta.id} (item ${itemId})`, error);
+        resumo.errors.push({ pluggyAccountId: conta.id, message: error.message || String(error) });
+      }
+    }
+
+    resumo.finishedAt = new Date().toISOString();
+    Logger.info(`🔄 Sync Open Finance item ${itemId}: ${resumo.totals.inserted} novas, ${resumo.totals.updated} atualizadas, ${resumo.errors.length} erros`);
+    return resumo;
+  }
+
+  /**
+   * Marca como removidas (deleted_at) transações apagadas na Pluggy.
+   * @returns {Promise<number>} Quantidade de ids processados
+   */
+  async markDeleted(transactionIds = []) {
+    const ids = (transactionIds || []).map(String).filter(Boolean);
+    if (ids.length === 0) return 0;
+
+    const agora = new Date().toISOString();
+    for (const parte of chunk(ids, 200)) {
+      const { error } = await this._db()
+        .from(this.transactionsTable)
+        .update({ deleted_at: agora })
+        .in('external_id', parte);
+
+      if (error) throw error;
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * Liga o sync a um PluggyWebhookReceiver:
+   * - item/updated, transactions/created|updated → syncItem
+   * - transactions/deleted → markDeleted
+   *
+   * Se alguma conta do item falhar, o handler rejeita depois de chamar
+   * onSummary: o evento não fica marcado como processado e a reentrega da
+   * Pluggy sincroniza de novo (o upsert por external_id evita duplicar).
+   *
+   * @param {PluggyWebhookReceiver} receiver
+   * @param {Object} options
+   * @param {Function} options.resolveAccountId - async (event) => conta Enfinia do item
+   * @param {Function} options.onSummary - async (resumo, event) => void
+   */
+  attachWebhooks(receiver, { resolveAccountId, onSummary } = {}) {
+    const sincronizar = async (event) => {
+      const accountId = resolveAccountId ? await resolveAccountId(event) : null;
+
+      // Eventos de transações podem vir só com accountId
+      if (!event.itemId && event.data.accountId) {
+        const r = await this.syncAccount(event.data.accountId, { accountId });
+        if (onSummary) {
+          await onSummary({
+            itemId: r.cursor.external_item_id,
+            accountId,
+            accounts: [r],
+            totals: { fetched: r.fetched, inserted: r.inserted, updated: r.updated, deleted: 0 },
+            errors: []
+          }, event);
+        }
+        return;
+      }
+
+      const resumo = await this.syncItem(event.itemId, { accountId });
+      if (onSummary) await onSummary(resumo, event);
+
+      if (resumo.errors.length > 0) {
+        const contas = resumo.errors.map((e) => e.pluggyAccountId).join(', ');
+        const erro = new Error(`Sync Open Finance do item ${event.itemId} falhou em ${resumo.errors.length} conta(s): ${contas}`);
+        erro.resumo = resumo;
+        throw erro;
+      }
+    };
+
+    receiver.on(PLUGGY_WEBHOOK_EVENTS.ITEM_UPDATED, sincronizar);
+    receiver.on(PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_CREATED, sincronizar);
+    receiver.on(PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_UPDATED, sincronizar);
+    receiver.on(PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_DELETED, async (event) => {
+      const total = await this.markDeleted(event.data.transactionIds);
+      if (onSummary) {
+        await onSummary({
+          itemId: event.itemId,
+          accounts: [],
+          totals: { fetched: 0, inserted: 0, updated: 0, deleted: total },
+          errors: []
+        }, event);
+      }
+    });
+
+    return receiver;
+  }
+}
+
+module.exports = OpenFinanceSync;
@@ -0,0 +1,351 @@
+const { stripDocument, normalizePhone, detectDocumentType, isValidCpf, isValidCnpj, DOCUMENT_TYPES } = require('./document-utils');
+
+/**
+ * Máscaras de dados pessoais para logs, dashboards de suporte e backoffice.
+ *
+ * Cada máscara aceita o valor com ou sem formatação e devolve uma string
+ * segura para exibir. Valores vazios (null, undefined, '') voltam como vieram.
+ */
+
+const MASCARA = '****';
+
+// Faixas de valor (limite superior exclusivo) para não exibir o valor exato
+const MONEY_BUCKETS = [
+  { max: 100, label: 'até R$ 100' },
+  { max: 500, label: 'R$ 100 a 500' },
+  { max: 1000, label: 'R$ 500 a 1 mil' },
+  { max: 5000, label: 'R$ 1 a 5 mil' },
+  { max: 10000, label: 'R$ 5 a 10 mil' },
+  { max: 50000, label: 'R$ 10 a 50 mil' },
+  { max: 100000, label: 'R$ 50 a 100 mil' },
+  { max: 500000, label: 'R$ 100 a 500 mil' },
+  { max: 1000000, label: 'R$ 500 mil a 1 milhão' },
+  { max: Infinity, label: 'acima de R$ 1 milhão' }
+];
+
+const REGEX_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REGEX_UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function vazio(valor) {
+  return valor === null || valor === undefined || valor === '';
+}
+
+/**
+ * Mantém os primeiros/últimos caracteres: 'abcdefgh' → 'ab****gh'.
+ */
+function maskText(texto, mostrarInicio = 2, mostrarFim = 2) {
+  if (!texto || typeof texto !== 'string') {
+    return MASCARA;
+  }
+
+  if (texto.length < 4) {
+    return MASCARA;
+  }
+
+  const inicio = texto.substring(0, mostrarInicio);
+  const fim = texto.substring(texto.length - mostrarFim);
+  const tamanhoMeio = Math.max(4, texto.length - mostrarInicio - mostrarFim);
+
+  return `${inicio}${'*'.repeat(tamanhoMeio)}${fim}`;
+}
+
+/**
+ * '529.982.247-25' → '***.982.247-**'
+ */
+function maskCpf(valor) {
+  if (vazio(valor)) return valor;
+  const digitos = stripDocument(valor);
+  if (digitos.length !== 11) return maskText(String(valor));
+  return `***.${digitos.slice(3, 6)}.${digitos.slice(6, 9)}-**`;
+}
+
+// '10.573.521/0001-91' → '10.***.***/0001-**' (raiz parcial e filial visíveis)
+function maskCnpj(valor) {
+  if (vazio(valor)) return valor;
+  const digitos = stripDocument(valor);
+  if (digitos.length !== 14) return maskText(String(valor));
+  return `${digitos.slice(0, 2)}.***.***/${digitos.slice(8, 12)}-**`;
+}
+
+/**
+ * CPF ou CNPJ, conforme o número de dígitos.
+ */
+function maskDocument(valor) {
+  if (vazio(valor)) return valor;
+  const tipo = detectDocumentType(valor);
+  if (tipo === DOCUMENT_TYPES.CPF) return maskCpf(valor);
+  if (tipo === DOCUMENT_TYPES.CNPJ) return maskCnpj(valor);
+  return maskText(String(valor));
+}
+
+/**
+ * '+55 11 91234-5678' → '(11) *****-5678'
+ */
+function maskPhone(valor) {
+  if (vazio(valor)) return valor;
+  const digitos = normalizePhone(valor);
+  if (digitos.length === 10 || digitos.length === 11) {
+    return `(${digitos.slice(0, 2)}) ${'*'.repeat(digitos.length - 6)}-${digitos.slice(-4)}`;
+  }
+  return digitos.length > 4 ? `${'*'.repeat(digitos.length - 4)}${digitos.slice(-4)}` : MASCARA;
+}
+
+/**
+ * 'joao.silva@gmail.com' → 'j***@gmail.com'
+ */
+function maskEmail(valor) {
+  if (vazio(valor)) return valor;
+  const email = String(valor).trim();
+  if (!REGEX_EMAIL.test(email)) return maskText(email);
+
+  const arroba = email.lastIndexOf('@');
+  return `${email[0]}***${email.slice(arroba)}`;
+}
+
+// Mantém os últimos `visiveis` dígitos do número e o dígito verificador: '12345-6' → '***45-6'
+function mascararComDigito(valor, visiveis) {
+  const texto = String(valor).trim();
+  const separador = texto.lastIndexOf('-');
+  const corpo = (separador > 0 ? texto.slice(0, separador) : texto).replace(/\D/g, '');
+  const digito = separador > 0 ? texto.slice(separador + 1).trim() : '';
+
+  if (corpo.length <= visiveis) return digito ? `${MASCARA}-${digito}` : MASCARA;
+  const mascarado = `${'*'.repeat(Math.max(2, corpo.length - visiveis))}${corpo.slice(-visiveis)}`;
+  return digito ? `${mascarado}-${digito}` : mascarado;
+}
+
+/**
+ * '1234-5' → '**34-5'
+ */
+function maskBankAgency(valor) {
+  if (vazio(valor)) return valor;
+  return mascararComDigito(valor, 2);
+}
+
+/**
+ * '0012345-6' → '*****45-6'
+ */
+function maskBankAccount(valor) {
+  if (vazio(valor)) return valor;
+  return mascararComDigito(valor, 2);
+}
+
+/**
+ * '4111 1111 1111 1111' → '**** **** **** 1111' (só os 4 últimos dígitos, como no comprovante)
+ */
+function maskCardNumber(valor) {
+  if (vazio(valor)) return valor;
+  const digitos = String(valor).replace(/\D/g, '');
+  if (digitos.length < 12) return MASCARA;
+  return `**** **** **** ${digitos.slice(-4)}`;
+}
+
+/**
+ * Chave PIX de qualquer tipo: CPF, CNPJ, e-mail, telefone ou aleatória (EVP).
+ */
+function maskPixKey(valor) {
+  if (vazio(valor)) return valor;
+  const chave = String(valor).trim();
+
+  if (REGEX_UUID.test(chave)) return `${chave.slice(0, 4)}****${chave.slice(-4)}`;
+  if (chave.includes('@')) return maskEmail(chave);
+  if (chave.startsWith('+')) return maskPhone(chave);
+
+  const digitos = stripDocument(chave);
+  if (digitos.length === 11 && isValidCpf(digitos)) return maskCpf(digitos);
+  if (digitos.length === 14 && isValidCnpj(digitos)) return maskCnpj(digitos);
+  if (digitos.length >= 10 && digitos.length <= 13) return maskPhone(digitos);
+  return maskText(chave);
+}
+
+// Aceita número ou texto ('1.234,56', 'R$ 1.234.567', 'R$ 1234.56'). Sem vírgula, o ponto é de
+// milhar quando há mais de um ou quando vem seguido de exatamente 3 dígitos ('1.234' = 1234)
+function paraNumero(valor) {
+  if (typeof valor === 'number') return valor;
+  let texto = String(valor).replace(/[R$\s]/g, '');
+  if (texto.includes(',')) {
+    texto = texto.replace(/\./g, '').replace(',', '.');
+  } else if ((texto.match(/\./g) || []).length > 1 || /\.\d{3}$/.test(texto)) {
+    texto = texto.replace(/\./g, '');
+  }
+  return texto === '' ? NaN : Number(texto);
+}
+
+/**
+ * Faixa do valor em vez do valor exato: 3200 → 'R$ 1 a 5 mil'.
+ * Negativos usam a faixa do valor absoluto com '(negativo)'.
+ * @param {number|string} valor
+ * @param {Object} options
+ * @param {Array<{ max: number, label: string }>} options.buckets - Faixas em ordem crescente (padrão: MONEY_BUCKETS)
+ */
+function bucketMoney(valor, { buckets = MONEY_BUCKETS } = {}) {
+  if (vazio(valor)) return 'R$ ****';
+
+  const numero = paraNumero(valor);
+  if (!Number.isFinite(numero)) return 'R$ ****';
+  if (numero === 0) return 'R$ 0';
+
+  const faixa = buckets.find((b) => Math.abs(numero) < b.max) || buckets[buckets.length - 1];
+  return numero < 0 ? `${faixa.label} (negativo)` : faixa.label;
+}
+
+const MASKERS = {
+  cpf: maskCpf,
+  cnpj: maskCnpj,
+  document: maskDocument,
+  phone: maskPhone,
+  email: maskEmail,
+  bankAgency: maskBankAgency,
+  bankAccount: maskBankAccount,
+  pixKey: maskPixKey,
+  card: maskCardNumber,
+  money: (valor) => bucketMoney(valor),
+  text: (valor) => maskText(String(valor)),
+  redact: () => MASCARA
+};
+
+/**
+ * Política padrão do maskObject: nome do campo (ou caminho) → máscara.
+ * Nomes são comparados sem diferenciar maiúsculas, '_' e '-' (chave_pix = chavePix).
+ */
+const DEFAULT_MASK_POLICY = {
+  cpf: 'cpf',
+  cnpj: 'cnpj',
+  documento: 'document',
+  document: 'document',
+  taxNumber: 'document',
+  telefone: 'phone',
+  telefones: 'phone',
+  celular: 'phone',
+  phone: 'phone',
+  phones: 'phone',
+  phoneNumber: 'phone',
+  phoneNumbers: 'phone',
+  email: 'email',
+  emails: 'email',
+  agencia: 'bankAgency',
+  agency: 'bankAgency',
+  branch: 'bankAgency',
+  numeroConta: 'bankAccount',
+  accountNumber: 'bankAccount',
+  'conta.numero': 'bankAccount',
+  chavePix: 'pixKey',
+  pixKey: 'pixKey',
+  numeroCartao: 'card',
+  cardNumber: 'card',
+  saldo: 'money',
+  balance: 'money',
+  renda: 'money',
+  income: 'money',
+  senha: 'redact',
+  password: 'redact',
+  secret: 'redact',
+  clientSecret: 'redact',
+  token: 'redact',
+  accessToken: 'redact',
+  refreshToken: 'redact',
+  connectToken: 'redact',
+  apiKey: 'redact'
+};
+
+function normalizarChave(chave) {
+  return String(chave).toLowerCase().replace(/[_-]/g, '');
+}
+
+function normalizarPolitica(policy) {
+  const chaves = new Map();
+  const caminhos = [];
+
+  for (const [chave, regra] of Object.entries(policy || {})) {
+    if (typeof regra !== 'function' && regra !== 'remove' && !MASKERS[regra]) {
+      throw new Error(`Máscara desconhecida para "${chave}": ${regra} - use ${Object.keys(MASKERS).join(', ')}, remove ou uma função`);
+    }
+
+    if (chave.includes('.')) {
+      caminhos.push({ caminho: chave.split('.').map(normalizarChave).join('.'), regra });
+    } else {
+      chaves.set(normalizarChave(chave), regra);
+    }
+  }
+
+  return { chaves, caminhos };
+}
+
+function aplicarRegra(regra, valor, chave) {
+  if (typeof regra === 'function') return regra(valor, chave);
+  if (vazio(valor)) return valor;
+  if (Array.isArray(valor)) return valor.map((item) => aplicarRegra(regra, item, chave));
+  if (typeof valor === 'object') return MASCARA;
+  return MASKERS[regra](valor);
+}
+
+/**
+ * Aplica as máscaras num payload (objetos e arrays aninhados) antes de logar
+ * ou enviar ao backoffice. Não altera o original.
+ *
+ *   maskObject(payload)  // política padrão (cpf, telefone, email, saldo, senha...)
+ *   maskObject(payload, { ...DEFAULT_MASK_POLICY, valor: 'money', observacao: 'remove' })
+ *
+ * Regras: nome de máscara (cpf, cnpj, document, phone, email, bankAgency,
+ * bankAccount, pixKey, card, money, text, redact), 'remove' (tira o campo)
+ * ou função (valor, chave) => valor. Chaves com ponto ('conta.numero') casam
+ * com o fim do caminho, em qualquer profundidade; índices de array são ignorados.
+ *
+ * @param {*} valor
+ * @param {Object} policy - Padrão: DEFAULT_MASK_POLICY
+ * @returns {*} Cópia mascarada
+ */
+function maskObject(valor, policy = DEFAULT_MASK_POLICY) {
+  const { chaves, caminhos } = normalizarPolitica(policy);
+  const pilha = new WeakSet();
+
+  const regraPara = (caminho) => {
+    const completo = caminho.join('.');
+    const porCaminho = caminhos.find((c) => completo === c.caminho || completo.endsWith(`.${c.caminho}`));
+    return porCaminho ? porCaminho.regra : chaves.get(caminho[caminho.length - 1]);
+  };
+
+  const visitar = (atual, caminho) => {
+    if (!atual || typeof atual !== 'object' || atual instanceof Date || Buffer.isBuffer(atual)) {
+      return atual;
+    }
+    if (pilha.has(atual)) return '[Circular]';
+
+    pilha.add(atual);
+    let saida;
+    if (Array.isArray(atual)) {
+      saida = atual.map((item) => visitar(item, caminho));
+    } else {
+      saida = {};
+      for (const [chave, v] of Object.entries(atual)) {
+        const subCaminho = [...caminho, normalizarChave(chave)];
+        const regra = regraPara(subCaminho);
+
+        if (regra === 'remove') continue;
+        saida[chave] = regra ? aplicarRegra(regra, v, chave) : visitar(v, subCaminho);
+      }
+    }
+    pilha.delete(atual);
+    return saida;
+  };
+
+  return visitar(valor, []);
+}
+
+module.exports = {
+  MONEY_BUCKETS,
+  MASKERS,
+  DEFAULT_MASK_POLICY,
+  maskText,
+  maskCpf,
+  maskCnpj,
+  maskDocument,
+  maskPhone,
+  maskEmail,
+  maskBankAgency,
+  maskBankAccount,
+  maskCardNumber,
+  maskPixKey,
+  bucketMoney,
+  maskObject
+};
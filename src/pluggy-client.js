@@ -2,17 +2,207 @@ require('dotenv').config({ path: process.env.CONFIG_PATH || '.env' });
 
 const Logger = require('./logger');
 const { ENV } = require('./env');
+const { PluggyFixtureRecorder } = require('./pluggy-fixtures');
+const { normalizePluggyTransaction } = require('./pluggy-transaction-normalizer');
+
+// Limite de registros por página aceito pela Pluggy nos endpoints de listagem
+const PAGE_SIZE_MAX = 500;
+
+// Status de item (conexão) na Pluggy
+const ITEM_STATUS = {
+  UPDATING: 'UPDATING',
+  UPDATED: 'UPDATED',
+  LOGIN_ERROR: 'LOGIN_ERROR',
+  OUTDATED: 'OUTDATED',
+  WAITING_USER_INPUT: 'WAITING_USER_INPUT',
+  WAITING_USER_ACTION: 'WAITING_USER_ACTION',
+  MERGING: 'MERGING'
+};
+
+// Status em que o item para de mudar sozinho (sucesso, erro ou depende do usuário)
+const ITEM_STATUS_FINAIS = [
+  ITEM_STATUS.UPDATED,
+  ITEM_STATUS.LOGIN_ERROR,
+  ITEM_STATUS.OUTDATED,
+  ITEM_STATUS.WAITING_USER_INPUT,
+  ITEM_STATUS.WAITING_USER_ACTION
+];
+
+// Mensagens para o usuário final (WhatsApp) por status do item
+const ITEM_STATUS_MENSAGENS = {
+  UPDATING: '🔄 Estamos sincronizando com o seu banco. Isso pode levar alguns minutos.',
+  UPDATED: '✅ Conexão com o banco atualizada com sucesso!',
+  LOGIN_ERROR: '❌ O banco recusou o acesso. Confira seus dados e conecte a conta novamente.',
+  OUTDATED: '⚠️ Não conseguimos atualizar seus dados agora. Vamos tentar de novo mais tarde.',
+  WAITING_USER_INPUT: '🔐 O banco pediu uma confirmação extra (ex: código/token). Responda com o código para continuar.',
+  WAITING_USER_ACTION: '📱 O banco precisa que você conclua uma ação no app ou site dele para continuar.',
+  MERGING: '🔄 Estamos organizando os dados recebidos do banco.'
+};
+
+// Estratégias de autenticação suportadas:
+// - token: POST /auth/token → accessToken, enviado como "Authorization: Bearer"
+// - apiKey: POST /auth → apiKey, enviado no header "X-API-KEY"
+const AUTH_MODES = {
+  TOKEN: 'token',
+  API_KEY: 'apiKey'
+};
+
+// A resposta de /auth não informa validade; a Pluggy documenta 2 horas
+const API_KEY_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Nomes informais → termo de busca do conector (respostas livres no WhatsApp).
+// Chaves já no formato de normalizarNomeConector (minúsculas, sem acento)
+const CONNECTOR_ALIASES = {
+  'nu': 'nubank',
+  'roxinho': 'nubank',
+  'bb': 'banco do brasil',
+  'cef': 'caixa economica federal',
+  'caixa': 'caixa economica federal',
+  'itau': 'itau unibanco',
+  'santander': 'santander',
+  'bradesco': 'bradesco',
+  'inter': 'banco inter',
+  'c6': 'c6 bank',
+  'xp': 'xp investimentos',
+  'mp': 'mercado pago',
+  'picpay': 'picpay',
+  'btg': 'btg pactual',
+  'sicoob': 'sicoob',
+  'sicredi': 'sicredi'
+};
+
+// Palavras que não ajudam a diferenciar instituições
+const CONNECTOR_STOPWORDS = ['banco', 'bank', 'sa', 's/a', 'de', 'do', 'da', 'pf', 'pj', 'conta', 'meu', 'minha', 'o', 'a', 'e', 'no', 'na', 'uso'];
+
+// Status HTTP considerados transitórios (vale a pena tentar de novo)
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// Métodos repetidos automaticamente após timeout, falha de rede ou 5xx.
+// Os demais (POST, PATCH, DELETE) podem já ter sido aplicados pela Pluggy;
+// só são repetidos com `idempotent: true` na chamada.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Erro tipado para respostas não-2xx (ou falhas de rede) da Pluggy API.
+ *
+ * - status: status HTTP (0 quando a requisição nem chegou a ter resposta)
+ * - method/path: chamada que falhou
+ * - body: corpo da resposta (JSON quando possível, senão texto)
+ */
+class PluggyApiError extends Error {
+  constructor(message, { status = 0, method = null, path = null, body = null, cause } = {}) {
+    super(message);
+    this.name = 'PluggyApiError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    return this.status === 0 || RETRYABLE_STATUS.includes(this.status);
+  }
+}
+
+/**
+ * Normaliza nome de instituição para comparação: minúsculas, sem acentos,
+ * sem pontuação e sem palavras genéricas ("banco", "S.A.", ...).
+ */
+function normalizarNomeConector(nome) {
+  return String(nome || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t && !CONNECTOR_STOPWORDS.includes(t))
+    .join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let anterior = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      atual[j] = Math.min(atual[j - 1] + 1, anterior[j] + 1, anterior[j - 1] + custo);
+    }
+    anterior = atual;
+  }
+  return anterior[b.length];
+}
+
+/**
+ * Similaridade (0 a 1) entre a resposta do usuário e o nome do conector.
+ * Match exato vale 1; nome contido na resposta (ou vice-versa) vale 0.9;
+ * fora isso, usa a distância de Levenshtein normalizada.
+ */
+function similaridadeConector(resposta, nome) {
+  const a = normalizarNomeConector(resposta);
+  const b = normalizarNomeConector(nome);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (b.split(' ').includes(a) || a.split(' ').includes(b) || b.startsWith(`${a} `) || a.startsWith(`${b} `)) {
+    return 0.9;
+  }
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Converte o header Retry-After (segundos ou data HTTP) em milissegundos.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function* normalizarTransacoes(registros, options) {
+  for await (const tx of registros) {
+    const normalizada = normalizePluggyTransaction(tx, options);
+    if (normalizada) yield normalizada;
+  }
+}
 
 /**
  * Cliente mínimo para a Pluggy Data API (Open Finance).
  *
- * Usa autenticação via clientId/clientSecret para obter um accessToken e
- * oferece alguns métodos utilitários para ler itens, contas e transações.
+ * Usa autenticação via clientId/clientSecret para obter um accessToken
+ * (authMode 'token', padrão) ou uma apiKey (authMode 'apiKey') e oferece métodos utilitários para ler itens, contas, transações,
+ * investimentos, empréstimos, faturas de cartão e identidade.
+ *
+ * Falhas transitórias (429, 5xx, rede, timeout) são repetidas com backoff
+ * exponencial + jitter; um 401 força uma única renovação do token. Em POST,
+ * PATCH e DELETE só o 429 é repetido, salvo `idempotent: true` na chamada.
  *
  * Env vars esperadas:
  * - PLUGGY_CLIENT_ID
  * - PLUGGY_CLIENT_SECRET
  * - PLUGGY_BASE_URL (opcional, padrão: https://api.pluggy.ai)
+ * - PLUGGY_AUTH_MODE (opcional, 'token' ou 'apiKey', padrão: token)
+ * - PLUGGY_RECORD_FIXTURES_TO (opcional, grava respostas sanitizadas nesse arquivo)
  */
 class PluggyClient {
   constructor(options = {}) {
@@ -20,8 +210,28 @@ class PluggyClient {
     this.clientSecret = options.clientSecret || ENV.pluggy.CLIENT_SECRET || '';
     this.baseUrl = (options.baseUrl || ENV.pluggy.BASE_URL || 'https://api.pluggy.ai').replace(/\/$/, '');
 
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? 10_000;
+    this.timeoutMs = options.timeoutMs ?? 30_000;
+
+    // Cache em memória do catálogo de conectores (muda raramente)
+    this.connectorCacheTtlMs = options.connectorCacheTtlMs ?? 6 * 60 * 60 * 1000;
+    this.cache = new Map();
+
+    this.authMode = options.authMode || ENV.pluggy.AUTH_MODE || AUTH_MODES.TOKEN;
+    if (!Object.values(AUTH_MODES).includes(this.authMode)) {
+      throw new Error(`authMode inválido em PluggyClient: ${this.authMode} (use 'token' ou 'apiKey')`);
+    }
+
     this.accessToken = null;
     this.accessTokenExpiresAt = 0;
+    this.apiKey = null;
+    this.apiKeyExpiresAt = 0;
+
+    // Modo gravação: respostas reais viram fixtures para o PluggyStubServer
+    const recordTo = options.recordFixturesTo || ENV.pluggy.RECORD_FIXTURES_TO;
+    this.recorder = options.recorder || (recordTo ? new PluggyFixtureRecorder(recordTo) : null);
 
     if (!this.clientId || !this.clientSecret) {
       Logger.warn('⚠️ PLUGGY_CLIENT_ID/PLUGGY_CLIENT_SECRET não configurados - PluggyClient desabilitado');
@@ -36,38 +246,110 @@ class PluggyClient {
     return this.enabled;
   }
 
-  async _ensureToken() {
+  /**
+   * Executa um fetch com timeout via AbortController. O timeout cobre também
+   * a leitura do corpo, que volta como texto em `{ status, ok, headers, text }`.
+   * Falhas de rede e timeouts viram PluggyApiError com status 0.
+   */
+  async _fetch(url, init, { method, path, timeoutMs = this.timeoutMs } = {}) {
+    if (typeof fetch === 'undefined') {
+      throw new Error('fetch não disponível no runtime Node - não é possível chamar Pluggy');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const resp = await fetch(url, { ...init, signal: controller.signal });
+      const text = await resp.text();
+      return { status: resp.status, ok: resp.ok, headers: resp.headers, text };
+    } catch (e) {
+      const motivo = e.name === 'AbortError' ? `timeout após ${timeoutMs}ms` : (e.message || 'falha de rede');
+      throw new PluggyApiError(`Erro Pluggy ${method} ${path} (${motivo})`, { method, path, cause: e });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Calcula a espera antes da próxima tentativa: respeita Retry-After quando
+   * presente, senão usa backoff exponencial com jitter ("full jitter").
+   */
+  _retryDelay(attempt, retryAfterMs = null) {
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.retryMaxDelayMs);
+    }
+    const teto = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * teto);
+  }
+
+  /**
+   * Devolve a credencial válida para o authMode configurado (accessToken ou
+   * apiKey), autenticando de novo quando ausente, perto de expirar ou `force`.
+   */
+  async _ensureToken({ force = false } = {}) {
     if (!this.enabled) {
       throw new Error('PluggyClient desabilitado (credenciais ausentes)');
     }
 
+    const usaApiKey = this.authMode === AUTH_MODES.API_KEY;
     const now = Date.now();
-    if (this.accessToken && now < this.accessTokenExpiresAt - 60_000) {
-      return this.accessToken;
-    }
 
-    if (typeof fetch === 'undefined') {
-      throw new Error('fetch não disponível no runtime Node - não é possível chamar Pluggy');
+    if (!force) {
+      if (usaApiKey && this.apiKey && now < this.apiKeyExpiresAt - 60_000) {
+        return this.apiKey;
+      }
+      if (!usaApiKey && this.accessToken && now < this.accessTokenExpiresAt - 60_000) {
+        return this.accessToken;
+      }
     }
 
-    const url = `${this.baseUrl}/auth/token`;
+    const path = usaApiKey ? '/auth' : '/auth/token';
 
-    const resp = await fetch(url, {
+    const resp = await this._fetch(`${this.baseUrl}${path}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         clientId: this.clientId,
         clientSecret: this.clientSecret
       })
-    });
+    }, { method: 'POST', path });
 
     if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      Logger.error('❌ Falha ao autenticar na Pluggy API:', resp.status, text);
-      throw new Error(`Falha ao autenticar na Pluggy API (status ${resp.status})`);
+      const body = parseBody(resp.text);
+      Logger.error(`❌ Falha ao autenticar na Pluggy API (status ${resp.status})`, body);
+      throw new PluggyApiError(`Falha ao autenticar na Pluggy API (status ${resp.status})`, {
+        status: resp.status,
+        method: 'POST',
+        path,
+        body
+      });
+    }
+
+    let json;
+    try {
+      json = JSON.parse(resp.text);
+    } catch (e) {
+      throw new PluggyApiError(`Resposta de autenticação da Pluggy não é JSON válido (${path})`, {
+        status: resp.status,
+        method: 'POST',
+        path,
+        body: resp.text,
+        cause: e
+      });
+    }
+
+    if (usaApiKey) {
+      if (!json.apiKey) {
+        throw new Error('Resposta de autenticação da Pluggy não contém apiKey');
+      }
+
+      this.apiKey = json.apiKey;
+      this.apiKeyExpiresAt = now + API_KEY_TTL_MS;
+
+      return this.apiKey;
     }
 
-    const json = await resp.json();
     const token = json.accessToken || json.access_token;
     const expiresIn = Number(json.expiresIn || json.expires_in || 3600);
 
@@ -81,9 +363,44 @@ class PluggyClient {
     return this.accessToken;
   }
 
-  async _request(method, path, { query, body } = {}) {
-    const token = await this._ensureToken();
+  _authHeaders(credential) {
+    return this.authMode === AUTH_MODES.API_KEY
+      ? { 'X-API-KEY': credential }
+      : { Authorization: `Bearer ${credential}` };
+  }
 
+  /**
+   * Descarta a credencial em cache (força nova autenticação na próxima chamada).
+   */
+  clearCredentials() {
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.apiKey = null;
+    this.apiKeyExpiresAt = 0;
+  }
+
+  /**
+   * Faz uma chamada autenticada à Pluggy API.
+   *
+   * @param {string} method - Método HTTP
+   * @param {string} path - Caminho relativo ao baseUrl
+   * @param {Object} options
+   * @param {Object} options.query - Query string (valores null/undefined são ignorados)
+   * @param {Object} options.body - Corpo JSON
+   * @param {number} options.timeoutMs - Timeout desta chamada (padrão: this.timeoutMs)
+   * @param {number} options.maxRetries - Tentativas extras (padrão: this.maxRetries)
+   * @param {boolean} options.idempotent - Repete após timeout/rede/5xx mesmo fora de
+   *   GET/HEAD/OPTIONS (use só quando reenviar a chamada é seguro). 429 e a renovação
+   *   após 401 valem para qualquer método, pois a Pluggy recusou a requisição.
+   * @throws {PluggyApiError}
+   */
+  async _request(method, path, {
+    query,
+    body,
+    timeoutMs,
+    maxRetries = this.maxRetries,
+    idempotent = IDEMPOTENT_METHODS.includes(method)
+  } = {}) {
     const url = new URL(`${this.baseUrl}${path}`);
     if (query && typeof query === 'object') {
       Object.entries(query).forEach(([key, value]) => {
@@ -92,31 +409,83 @@ class PluggyClient {
       });
     }
 
-    const headers = {
-      Authorization: `Bearer ${token}`
-    };
+    let reautenticado = false;
+    let attempt = 0;
 
-    if (body) {
-      headers['Content-Type'] = 'application/json';
-    }
+    for (;;) {
+      const credential = await this._ensureToken();
 
-    const resp = await fetch(url.toString(), {
-      method,
-      headers,
-      body: body ? JSON.stringify(body) : undefined
-    });
+      const headers = this._authHeaders(credential);
 
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      Logger.error(`❌ Erro na chamada Pluggy ${method} ${path}:`, resp.status, text);
-      throw new Error(`Erro Pluggy ${method} ${path} (status ${resp.status})`);
-    }
+      if (body) {
+        headers['Content-Type'] = 'application/json';
+      }
 
-    try {
-      return await resp.json();
-    } catch (e) {
-      Logger.warn(`⚠️ Resposta Pluggy ${method} ${path} não é JSON válido:`, e);
-      return null;
+      let resp;
+      try {
+        resp = await this._fetch(url.toString(), {
+          method,
+          headers,
+          body: body ? JSON.stringify(body) : undefined
+        }, { method, path, timeoutMs });
+      } catch (error) {
+        if (error instanceof PluggyApiError && idempotent && attempt < maxRetries) {
+          const espera = this._retryDelay(attempt);
+          Logger.warn(`⚠️ ${error.message} - nova tentativa em ${espera}ms (${attempt + 1}/${maxRetries})`);
+          attempt += 1;
+          await sleep(espera);
+          continue;
+        }
+        Logger.error(`❌ Erro na chamada Pluggy ${method} ${path}`, error);
+        throw error;
+      }
+
+      if (resp.ok) {
+        if (resp.status === 204) return null;
+        let json;
+        try {
+          json = JSON.parse(resp.text);
+        } catch (e) {
+          Logger.warn(`⚠️ Resposta Pluggy ${method} ${path} não é JSON válido:`, e);
+          return null;
+        }
+        if (this.recorder) {
+          try {
+            this.recorder.capture(method, path, json, url.searchParams);
+          } catch (e) {
+            Logger.warn(`⚠️ Falha ao gravar fixture Pluggy ${method} ${path}:`, e);
+          }
+        }
+        return json;
+      }
+
+      // Credencial revogada antes de expirar: renova uma única vez e repete
+      if (resp.status === 401 && !reautenticado) {
+        Logger.warn(`⚠️ Pluggy ${method} ${path} retornou 401 - renovando credencial`);
+        reautenticado = true;
+        this.clearCredentials();
+        await this._ensureToken({ force: true });
+        continue;
+      }
+
+      const respBody = parseBody(resp.text);
+      const repetivel = resp.status === 429 || (idempotent && RETRYABLE_STATUS.includes(resp.status));
+
+      if (repetivel && attempt < maxRetries) {
+        const espera = this._retryDelay(attempt, parseRetryAfter(resp.headers.get('retry-after')));
+        Logger.warn(`⚠️ Pluggy ${method} ${path} retornou ${resp.status} - nova tentativa em ${espera}ms (${attempt + 1}/${maxRetries})`);
+        attempt += 1;
+        await sleep(espera);
+        continue;
+      }
+
+      Logger.error(`❌ Erro na chamada Pluggy ${method} ${path} (status ${resp.status})`, respBody);
+      throw new PluggyApiError(`Erro Pluggy ${method} ${path} (status ${resp.status})`, {
+        status: resp.status,
+        method,
+        path,
+        body: respBody
+      });
     }
   }
 
@@ -138,6 +507,106 @@ class PluggyClient {
     return this._request('GET', `/items/${encodeURIComponent(itemId)}`);
   }
 
+  /**
+   * Dispara a atualização (sync) de um item na instituição.
+   * Também aceita novas credenciais/parâmetros ou webhookUrl.
+   *
+   * @param {string} itemId
+   * @param {Object} data - { parameters, webhookUrl, clientUserId } (opcional)
+   */
+  async updateItem(itemId, data = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em updateItem');
+    }
+    return this._request('PATCH', `/items/${encodeURIComponent(itemId)}`, { body: data });
+  }
+
+  /**
+   * Remove um item (desconecta o banco e apaga os dados na Pluggy).
+   */
+  async deleteItem(itemId) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em deleteItem');
+    }
+    return this._request('DELETE', `/items/${encodeURIComponent(itemId)}`);
+  }
+
+  /**
+   * Envia os parâmetros de MFA pedidos por um item em WAITING_USER_INPUT.
+   *
+   * @param {string} itemId
+   * @param {Object} parameters - Ex: { token: '123456' } (nome vem de item.parameter.name)
+   */
+  async submitMfa(itemId, parameters = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em submitMfa');
+    }
+    if (!parameters || Object.keys(parameters).length === 0) {
+      throw new Error('parameters é obrigatório em submitMfa');
+    }
+    return this._request('POST', `/items/${encodeURIComponent(itemId)}/mfa`, { body: parameters });
+  }
+
+  /**
+   * Faz polling de um item até atingir um dos status esperados.
+   *
+   * @param {string} itemId
+   * @param {Object} options
+   * @param {string[]} options.statuses - Status que encerram a espera (padrão: ITEM_STATUS_FINAIS)
+   * @param {number} options.timeoutMs - Tempo máximo de espera (padrão: 5 min)
+   * @param {number} options.intervalMs - Intervalo entre consultas (padrão: 3s)
+   * @param {Function} options.onStatusChange - (item, statusAnterior) => void, chamado a cada mudança de status/executionStatus
+   * @returns {Promise<Object>} Item no status final
+   * @throws {Error} Em timeout (o último item lido fica em `error.item`)
+   */
+  async waitForItemStatus(itemId, {
+    statuses = ITEM_STATUS_FINAIS,
+    timeoutMs = 5 * 60 * 1000,
+    intervalMs = 3000,
+    onStatusChange
+  } = {}) {
+    const limite = Date.now() + timeoutMs;
+    let anterior = null;
+    let item = null;
+
+    for (;;) {
+      item = await this.getItem(itemId);
+      const atual = item ? `${item.status}|${item.executionStatus || ''}` : null;
+
+      if (atual !== anterior) {
+        if (onStatusChange) {
+          await onStatusChange(item, anterior ? anterior.split('|')[0] : null);
+        }
+        anterior = atual;
+      }
+
+      if (item && statuses.includes(item.status)) {
+        return item;
+      }
+
+      if (Date.now() + intervalMs > limite) {
+        const erro = new Error(`Timeout aguardando item ${itemId} (status atual: ${item ? item.status : 'desconhecido'})`);
+        erro.item = item;
+        throw erro;
+      }
+
+      await sleep(intervalMs);
+    }
+  }
+
+  /**
+   * Mensagem amigável (pt-BR) descrevendo o estado atual de um item.
+   */
+  describeItemStatus(item) {
+    if (!item || !item.status) {
+      return 'Não encontramos essa conexão bancária.';
+    }
+    if (item.status === ITEM_STATUS.LOGIN_ERROR && item.error && item.error.message) {
+      return `${ITEM_STATUS_MENSAGENS.LOGIN_ERROR}\nDetalhe: ${item.error.message}`;
+    }
+    return ITEM_STATUS_MENSAGENS[item.status] || `Status da conexão: ${item.status}`;
+  }
+
   /**
    * Lista contas financeiras (accounts) ligadas a um item.
    */
@@ -163,23 +632,582 @@ class PluggyClient {
     });
   }
 
+  /**
+   * Percorre todas as páginas de um endpoint de listagem da Pluggy,
+   * emitindo cada registro de `results` individualmente.
+   *
+   * Os registros saem crus, no formato da Pluggy (camelCase, datas ISO com
+   * horário, valores com sinal etc.); iterateTransactions/listAllTransactions
+   * normalizam com `{ normalize: true }`.
+   *
+   * @param {string} path - Caminho do endpoint (ex: '/transactions')
+   * @param {Object} query - Filtros enviados em todas as páginas
+   * @param {Object} options
+   * @param {number} options.pageSize - Registros por página (limitado a PAGE_SIZE_MAX)
+   * @param {number} options.maxPages - Interrompe após N páginas (padrão: sem limite)
+   */
+  async *_paginate(path, query = {}, { pageSize = PAGE_SIZE_MAX, maxPages = Infinity } = {}) {
+    const size = Math.min(Math.max(Number(pageSize) || PAGE_SIZE_MAX, 1), PAGE_SIZE_MAX);
+    let page = Number(query.page) || 1;
+    let lidas = 0;
+
+    while (lidas < maxPages) {
+      const resp = await this._request('GET', path, {
+        query: { ...query, page, pageSize: size }
+      });
+
+      const results = Array.isArray(resp) ? resp : (resp && Array.isArray(resp.results) ? resp.results : []);
+      for (const record of results) {
+        yield record;
+      }
+
+      lidas += 1;
+
+      // Endpoints sem paginação devolvem um array simples ou não informam totalPages
+      const totalPages = resp && !Array.isArray(resp) ? Number(resp.totalPages) : NaN;
+      if (!Number.isFinite(totalPages) || page >= totalPages || results.length === 0) {
+        return;
+      }
+
+      page += 1;
+    }
+  }
+
+  async _collect(iterator) {
+    const records = [];
+    for await (const record of iterator) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Itera sobre todos os itens (conexões), página a página.
+   */
+  iterateItems(params = {}, options = {}) {
+    return this._paginate('/items', params, options);
+  }
+
+  /**
+   * Itera sobre todas as contas de um item, página a página.
+   */
+  iterateAccounts(itemId, params = {}, options = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em iterateAccounts');
+    }
+    return this._paginate('/accounts', { itemId, ...params }, options);
+  }
+
+  /**
+   * Itera sobre todas as transações de uma conta, página a página.
+   * Params típicos: { from, to } (datas ISO, ex: '2024-01-31').
+   *
+   * @param {Object} options - Opções de _paginate, mais:
+   * @param {boolean|Object} options.normalize - Emite o registro Enfinia de
+   *   normalizePluggyTransaction em vez da transação crua; um objeto é repassado
+   *   ao normalizador (ex: { accountId }). Transações inválidas são descartadas.
+   *
+   * @example
+   * for await (const tx of client.iterateTransactions(accountId, { from: '2024-01-01' }, { normalize: true })) { ... }
+   */
+  iterateTransactions(accountId, params = {}, { normalize = false, ...options } = {}) {
+    if (!accountId) {
+      throw new Error('accountId é obrigatório em iterateTransactions');
+    }
+    const registros = this._paginate('/transactions', { accountId, ...params }, options);
+    return normalize ? normalizarTransacoes(registros, normalize === true ? {} : normalize) : registros;
+  }
+
+  /**
+   * Lista todos os itens, percorrendo todas as páginas.
+   * @returns {Promise<Object[]>}
+   */
+  async listAllItems(params = {}, options = {}) {
+    return this._collect(this.iterateItems(params, options));
+  }
+
+  /**
+   * Lista todas as contas de um item, percorrendo todas as páginas.
+   * @returns {Promise<Object[]>}
+   */
+  async listAllAccounts(itemId, params = {}, options = {}) {
+    return this._collect(this.iterateAccounts(itemId, params, options));
+  }
+
+  /**
+   * Lista todas as transações de uma conta, percorrendo todas as páginas.
+   * @param {Object} options - Ver iterateTransactions (`normalize`)
+   * @returns {Promise<Object[]>} Transações cruas da Pluggy, ou normalizadas com `normalize`
+   */
+  async listAllTransactions(accountId, params = {}, options = {}) {
+    return this._collect(this.iterateTransactions(accountId, params, options));
+  }
+
+  // ---------------------------------------------
+  // Investimentos, empréstimos, faturas e identidade
+  // ---------------------------------------------
+
+  /**
+   * @typedef {Object} PluggyInvestment
+   * @property {string} id
+   * @property {string} itemId
+   * @property {string} type - FIXED_INCOME | MUTUAL_FUND | EQUITY | SECURITY | ETF | COE
+   * @property {string} subtype - Ex: CDB, LCI, LCA, TREASURY, STOCK, REAL_ESTATE_FUND
+   * @property {string} name
+   * @property {number} balance - Saldo bruto atual
+   * @property {number} amount - Valor aplicado
+   * @property {string} currencyCode
+   * @property {string} status - ACTIVE | PENDING | TOTAL_WITHDRAWAL
+   */
+
+  /**
+   * @typedef {Object} PluggyLoan
+   * @property {string} id
+   * @property {string} itemId
+   * @property {string} productName
+   * @property {string} type
+   * @property {number} contractAmount - Valor contratado
+   * @property {number} outstandingBalance - Saldo devedor (quando informado pela instituição)
+   * @property {string} currencyCode
+   * @property {Object} installments - { totalNumberOfInstallments, dueInstallments, pastDueInstallments, ... }
+   */
+
+  /**
+   * @typedef {Object} PluggyCreditCardBill
+   * @property {string} id
+   * @property {string} dueDate
+   * @property {number} totalAmount
+   * @property {string} totalAmountCurrencyCode
+   * @property {number} minimumPaymentAmount
+   * @property {boolean} allowsInstallments
+   * @property {Object[]} financeCharges
+   */
+
+  /**
+   * @typedef {Object} PluggyIdentity
+   * @property {string} id
+   * @property {string} itemId
+   * @property {string} fullName
+   * @property {string} document
+   * @property {string} documentType - CPF | CNPJ
+   * @property {string} birthDate
+   * @property {Object[]} emails
+   * @property {Object[]} phoneNumbers
+   * @property {Object[]} addresses
+   */
+
+  /**
+   * Itera sobre os investimentos de um item.
+   * Params típicos: { type } (ex: 'FIXED_INCOME').
+   */
+  iterateInvestments(itemId, params = {}, options = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em iterateInvestments');
+    }
+    return this._paginate('/investments', { itemId, ...params }, options);
+  }
+
+  /**
+   * Lista todos os investimentos de um item.
+   * @returns {Promise<PluggyInvestment[]>}
+   */
+  async listAllInvestments(itemId, params = {}, options = {}) {
+    return this._collect(this.iterateInvestments(itemId, params, options));
+  }
+
+  /**
+   * Busca um investimento específico.
+   * @returns {Promise<PluggyInvestment>}
+   */
+  async getInvestment(investmentId) {
+    if (!investmentId) {
+      throw new Error('investmentId é obrigatório em getInvestment');
+    }
+    return this._request('GET', `/investments/${encodeURIComponent(investmentId)}`);
+  }
+
+  /**
+   * Itera sobre as movimentações (aplicações, resgates, rendimentos) de um investimento.
+   */
+  iterateInvestmentTransactions(investmentId, params = {}, options = {}) {
+    if (!investmentId) {
+      throw new Error('investmentId é obrigatório em iterateInvestmentTransactions');
+    }
+    return this._paginate(`/investments/${encodeURIComponent(investmentId)}/transactions`, params, options);
+  }
+
+  /**
+   * Lista todas as movimentações de um investimento.
+   * @returns {Promise<Object[]>}
+   */
+  async listAllInvestmentTransactions(investmentId, params = {}, options = {}) {
+    return this._collect(this.iterateInvestmentTransactions(investmentId, params, options));
+  }
+
+  /**
+   * Itera sobre os empréstimos/financiamentos de um item.
+   */
+  iterateLoans(itemId, params = {}, options = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em iterateLoans');
+    }
+    return this._paginate('/loans', { itemId, ...params }, options);
+  }
+
+  /**
+   * Lista todos os empréstimos/financiamentos de um item.
+   * @returns {Promise<PluggyLoan[]>}
+   */
+  async listAllLoans(itemId, params = {}, options = {}) {
+    return this._collect(this.iterateLoans(itemId, params, options));
+  }
+
+  /**
+   * Busca um empréstimo específico.
+   * @returns {Promise<PluggyLoan>}
+   */
+  async getLoan(loanId) {
+    if (!loanId) {
+      throw new Error('loanId é obrigatório em getLoan');
+    }
+    return this._request('GET', `/loans/${encodeURIComponent(loanId)}`);
+  }
+
+  /**
+   * Itera sobre as faturas de uma conta de cartão de crédito.
+   */
+  iterateCreditCardBills(accountId, params = {}, options = {}) {
+    if (!accountId) {
+      throw new Error('accountId é obrigatório em iterateCreditCardBills');
+    }
+    return this._paginate('/bills', { accountId, ...params }, options);
+  }
+
+  /**
+   * Lista todas as faturas de uma conta de cartão de crédito.
+   * @returns {Promise<PluggyCreditCardBill[]>}
+   */
+  async listAllCreditCardBills(accountId, params = {}, options = {}) {
+    return this._collect(this.iterateCreditCardBills(accountId, params, options));
+  }
+
+  /**
+   * Busca uma fatura específica.
+   * @returns {Promise<PluggyCreditCardBill>}
+   */
+  async getCreditCardBill(billId) {
+    if (!billId) {
+      throw new Error('billId é obrigatório em getCreditCardBill');
+    }
+    return this._request('GET', `/bills/${encodeURIComponent(billId)}`);
+  }
+
+  /**
+   * Busca os dados cadastrais (identidade) do titular de um item.
+   * Retorna null quando a instituição não fornece identidade (404).
+   * @returns {Promise<PluggyIdentity|null>}
+   */
+  async getIdentity(itemId) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em getIdentity');
+    }
+    try {
+      return await this._request('GET', '/identity', { query: { itemId } });
+    } catch (error) {
+      if (error instanceof PluggyApiError && error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Visão consolidada de investimentos e dívidas de um item, no formato das
+   * seções `investimentos` (aportes) e `divida_ativa` de AppVars.categorias.BASELINE.
+   *
+   * Empréstimos sem `outstandingBalance` ficam fora de `dividaAtiva.total` (o
+   * valor contratado não é o saldo devedor) e são contados em `semSaldoDevedor`.
+   *
+   * @returns {Promise<{investimentos: Object, dividaAtiva: Object}>}
+   */
+  async getFinancialSnapshot(itemId) {
+    const [investimentos, emprestimos] = await Promise.all([
+      this.listAllInvestments(itemId),
+      this.listAllLoans(itemId)
+    ]);
+
+    const ativos = investimentos.filter((inv) => inv.status !== 'TOTAL_WITHDRAWAL');
+    const porTipo = {};
+    for (const inv of ativos) {
+      const tipo = inv.type || 'OTHER';
+      porTipo[tipo] = (porTipo[tipo] || 0) + (Number(inv.balance) || 0);
+    }
+
+    const saldoDevedor = (loan) => {
+      if (loan.outstandingBalance === null || loan.outstandingBalance === undefined || loan.outstandingBalance === '') return null;
+      const saldo = Number(loan.outstandingBalance);
+      return Number.isFinite(saldo) ? saldo : null;
+    };
+
+    return {
+      investimentos: {
+        total: ativos.reduce((soma, inv) => soma + (Number(inv.balance) || 0), 0),
+        porTipo,
+        itens: ativos
+      },
+      dividaAtiva: {
+        total: emprestimos.reduce((soma, loan) => soma + (saldoDevedor(loan) ?? 0), 0),
+        semSaldoDevedor: emprestimos.filter((loan) => saldoDevedor(loan) === null).length,
+        itens: emprestimos
+      }
+    };
+  }
+
+  // ---------------------------------------------
+  // Catálogo de conectores (instituições)
+  // ---------------------------------------------
+
+  /**
+   * Lista conectores disponíveis (com cache em memória).
+   * Params aceitos pela Pluggy: { countries, types, name, sandbox, healthDetails }.
+   *
+   * @returns {Promise<Object[]>} Conectores ({ id, name, country, type, products, health, ... })
+   */
+  async listConnectors(params = {}) {
+    const chave = `connectors:${JSON.stringify(params)}`;
+
+    const cached = this.cache.get(chave);
+    if (cached && cached.expires > Date.now()) return cached.data;
+
+    const query = {};
+    Object.entries(params).forEach(([key, value]) => {
+      query[key] = Array.isArray(value) ? value.join(',') : value;
+    });
+
+    const resp = await this._request('GET', '/connectors', { query });
+    const data = Array.isArray(resp) ? resp : (resp && Array.isArray(resp.results) ? resp.results : []);
+
+    this.cache.set(chave, { data, expires: Date.now() + this.connectorCacheTtlMs });
+    return data;
+  }
+
+  /**
+   * Busca um conector por id (reaproveita o catálogo em cache quando possível).
+   */
+  async getConnector(connectorId) {
+    if (connectorId === undefined || connectorId === null || connectorId === '') {
+      throw new Error('connectorId é obrigatório em getConnector');
+    }
+
+    const catalogo = await this.listConnectors();
+    const encontrado = catalogo.find((c) => String(c.id) === String(connectorId));
+    if (encontrado) return encontrado;
+
+    return this._request('GET', `/connectors/${encodeURIComponent(connectorId)}`);
+  }
+
+  /**
+   * Filtra o catálogo de conectores.
+   *
+   * @param {Object} filtros
+   * @param {string} filtros.name - Trecho do nome (sem diferenciar acento/maiúsculas)
+   * @param {string} filtros.country - Ex: 'BR'
+   * @param {string|string[]} filtros.type - Ex: 'PERSONAL_BANK', 'BUSINESS_BANK', 'INVESTMENT'
+   * @param {string[]} filtros.products - Produtos exigidos (todos), ex: ['ACCOUNTS', 'TRANSACTIONS']
+   * @param {string|string[]} filtros.health - Status de saúde aceitos, ex: 'ONLINE'
+   * @param {boolean} filtros.openFinance - Só conectores Open Finance (true) ou só diretos (false)
+   * @param {boolean} filtros.sandbox - Inclui conectores de sandbox (padrão: false)
+   * @returns {Promise<Object[]>}
+   */
+  async searchConnectors({ name, country, type, products, health, openFinance, sandbox = false } = {}) {
+    const catalogo = await this.listConnectors(sandbox ? { sandbox: true } : {});
+    const tipos = type ? [].concat(type) : null;
+    const saude = health ? [].concat(health).map((h) => String(h).toUpperCase()) : null;
+    const produtos = products ? [].concat(products).map((p) => String(p).toUpperCase()) : null;
+    const trecho = name ? normalizarNomeConector(name) : null;
+
+    return catalogo.filter((c) => {
+      if (!sandbox && c.isSandbox) return false;
+      if (country && c.country && String(c.country).toUpperCase() !== String(country).toUpperCase()) return false;
+      if (tipos && !tipos.includes(c.type)) return false;
+      if (saude && !saude.includes(String(c.health?.status || '').toUpperCase())) return false;
+      if (produtos && !produtos.every((p) => (c.products || []).includes(p))) return false;
+      if (openFinance !== undefined && Boolean(c.isOpenFinance) !== Boolean(openFinance)) return false;
+      if (trecho && !normalizarNomeConector(c.name).includes(trecho)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Resolve uma resposta livre do usuário ("nubank", "banco inter", "itaú")
+   * para o conector mais provável, antes de chamar createConnectToken.
+   *
+   * @param {string} resposta - Texto digitado pelo usuário
+   * @param {Object} options
+   * @param {number} options.minScore - Similaridade mínima para aceitar (padrão: 0.75)
+   * @param {boolean} options.preferOpenFinance - Desempata a favor de conectores Open Finance (padrão: true)
+   * @param {Object} options.filters - Filtros extras repassados a searchConnectors (ex: { country: 'BR' })
+   * @returns {Promise<{connector: Object, score: number, candidates: Object[]}|null>}
+   *   `candidates` traz até 3 alternativas para o bot perguntar "você quis dizer...?"
+   */
+  async resolveConnector(resposta, { minScore = 0.75, preferOpenFinance = true, filters = {} } = {}) {
+    const texto = normalizarNomeConector(resposta);
+    if (!texto) return null;
+
+    const termo = CONNECTOR_ALIASES[texto] || texto;
+    const catalogo = await this.searchConnectors(filters);
+
+    const ranking = catalogo
+      .map((connector) => ({ connector, score: similaridadeConector(termo, connector.name) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        if (preferOpenFinance && Boolean(a.connector.isOpenFinance) !== Boolean(b.connector.isOpenFinance)) {
+          return a.connector.isOpenFinance ? -1 : 1;
+        }
+        return String(a.connector.name).length - String(b.connector.name).length;
+      });
+
+    if (ranking.length === 0 || ranking[0].score < minScore) return null;
+
+    return {
+      connector: ranking[0].connector,
+      score: Number(ranking[0].score.toFixed(3)),
+      candidates: ranking
+        .slice(1)
+        .filter((r) => r.score >= 0.5)
+        .slice(0, 3)
+        .map((r) => ({ ...r, score: Number(r.score.toFixed(3)) }))
+    };
+  }
+
   /**
    * Cria um Connect Token para inicializar o Pluggy Connect Widget.
    * O token é válido por ~2 horas e permite que o usuário conecte sua conta bancária.
-   * 
+   *
+   * Com `itemId`, o widget abre em modo de atualização para o item existente
+   * (ex: reconectar um consentimento Open Finance expirado) em vez de criar outro.
+   *
    * @param {Object} options - Opções de configuração do token
    * @param {string} options.clientUserId - ID único do usuário no seu sistema
-   * @param {Object} options.webhookUrl - URL para receber notificações de eventos
+   * @param {string} options.webhookUrl - URL para receber notificações de eventos
+   * @param {string} options.itemId - Item a atualizar (modo update)
+   * @param {string[]} options.products - Produtos a coletar, ex: ['ACCOUNTS', 'TRANSACTIONS']
+   * @param {string} options.oauthRedirectUrl - Para onde a instituição redireciona após o OAuth
+   * @param {boolean} options.avoidDuplicates - Impede criar um item duplicado para o mesmo usuário/banco
    * @returns {Promise<{accessToken: string}>}
    */
   async createConnectToken(options = {}) {
+    const tokenOptions = {
+      clientUserId: options.clientUserId,
+      webhookUrl: options.webhookUrl,
+      oauthRedirectUri: options.oauthRedirectUrl || options.oauthRedirectUri,
+      avoidDuplicates: options.avoidDuplicates,
+      products: Array.isArray(options.products) && options.products.length ? options.products : undefined
+    };
+    Object.keys(tokenOptions).forEach((key) => tokenOptions[key] === undefined && delete tokenOptions[key]);
+
+    // clientUserId/webhookUrl continuam no topo (formato usado até aqui);
+    // as opções novas vão em `options`, como na API da Pluggy
     const body = {
       clientUserId: options.clientUserId,
-      webhookUrl: options.webhookUrl
+      webhookUrl: options.webhookUrl,
+      ...(options.itemId ? { itemId: options.itemId } : {}),
+      ...(Object.keys(tokenOptions).length ? { options: tokenOptions } : {})
     };
 
     return this._request('POST', '/connect_token', { body });
   }
+
+  /**
+   * Monta o link do widget de conexão (ENV.pluggy.CONNECT_URL) para enviar ao usuário.
+   *
+   * @param {string} connectToken - accessToken retornado por createConnectToken
+   * @param {Object} params - Extras na query string: { itemId, products }
+   */
+  buildConnectUrl(connectToken, { itemId, products } = {}) {
+    if (!connectToken) {
+      throw new Error('connectToken é obrigatório em buildConnectUrl');
+    }
+
+    const url = new URL(ENV.pluggy.CONNECT_URL);
+    url.searchParams.set('connectToken', connectToken);
+    if (itemId) url.searchParams.set('itemId', itemId);
+    if (Array.isArray(products) && products.length) url.searchParams.set('products', products.join(','));
+    return url.toString();
+  }
+
+  /**
+   * Cria um connect token em modo update e devolve o link de reconexão do item.
+   *
+   * @param {string} itemId
+   * @param {Object} options - Mesmas opções de createConnectToken (exceto itemId)
+   * @returns {Promise<{url: string, connectToken: string}>}
+   */
+  async createReconnectLink(itemId, options = {}) {
+    if (!itemId) {
+      throw new Error('itemId é obrigatório em createReconnectLink');
+    }
+
+    const resp = await this.createConnectToken({ ...options, itemId });
+    const connectToken = resp && resp.accessToken;
+    if (!connectToken) {
+      throw new Error('Resposta de connect_token da Pluggy não contém accessToken');
+    }
+
+    return {
+      url: this.buildConnectUrl(connectToken, { itemId, products: options.products }),
+      connectToken
+    };
+  }
+
+  /**
+   * Situação do consentimento Open Finance de um item.
+   *
+   * @param {Object} item - Item retornado por getItem/listAllItems
+   * @param {Object} options
+   * @param {number} options.warnDays - Antecedência (dias) para considerar "expiring" (padrão: 7)
+   * @param {number} options.now - Momento de referência em ms (padrão: Date.now())
+   * @returns {{itemId: string, expiresAt: string|null, daysLeft: number|null, status: 'ok'|'expiring'|'expired'|'unknown', mensagem: string}}
+   */
+  getConsentStatus(item, { warnDays = 7, now = Date.now() } = {}) {
+    const expiresAt = item && (item.consentExpiresAt || item.consent?.expiresAt);
+    const base = { itemId: item ? item.id : null, expiresAt: expiresAt || null };
+
+    if (!expiresAt || Number.isNaN(new Date(expiresAt).getTime())) {
+      return { ...base, daysLeft: null, status: 'unknown', mensagem: 'Sem data de expiração de consentimento para esta conexão.' };
+    }
+
+    const daysLeft = Math.floor((new Date(expiresAt).getTime() - now) / (24 * 60 * 60 * 1000));
+
+    if (daysLeft < 0) {
+      return { ...base, daysLeft, status: 'expired', mensagem: '⚠️ A autorização de acesso ao seu banco expirou. Reconecte a conta para continuar recebendo suas transações.' };
+    }
+    if (daysLeft <= warnDays) {
+      const quando = daysLeft === 0 ? 'hoje' : `em ${daysLeft} dia${daysLeft === 1 ? '' : 's'}`;
+      return { ...base, daysLeft, status: 'expiring', mensagem: `⏳ A autorização de acesso ao seu banco expira ${quando}. Renove pelo link para não perder a sincronização.` };
+    }
+    return { ...base, daysLeft, status: 'ok', mensagem: '✅ Autorização de acesso ao banco em dia.' };
+  }
+
+  /**
+   * Lista itens com consentimento expirando (ou já expirado).
+   *
+   * @param {Object} options
+   * @param {number} options.warnDays - Antecedência em dias (padrão: 7)
+   * @param {Object[]} options.items - Itens já carregados (senão busca todos via listAllItems)
+   * @returns {Promise<Object[]>} Resultados de getConsentStatus com status 'expiring' ou 'expired'
+   */
+  async listExpiringConsents({ warnDays = 7, items } = {}) {
+    const lista = items || (await this.listAllItems());
+    return lista
+      .map((item) => ({ ...this.getConsentStatus(item, { warnDays }), clientUserId: item.clientUserId || null }))
+      .filter((c) => c.status === 'expiring' || c.status === 'expired')
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  }
 }
 
 module.exports = PluggyClient;
+module.exports.PAGE_SIZE_MAX = PAGE_SIZE_MAX;
+module.exports.PluggyApiError = PluggyApiError;
+module.exports.ITEM_STATUS = ITEM_STATUS;
+module.exports.AUTH_MODES = AUTH_MODES;
+module.exports.ITEM_STATUS_FINAIS = ITEM_STATUS_FINAIS;
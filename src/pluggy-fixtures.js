@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fixtures da Pluggy para testes locais (PluggyStubServer) e gravação de
+ * respostas reais (PluggyClient com `recordFixturesTo`).
+ *
+ * Formato do arquivo:
+ * {
+ *   "items": [...],          // GET /items, GET /items/{id}
+ *   "accounts": [...],       // GET /accounts
+ *   "transactions": [...],   // GET /transactions
+ *   "responses": {           // demais endpoints, por "MÉTODO /caminho?query" (ver fixtureKey)
+ *     "GET /investments?itemId=abc&page=1&pageSize=500": { ... },
+ *     "GET /identity": { ... }  // sem query: vale para qualquer query
+ *   }
+ * }
+ */
+
+// Chaves cujo valor é segredo e nunca deve ir para fixture
+const CHAVES_SEGREDO = /^(accessToken|access_token|apiKey|clientSecret|password|secret|token|connectToken|refreshToken)$/i;
+
+// Chaves com dados pessoais (pseudonimizados de forma determinística)
+const CHAVES_PII = /^(fullName|socialName|motherName|fatherName|payerName|receiverName|holderName|beneficiaryName|cpf|cnpj|document|taxNumber|email|emails|phone|phoneNumber|phoneNumbers|birthDate|addresses|address|fullAddress|street|zipCode|postalCode|number|accountNumber|agency|branch|transferNumber|cardNumber|owner|clientUserId)$/i;
+
+// Objetos cujo `name` identifica uma pessoa (contraparte de PIX/TED, titular);
+// quando o valor já é uma string, ela própria é o nome
+const PAIS_COM_NOME_PESSOAL = /^(payer|receiver|owner|holder|beneficiary|relations|identity)$/i;
+
+// Textos livres que costumam trazer o nome da contraparte ("PIX ENVIADO FULANO")
+const CHAVES_DESCRICAO = /^(description|descriptionRaw)$/i;
+
+// Nome logo após PIX/TED/DOC/transferência na descrição
+const REGEX_NOME_EM_DESCRICAO = /\b((?:pix|ted|doc|transf(?:erencia|erência)?)(?:\s+(?:enviad[oa]|recebid[oa]|env|rec|para|de|do|da|pelo|por|-))*\s+)([a-zà-ÿ][a-zà-ÿ'.]*(?:\s+[a-zà-ÿ][a-zà-ÿ'.]*)*)/gi;
+const REGEX_PSEUDONIMO = /^Pessoa [0-9a-f]{6}\b/;
+
+const REGEX_CPF_CNPJ = /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b|\b\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}\b/g;
+const REGEX_EMAIL = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+
+function hash(valor) {
+  return crypto.createHash('sha256').update(String(valor)).digest('hex');
+}
+
+function digitosFalsos(valor) {
+  const digitos = String(valor);
+  const h = hash(digitos);
+  let i = 0;
+  return digitos.replace(/\d/g, () => String(parseInt(h[i++ % h.length], 16) % 10));
+}
+
+function pseudonimo(valor) {
+  if (valor === null || valor === undefined || valor === '') return valor;
+  if (typeof valor === 'number') return Number(digitosFalsos(Math.abs(valor))) || 0;
+  if (typeof valor !== 'string') return '***';
+  if (REGEX_EMAIL.test(valor)) {
+    REGEX_EMAIL.lastIndex = 0;
+    return `user-${hash(valor).slice(0, 8)}@example.com`;
+  }
+  if (/^[\d.\-/\s()+]+$/.test(valor)) return digitosFalsos(valor);
+  if (/^\d{4}-\d{2}-\d{2}/.test(valor)) return '1990-01-01';
+  return `Pessoa ${hash(valor).slice(0, 6)}`;
+}
+
+function scrubTexto(texto) {
+  return texto
+    .replace(REGEX_CPF_CNPJ, (m) => digitosFalsos(m))
+    .replace(REGEX_EMAIL, (m) => pseudonimo(m));
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Nomes de pagador/recebedor da própria transação (paymentData)
+function nomesDaContraparte(transacao) {
+  const pagamento = transacao.paymentData || {};
+  return [pagamento.payer, pagamento.receiver]
+    .map((parte) => (parte && typeof parte === 'object' ? parte.name : parte))
+    .filter((nome) => typeof nome === 'string' && nome.trim());
+}
+
+/**
+ * Pseudonimiza nomes em descrições: os da contraparte (mesmo pseudônimo do
+ * campo `name`, para as fixtures continuarem coerentes) e o que vier depois
+ * de PIX/TED/DOC/transferência.
+ */
+function scrubDescricao(texto, nomes) {
+  let saida = texto;
+  for (const nome of nomes) {
+    saida = saida.replace(new RegExp(escaparRegex(nome.trim()), 'gi'), pseudonimo(nome));
+  }
+  saida = saida.replace(REGEX_NOME_EM_DESCRICAO, (m, prefixo, nome, posicao, original) => (
+    REGEX_PSEUDONIMO.test(original.slice(posicao + prefixo.length)) ? m : `${prefixo}${pseudonimo(nome.toUpperCase())}`
+  ));
+  return scrubTexto(saida);
+}
+
+/**
+ * Remove segredos e pseudonimiza PII de uma resposta da Pluggy.
+ * A troca é determinística: o mesmo CPF/nome vira sempre o mesmo valor falso,
+ * então referências cruzadas entre fixtures continuam consistentes.
+ */
+function scrubPluggyPayload(valor, chave = null, pai = null) {
+  if (Array.isArray(valor)) {
+    return valor.map((v) => scrubPluggyPayload(v, chave, pai));
+  }
+
+  if (valor && typeof valor === 'object') {
+    const saida = {};
+    for (const [k, v] of Object.entries(valor)) {
+      if (CHAVES_SEGREDO.test(k)) {
+        saida[k] = v ? 'scrubbed-secret' : v;
+      } else if (CHAVES_DESCRICAO.test(k) && typeof v === 'string') {
+        saida[k] = scrubDescricao(v, nomesDaContraparte(valor));
+      } else if (PAIS_COM_NOME_PESSOAL.test(k) && typeof v === 'string') {
+        saida[k] = pseudonimo(v);
+      } else if (CHAVES_PII.test(k) || (k === 'name' && chave && PAIS_COM_NOME_PESSOAL.test(chave))) {
+        saida[k] = v && typeof v === 'object' ? scrubPluggyPayloadTudo(v) : pseudonimo(v);
+      } else if (k === 'value' && chave === 'documentNumber') {
+        saida[k] = pseudonimo(v);
+      } else {
+        saida[k] = scrubPluggyPayload(v, k, chave);
+      }
+    }
+    return saida;
+  }
+
+  return typeof valor === 'string' ? scrubTexto(valor) : valor;
+}
+
+// Pseudonimiza todas as folhas (ex: addresses, phoneNumbers)
+function scrubPluggyPayloadTudo(valor) {
+  if (Array.isArray(valor)) return valor.map(scrubPluggyPayloadTudo);
+  if (valor && typeof valor === 'object') {
+    const saida = {};
+    for (const [k, v] of Object.entries(valor)) {
+      saida[k] = /^(type|country|countryCode|state|city)$/i.test(k) ? v : scrubPluggyPayloadTudo(v);
+    }
+    return saida;
+  }
+  return pseudonimo(valor);
+}
+
+/**
+ * Chave de `responses` para uma chamada: "MÉTODO /caminho?query", com os
+ * parâmetros em ordem alfabética (page, from, to etc. separam páginas e
+ * períodos). Sem query, só "MÉTODO /caminho".
+ *
+ * @param {string} method
+ * @param {string} requestPath
+ * @param {URLSearchParams|Object} query
+ */
+function fixtureKey(method, requestPath, query = null) {
+  const params = query instanceof URLSearchParams
+    ? Array.from(query.entries())
+    : Object.entries(query || {})
+      .filter(([, v]) => v !== undefined && v !== null)
+      .map(([k, v]) => [k, String(v)]);
+
+  params.sort(([a, va], [b, vb]) => (a === b ? va.localeCompare(vb) : a.localeCompare(b)));
+  const base = `${method.toUpperCase()} ${requestPath}`;
+  return params.length ? `${base}?${new URLSearchParams(params).toString()}` : base;
+}
+
+function emptyFixtures() {
+  return { items: [], accounts: [], transactions: [], responses: {} };
+}
+
+function loadFixtures(file) {
+  if (!file || !fs.existsSync(file)) return emptyFixtures();
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...emptyFixtures(), ...data };
+}
+
+function saveFixtures(file, fixtures) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+}
+
+function upsertById(lista, registro) {
+  if (!registro || !registro.id) return;
+  const idx = lista.findIndex((r) => r.id === registro.id);
+  if (idx >= 0) lista[idx] = registro;
+  else lista.push(registro);
+}
+
+/**
+ * Grava respostas reais da Pluggy em um arquivo de fixtures, já sanitizadas.
+ * Usado pelo PluggyClient quando criado com `recordFixturesTo`.
+ */
+class PluggyFixtureRecorder {
+  constructor(file) {
+    if (!file) {
+      throw new Error('Arquivo de fixtures é obrigatório em PluggyFixtureRecorder');
+    }
+    this.file = file;
+    this.fixtures = loadFixtures(file);
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} requestPath - Caminho sem query
+   * @param {Object} response - Corpo JSON da resposta
+   * @param {URLSearchParams|Object} query - Query da chamada (entra na chave de `responses`)
+   */
+  capture(method, requestPath, response, query = null) {
+    if (response === null || response === undefined) return;
+
+    // Connect tokens e autenticação são efêmeros, não viram fixture
+    if (requestPath.startsWith('/auth') || requestPath.startsWith('/connect_token')) return;
+
+    const limpo = scrubPluggyPayload(response);
+    const results = Array.isArray(limpo?.results) ? limpo.results : null;
+
+    if (method === 'GET' && requestPath === '/items' && results) {
+      results.forEach((r) => upsertById(this.fixtures.items, r));
+    } else if (method === 'GET' && /^\/items\/[^/]+$/.test(requestPath)) {
+      upsertById(this.fixtures.items, limpo);
+    } else if (method === 'GET' && requestPath === '/accounts' && results) {
+      results.forEach((r) => upsertById(this.fixtures.accounts, r));
+    } else if (method === 'GET' && requestPath === '/transactions' && results) {
+      results.forEach((r) => upsertById(this.fixtures.transactions, r));
+    } else {
+      this.fixtures.responses[fixtureKey(method, requestPath, query)] = limpo;
+    }
+
+    saveFixtures(this.file, this.fixtures);
+  }
+}
+
+module.exports = {
+  PluggyFixtureRecorder,
+  scrubPluggyPayload,
+  fixtureKey,
+  loadFixtures,
+  saveFixtures,
+  emptyFixtures
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const Logger = require('./logger');
+const { loadFixtures, fixtureKey } = require('./pluggy-fixtures');
+
+/**
+ * Servidor HTTP local que imita os endpoints da Pluggy usados pelo
+ * PluggyClient (auth, items, accounts, transactions, connect_token),
+ * servindo dados de um arquivo de fixtures (ver pluggy-fixtures.js).
+ *
+ * Permite testar fluxos Open Finance sem credenciais de sandbox:
+ *
+ * @example
+ * const stub = new PluggyStubServer({ fixturesFile: 'fixtures/pluggy/sandbox.json' });
+ * const url = await stub.start();
+ * const pluggy = new PluggyClient({ clientId: 'x', clientSecret: 'y', baseUrl: url });
+ *
+ * Utilitários de teste: `emitWebhook`, `failNext` (simula 429/5xx) e
+ * `revokeCredentials` (simula 401 com token revogado).
+ */
+class PluggyStubServer {
+  constructor({ fixtures, fixturesFile, port = 0, host = '127.0.0.1', webhookUrl = null } = {}) {
+    this.fixtures = fixtures ? JSON.parse(JSON.stringify(fixtures)) : loadFixtures(fixturesFile);
+    this.port = port;
+    this.host = host;
+    this.webhookUrl = webhookUrl;
+    this.credentials = new Set();
+    this.falhas = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        Logger.error('❌ Erro no PluggyStubServer', error);
+        this._json(res, 500, { message: error.message, code: 500 });
+      });
+    });
+
+    await new Promise((resolve) => this.server.listen(this.port, this.host, resolve));
+    const { port } = this.server.address();
+    this.url = `http://${this.host}:${port}`;
+    Logger.info(`🧪 PluggyStubServer ouvindo em ${this.url}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * As próximas `count` chamadas (fora de /auth) respondem com `status`.
+   */
+  failNext(status, count = 1, headers = {}) {
+    for (let i = 0; i < count; i += 1) {
+      this.falhas.push({ status, headers });
+    }
+  }
+
+  /**
+   * Invalida os tokens/apiKeys emitidos (próxima chamada recebe 401).
+   */
+  revokeCredentials() {
+    this.credentials.clear();
+  }
+
+  /**
+   * Envia um webhook no formato da Pluggy para `url` (ou o webhookUrl
+   * registrado no connect token / construtor).
+   *
+   * @returns {Promise<number>} Status HTTP da resposta do receptor
+   */
+  async emitWebhook(event, data = {}, url = null) {
+    const destino = url || this.webhookUrl;
+    if (!destino) {
+      throw new Error('webhookUrl não definido para emitWebhook');
+    }
+
+    const payload = { event, eventId: crypto.randomUUID(), ...data };
+    const resp = await fetch(destino, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    return resp.status;
+  }
+
+  _json(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  async _body(req) {
+    const partes = [];
+    for await (const parte of req) partes.push(parte);
+    const texto = Buffer.concat(partes).toString('utf8');
+    return texto ? JSON.parse(texto) : {};
+  }
+
+  _paginar(lista, query) {
+    const pageSize = Math.max(1, Number(query.get('pageSize')) || 20);
+    const page = Math.max(1, Number(query.get('page')) || 1);
+    const totalPages = Math.max(1, Math.ceil(lista.length / pageSize));
+    return {
+      total: lista.length,
+      totalPages,
+      page,
+      results: lista.slice((page - 1) * pageSize, page * pageSize)
+    };
+  }
+
+  _autenticado(req) {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const apiKey = req.headers['x-api-key'] || '';
+    return this.credentials.has(bearer) || this.credentials.has(apiKey);
+  }
+
+  _emitirSeConfigurado(event, data) {
+    if (!this.webhookUrl) return;
+    this.emitWebhook(event, data).catch((error) => {
+      Logger.warn(`⚠️ PluggyStubServer não conseguiu entregar ${event}: ${error.message}`);
+    });
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://stub');
+    const rota = url.pathname.replace(/\/$/, '') || '/';
+    const method = req.method.toUpperCase();
+    const body = ['POST', 'PATCH', 'PUT'].includes(method) ? await this._body(req) : {};
+
+    this.requests.push({ method, path: rota, query: Object.fromEntries(url.searchParams), body });
+
+    // Autenticação
+    if (method === 'POST' && (rota === '/auth/token' || rota === '/auth')) {
+      if (!body.clientId || !body.clientSecret) {
+        return this._json(res, 401, { message: 'Invalid credentials', code: 401 });
+      }
+      const credencial = `stub-${rota === '/auth' ? 'api-key' : 'access-token'}-${crypto.randomUUID()}`;
+      this.credentials.add(credencial);
+      return rota === '/auth'
+        ? this._json(res, 200, { apiKey: credencial })
+        : this._json(res, 200, { accessToken: credencial, expiresIn: 7200 });
+    }
+
+    if (!this._autenticado(req)) {
+      return this._json(res, 401, { message: 'Unauthorized', code: 401 });
+    }
+
+    const falha = this.falhas.shift();
+    if (falha) {
+      return this._json(res, falha.status, { message: 'Simulated failure', code: falha.status }, falha.headers);
+    }
+
+    const q = url.searchParams;
+    const itemMatch = rota.match(/^\/items\/([^/]+)(\/mfa)?$/);
+
+    if (method === 'GET' && rota === '/items') {
+      return this._json(res, 200, this._paginar(this.fixtures.items, q));
+    }
+
+    if (itemMatch) {
+      const item = this.fixtures.items.find((i) => i.id === itemMatch[1]);
+      if (!item) return this._json(res, 404, { message: 'Item not found', code: 404 });
+
+      if (method === 'GET' && !itemMatch[2]) {
+        return this._json(res, 200, item);
+      }
+
+      if (method === 'PATCH' || (method === 'POST' && itemMatch[2])) {
+        Object.assign(item, {
+          status: 'UPDATED',
+          executionStatus: 'SUCCESS',
+          lastUpdatedAt: new Date().toISOString(),
+          ...(body.webhookUrl ? { webhookUrl: body.webhookUrl } : {})
+        });
+        this._emitirSeConfigurado('item/updated', { itemId: item.id, clientUserId: item.clientUserId });
+        return this._json(res, 200, item);
+      }
+
+      if (method === 'DELETE') {
+        this.fixtures.items = this.fixtures.items.filter((i) => i.id !== item.id);
+        this._emitirSeConfigurado('item/deleted', { itemId: item.id });
+        return this._json(res, 204);
+      }
+    }
+
+    if (method === 'GET' && rota === '/accounts') {
+      const contas = this.fixtures.accounts.filter((a) => !q.get('itemId') || a.itemId === q.get('itemId'));
+      return this._json(res, 200, this._paginar(contas, q));
+    }
+
+    if (method === 'GET' && rota === '/transactions') {
+      const from = q.get('from');
+      const to = q.get('to');
+      const transacoes = this.fixtures.transactions.filter((t) => {
+        const data = String(t.date || '').slice(0, 10);
+        if (q.get('accountId') && t.accountId !== q.get('accountId')) return false;
+        if (from && data < from) return false;
+        if (to && data > to) return false;
+        return true;
+      });
+      return this._json(res, 200, this._paginar(transacoes, q));
+    }
+
+    if (method === 'POST' && rota === '/connect_token') {
+      if (body.webhookUrl) this.webhookUrl = body.webhookUrl;
+      return this._json(res, 200, { accessToken: `stub-connect-token-${crypto.randomUUID()}` });
+    }
+
+    // Resposta gravada para esta query exata; sem ela, a gravada sem query
+    const gravada = this.fixtures.responses[fixtureKey(method, rota, q)]
+      ?? this.fixtures.responses[fixtureKey(method, rota)];
+    if (gravada !== undefined) {
+      return this._json(res, 200, gravada);
+    }
+
+    return this._json(res, 404, { message: `Stub sem fixture para ${method} ${rota}`, code: 404 });
+  }
+}
+
+module.exports = PluggyStubServer;
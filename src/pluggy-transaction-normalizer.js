@@ -0,0 +1,285 @@
+const AppVars = require('./variables');
+const { resolveCategoryIndex, classificarContraparte, encontrarMarketplacePorCnpj } = require('./variables');
+const { stripDocument, detectDocumentType } = require('./document-utils');
+
+/**
+ * Conversão de transações da Pluggy para o formato canônico de transação
+ * usado pelo transaction-service.
+ *
+ * A categoria é resolvida na ordem:
+ * 1. contas conhecidas (AppVars.categorizacao.contasConhecidas)
+ * 2. assinaturas de streaming
+ * 3. regras de descrição de fatura
+ * 4. padrões de descrição (AppVars.padroes), conforme a natureza
+ * 5. categoria informada pela própria Pluggy
+ *
+ * A contraparte do PIX/TED (recebedor na saída, pagador na entrada) é
+ * classificada pelo CPF/CNPJ: o nome de uma pessoa física não entra no texto
+ * comparado com as regras (um PIX para "João Uber" não é Transporte), e um
+ * CNPJ de marketplace conta como marketplace mesmo sem o nome na descrição.
+ */
+
+// Categorias da Pluggy (campo `category`, em inglês) → nome de categoria Enfinia.
+// Usado apenas quando nenhuma regra local reconhece a descrição.
+const CATEGORIA_PLUGGY = {
+  'salary': 'Salário',
+  'income': 'Salário',
+  'retirement': 'Salário',
+  'entrepreneurial activities': 'Prestação de serviços',
+  'refunds': 'Reembolso',
+  'housing': 'Moradia',
+  'rent': 'Moradia',
+  'utilities': 'Utilidades',
+  'electricity': 'Utilidades',
+  'water': 'Utilidades',
+  'telecommunications': 'Utilidades',
+  'internet': 'Utilidades',
+  'mobile': 'Utilidades',
+  'groceries': 'Alimentação',
+  'eating out': 'Alimentação',
+  'food delivery': 'Alimentação',
+  'transportation': 'Transporte',
+  'taxi and ride-hailing': 'Transporte',
+  'gas stations': 'Transporte',
+  'public transportation': 'Transporte',
+  'parking': 'Transporte',
+  'tolls and in vehicle payment': 'Transporte',
+  'education': 'Educação',
+  'school': 'Educação',
+  'university': 'Educação',
+  'health': 'Saúde',
+  'pharmacy': 'Saúde',
+  'hospital clinics and labs': 'Saúde',
+  'health insurance': 'Saúde',
+  'pet supplies and vet': 'Pet',
+  'leisure': 'Lazer e entretenimento',
+  'entertainment': 'Lazer e entretenimento',
+  'video streaming': 'Lazer e entretenimento',
+  'music streaming': 'Lazer e entretenimento',
+  'gaming': 'Lazer e entretenimento',
+  'wellness and fitness': 'Cuidados pessoais',
+  'gyms and fitness centers': 'Cuidados pessoais',
+  'wellness': 'Cuidados pessoais',
+  'shopping': 'Compras pessoais',
+  'clothing': 'Compras pessoais',
+  'electronics': 'Compras pessoais',
+  'online shopping': 'Compras pessoais',
+  'loans': 'Empréstimos',
+  'financing': 'Financiamentos',
+  'interests charged': 'Juros e tarifas',
+  'bank fees': 'Juros e tarifas',
+  'taxes': 'Impostos',
+  'income taxes': 'Impostos',
+  'vehicle tax': 'Impostos',
+  'investments': 'Aportes',
+  'pension': 'Previdência'
+};
+
+// Termos usados para inferir a natureza a partir do `type` da Pluggy,
+// passando por AppVars.fluxo.normalizar (mesma regra dos demais serviços)
+const TIPO_PARA_FLUXO = {
+  DEBIT: 'débito',
+  CREDIT: 'creditado'
+};
+
+const LETRA = 'a-z0-9à-öø-ÿ';
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function contemTermo(texto, termo) {
+  const t = String(termo || '').toLowerCase().replace(/\*/g, '').trim();
+  if (!t) return false;
+  return new RegExp(`(^|[^${LETRA}])${escaparRegex(t)}($|[^${LETRA}])`, 'i').test(texto);
+}
+
+// 'en-CA' formata como YYYY-MM-DD
+const DATA_SAO_PAULO = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Sao_Paulo',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Data (YYYY-MM-DD) de um valor da Pluggy. Strings ISO mantêm o próprio dia
+ * ('2024-01-31T23:30:00-03:00' → '2024-01-31'): converter para UTC jogaria
+ * transações da noite para o dia seguinte. Date vira o dia em São Paulo.
+ */
+function toDateOnly(valor) {
+  if (!valor) return null;
+
+  if (valor instanceof Date) {
+    return Number.isNaN(valor.getTime()) ? null : DATA_SAO_PAULO.format(valor);
+  }
+
+  const dia = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(valor).trim());
+  if (!dia) return null;
+
+  // Rejeita dias que não existem (ex: 2024-02-30)
+  const data = new Date(Date.UTC(Number(dia[1]), Number(dia[2]) - 1, Number(dia[3])));
+  return data.getUTCMonth() === Number(dia[2]) - 1 && data.getUTCDate() === Number(dia[3]) ? dia[0] : null;
+}
+
+/**
+ * Natureza ('entrada' | 'saida') de uma transação Pluggy.
+ * Usa o `type` (DEBIT/CREDIT) e, na falta dele, o sinal do valor.
+ */
+function resolverNatureza(tx) {
+  const tipo = String(tx.type || '').toUpperCase();
+  if (TIPO_PARA_FLUXO[tipo]) {
+    return AppVars.fluxo.normalizar(TIPO_PARA_FLUXO[tipo]);
+  }
+  return Number(tx.amount) < 0 ? 'saida' : 'entrada';
+}
+
+function isMarketplace(texto) {
+  return Object.values(AppVars.categorizacao.marketplaces || {})
+    .some((mp) => (mp.termos || []).some((termo) => contemTermo(texto, termo)));
+}
+
+/**
+ * Encontra a categoria Enfinia para o texto da transação.
+ * @returns {{ categoria: string, subcategoria: string|null, origem: string }|null}
+ */
+function resolverCategoria(texto, natureza, categoriaPluggy, { marketplace: marketplacePorCnpj = false } = {}) {
+  const cfg = AppVars.categorizacao;
+
+  if (natureza === 'saida') {
+    for (const [nome, conta] of Object.entries(cfg.contasConhecidas || {})) {
+      if (contemTermo(texto, nome)) {
+        return { categoria: conta.categoria, subcategoria: conta.subcategoria || null, origem: 'contas_conhecidas' };
+      }
+    }
+
+    for (const assinatura of cfg.assinaturasStreaming || []) {
+      if ((assinatura.termos || []).some((termo) => contemTermo(texto, termo))) {
+        return {
+          categoria: cfg.assinaturaStreamingCategoriaPadrao.categoria,
+          subcategoria: cfg.assinaturaStreamingCategoriaPadrao.subcategoria,
+          origem: 'streaming'
+        };
+      }
+    }
+
+    const marketplace = marketplacePorCnpj || isMarketplace(texto);
+    for (const regra of cfg.regrasDescricaoFatura || []) {
+      if (regra.ignorarMarketplaces && marketplace) continue;
+      if ((regra.termos || []).some((termo) => contemTermo(texto, termo))) {
+        return { categoria: regra.categoria, subcategoria: regra.subcategoria || null, origem: 'regra_fatura' };
+      }
+    }
+  }
+
+  // Padrões de descrição: vence o termo mais longo (mais específico)
+  const padroes = natureza === 'entrada' ? AppVars.padroes.ENTRADA : AppVars.padroes.SAIDA;
+  let melhor = null;
+  for (const [categoria, termos] of Object.entries(padroes)) {
+    for (const termo of termos) {
+      if (contemTermo(texto, termo) && (!melhor || termo.length > melhor.tamanho)) {
+        melhor = { categoria, tamanho: termo.length };
+      }
+    }
+  }
+  if (melhor) {
+    return { categoria: melhor.categoria, subcategoria: null, origem: 'padroes' };
+  }
+
+  const daPluggy = CATEGORIA_PLUGGY[String(categoriaPluggy || '').toLowerCase().trim()];
+  if (daPluggy) {
+    return { categoria: daPluggy, subcategoria: null, origem: 'pluggy' };
+  }
+
+  return null;
+}
+
+/**
+ * Contraparte da transação: merchant (cartão) ou pagador/recebedor (PIX/TED).
+ */
+function resolverContraparte(tx, natureza) {
+  const merchant = tx.merchant || {};
+  const pagamento = tx.paymentData || {};
+  const parte = natureza === 'entrada' ? pagamento.payer : pagamento.receiver;
+  const documento = parte?.documentNumber || {};
+
+  const merchantCnpj = stripDocument(merchant.cnpj);
+  const documentoNumero = stripDocument(documento.value);
+  const documentoTipo = detectDocumentType(documentoNumero)
+    || (documento.type ? String(documento.type).toUpperCase() : null);
+
+  return {
+    merchant_name: merchant.businessName || merchant.name || null,
+    merchant_cnpj: merchantCnpj || (documentoTipo === 'CNPJ' ? documentoNumero : null) || null,
+    merchant_cnae: merchant.cnae ? String(merchant.cnae) : null,
+    counterparty_name: parte?.name || null,
+    counterparty_document: documentoNumero || null,
+    counterparty_document_type: documentoNumero ? documentoTipo : null
+  };
+}
+
+/**
+ * Converte uma transação da Pluggy no registro canônico de transação Enfinia.
+ *
+ * @param {Object} tx - Transação retornada por PluggyClient.listTransactions
+ * @param {Object} options
+ * @param {string} options.accountId - Conta Enfinia dona da transação (opcional)
+ * @returns {Object|null} Registro normalizado (null se tx for inválida)
+ */
+function normalizePluggyTransaction(tx, { accountId = null } = {}) {
+  if (!tx || typeof tx !== 'object' || !tx.id) return null;
+
+  const natureza = resolverNatureza(tx);
+  const contraparte = resolverContraparte(tx, natureza);
+  const descricao = String(tx.description || tx.descriptionRaw || '').trim();
+  const pessoaFisica = classificarContraparte(contraparte.counterparty_document) === 'pessoa_fisica';
+  const texto = [descricao, contraparte.merchant_name || (pessoaFisica ? null : contraparte.counterparty_name)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const categoria = resolverCategoria(texto, natureza, tx.category, {
+    marketplace: Boolean(encontrarMarketplacePorCnpj(contraparte.merchant_cnpj))
+  });
+  const cartao = tx.creditCardMetadata || {};
+  const totalParcelas = Number(cartao.totalInstallments) || null;
+
+  return {
+    source: 'pluggy',
+    external_id: String(tx.id),
+    external_account_id: tx.accountId || null,
+    account_id: accountId,
+    date: toDateOnly(tx.date),
+    description: descricao || null,
+    amount: Math.abs(Number(tx.amount) || 0),
+    currency: tx.currencyCode || 'BRL',
+    nature: natureza,
+    status: String(tx.status || 'POSTED').toLowerCase(),
+    payment_method: tx.paymentData?.paymentMethod || null,
+    category_index: categoria ? resolveCategoryIndex(categoria.categoria) : null,
+    category_name: categoria ? categoria.categoria : null,
+    subcategory: categoria ? categoria.subcategoria : null,
+    category_source: categoria ? categoria.origem : null,
+    external_category: tx.category || null,
+    installment_number: totalParcelas ? Number(cartao.installmentNumber) || 1 : null,
+    installment_total: totalParcelas,
+    installment_total_amount: totalParcelas && cartao.totalAmount != null ? Math.abs(Number(cartao.totalAmount)) : null,
+    purchase_date: toDateOnly(cartao.purchaseDate),
+    ...contraparte
+  };
+}
+
+/**
+ * Versão em lote: descarta entradas inválidas.
+ */
+function normalizePluggyTransactions(transactions = [], options = {}) {
+  return (transactions || [])
+    .map((tx) => normalizePluggyTransaction(tx, options))
+    .filter(Boolean);
+}
+
+module.exports = {
+  normalizePluggyTransaction,
+  normalizePluggyTransactions,
+  // Mesma tabela de variables.js (categorizacao.categoriaParaIndex)
+  CATEGORIA_PARA_INDEX: AppVars.categorizacao.categoriaParaIndex
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+
+const Logger = require('./logger');
+
+/**
+ * Eventos de webhook emitidos pela Pluggy que sabemos normalizar.
+ * Eventos fora desta lista ainda são entregues aos handlers curinga ('*').
+ */
+const PLUGGY_WEBHOOK_EVENTS = {
+  ITEM_CREATED: 'item/created',
+  ITEM_UPDATED: 'item/updated',
+  ITEM_ERROR: 'item/error',
+  ITEM_DELETED: 'item/deleted',
+  ITEM_WAITING_USER_INPUT: 'item/waiting_user_input',
+  ITEM_LOGIN_SUCCEEDED: 'item/login_succeeded',
+  CONNECTOR_STATUS_UPDATED: 'connector/status_updated',
+  TRANSACTIONS_CREATED: 'transactions/created',
+  TRANSACTIONS_UPDATED: 'transactions/updated',
+  TRANSACTIONS_DELETED: 'transactions/deleted'
+};
+
+const EVENTOS_CONHECIDOS = Object.values(PLUGGY_WEBHOOK_EVENTS);
+
+/**
+ * Payload de webhook inválido (não é objeto, sem `event`, etc).
+ */
+class PluggyWebhookError extends Error {
+  constructor(message, payload = null) {
+    super(message);
+    this.name = 'PluggyWebhookError';
+    this.payload = payload;
+  }
+}
+
+/**
+ * Store em memória para ids de eventos já processados.
+ * Qualquer objeto com `has(id)` e `add(id)` (sync ou async) pode substituí-lo,
+ * por exemplo um store em tabela do Supabase para deduplicar entre réplicas.
+ */
+class MemoryEventStore {
+  constructor({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 10_000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.ids = new Map();
+  }
+
+  has(id) {
+    const expires = this.ids.get(id);
+    if (!expires) return false;
+    if (expires <= Date.now()) {
+      this.ids.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  add(id) {
+    // Map mantém ordem de inserção: o primeiro é sempre o mais antigo
+    if (this.ids.size >= this.maxEntries) {
+      this.ids.delete(this.ids.keys().next().value);
+    }
+    this.ids.set(id, Date.now() + this.ttlMs);
+  }
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value === undefined || value === null || value === '') return [];
+  return [String(value)];
+}
+
+/**
+ * Gera um id determinístico quando a Pluggy não envia `eventId`,
+ * para que reentregas do mesmo payload ainda sejam deduplicadas.
+ * O `id` do payload não serve: em eventos de item ele é o id do item,
+ * e eventos distintos do mesmo item virariam um só.
+ */
+function derivarEventId(payload) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  return `sha256:${hash.slice(0, 32)}`;
+}
+
+/**
+ * Valida e normaliza um payload de webhook da Pluggy.
+ *
+ * @param {Object|string|Buffer} payload - Corpo recebido (objeto ou JSON bruto)
+ * @returns {Object} { id, type, itemId, clientUserId, triggeredBy, occurredAt, receivedAt, known, data, raw }
+ * @throws {PluggyWebhookError}
+ */
+function parsePluggyWebhook(payload) {
+  let raw = payload;
+
+  if (Buffer.isBuffer(raw)) raw = raw.toString('utf8');
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw new PluggyWebhookError('Payload de webhook Pluggy não é JSON válido', payload);
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new PluggyWebhookError('Payload de webhook Pluggy deve ser um objeto', payload);
+  }
+
+  const type = typeof raw.event === 'string' ? raw.event.trim() : '';
+  if (!type) {
+    throw new PluggyWebhookError('Payload de webhook Pluggy sem campo "event"', raw);
+  }
+
+  const itemId = raw.itemId || raw.item?.id || null;
+  if (type.startsWith('item/') && !itemId) {
+    throw new PluggyWebhookError(`Evento ${type} sem itemId`, raw);
+  }
+
+  const event = {
+    id: String(raw.eventId || derivarEventId(raw)),
+    type,
+    itemId,
+    clientUserId: raw.clientUserId || null,
+    triggeredBy: raw.triggeredBy || null,
+    occurredAt: raw.createdAt || raw.date || null,
+    receivedAt: new Date().toISOString(),
+    known: EVENTOS_CONHECIDOS.includes(type),
+    data: {},
+    raw
+  };
+
+  switch (type) {
+    case PLUGGY_WEBHOOK_EVENTS.ITEM_ERROR:
+      event.data = {
+        error: raw.error
+          ? { code: raw.error.code || null, message: raw.error.message || null }
+          : null
+      };
+      break;
+
+    case PLUGGY_WEBHOOK_EVENTS.ITEM_WAITING_USER_INPUT:
+      event.data = { parameter: raw.parameter || raw.userInput || null };
+      break;
+
+    case PLUGGY_WEBHOOK_EVENTS.CONNECTOR_STATUS_UPDATED:
+      event.data = {
+        connectorId: raw.connectorId ?? raw.data?.connectorId ?? null,
+        status: raw.status || raw.data?.status || null
+      };
+      break;
+
+    case PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_CREATED:
+    case PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_UPDATED:
+    case PLUGGY_WEBHOOK_EVENTS.TRANSACTIONS_DELETED:
+      if (!raw.accountId && !itemId) {
+        throw new PluggyWebhookError(`Evento ${type} sem accountId/itemId`, raw);
+      }
+      event.data = {
+        accountId: raw.accountId || null,
+        transactionIds: toArray(raw.transactionIds),
+        transactionsCount: Number(raw.transactionsCount ?? toArray(raw.transactionIds).length) || 0,
+        createdAtFrom: raw.transactionsCreatedAtFrom || null,
+        createdTransactionsLink: raw.createdTransactionsLink || null
+      };
+      break;
+
+    default:
+      break;
+  }
+
+  return event;
+}
+
+/**
+ * Receptor de webhooks da Pluggy com despacho por tipo de evento.
+ *
+ * Handlers registrados via `on(tipo, fn)` recebem o evento normalizado;
+ * `on('*', fn)` recebe todos. Eventos já processados (mesmo id) são
+ * ignorados, e um evento só é marcado como processado se todos os
+ * handlers terminarem sem erro - assim a reentrega da Pluggy tenta de novo.
+ * Uma entrega que chega enquanto a mesma ainda está em andamento espera o
+ * resultado dela: vira 'duplicate' se deu certo e falha (500) se deu errado.
+ *
+ * @example
+ * const webhooks = new PluggyWebhookReceiver();
+ * webhooks.on('transactions/created', async (evt) => sync(evt.itemId));
+ * app.post('/webhooks/pluggy', express.json(), webhooks.middleware());
+ */
+class PluggyWebhookReceiver {
+  constructor({ store } = {}) {
+    this.store = store || new MemoryEventStore();
+    this.handlers = new Map();
+    this.inFlight = new Map();
+  }
+
+  on(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('handler deve ser uma função em PluggyWebhookReceiver.on');
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(handler);
+    return this;
+  }
+
+  off(type, handler) {
+    const lista = this.handlers.get(type);
+    if (!lista) return this;
+    this.handlers.set(type, lista.filter((h) => h !== handler));
+    return this;
+  }
+
+  /**
+   * Valida, deduplica e despacha um payload.
+   *
+   * @returns {Promise<{status: 'processed'|'duplicate'|'ignored', event: Object}>}
+   * @throws {PluggyWebhookError} payload inválido
+   * @throws {Error} handler falhou (nesta entrega ou na concorrente com o mesmo id)
+   */
+  async handle(payload) {
+    const event = parsePluggyWebhook(payload);
+
+    const emAndamento = this.inFlight.get(event.id);
+    if (emAndamento) {
+      try {
+        await emAndamento;
+      } catch (error) {
+        throw new Error(`Entrega concorrente do webhook Pluggy ${event.type} (${event.id}) falhou`, { cause: error });
+      }
+      Logger.debug(`🔁 Webhook Pluggy duplicado ignorado: ${event.type} (${event.id})`);
+      return { status: 'duplicate', event };
+    }
+
+    // Registra antes de qualquer await para que entregas concorrentes esperem esta
+    const processamento = this._processar(event);
+    this.inFlight.set(event.id, processamento);
+    try {
+      return { status: await processamento, event };
+    } finally {
+      this.inFlight.delete(event.id);
+    }
+  }
+
+  async _processar(event) {
+    if (await this.store.has(event.id)) {
+      Logger.debug(`🔁 Webhook Pluggy duplicado ignorado: ${event.type} (${event.id})`);
+      return 'duplicate';
+    }
+
+    const handlers = [
+      ...(this.handlers.get(event.type) || []),
+      ...(this.handlers.get('*') || [])
+    ];
+
+    if (handlers.length === 0) {
+      Logger.debug(`📭 Webhook Pluggy sem handler: ${event.type}`);
+      return 'ignored';
+    }
+
+    for (const handler of handlers) {
+      await handler(event);
+    }
+    await this.store.add(event.id);
+
+    Logger.debug(`📬 Webhook Pluggy processado: ${event.type} (${event.id})`);
+    return 'processed';
+  }
+
+  /**
+   * Middleware no formato (req, res) do Express.
+   * Responde 400 para payload inválido e 500 se algum handler falhar
+   * (a Pluggy reentrega eventos que não receberam 2xx).
+   */
+  middleware() {
+    return async (req, res) => {
+      try {
+        const { status } = await this.handle(req.body);
+        res.status(200).json({ ok: true, status });
+      } catch (error) {
+        if (error instanceof PluggyWebhookError) {
+          Logger.warn(`⚠️ Webhook Pluggy inválido: ${error.message}`);
+          res.status(400).json({ ok: false, error: error.message });
+          return;
+        }
+        Logger.error('❌ Erro ao processar webhook Pluggy', error);
+        res.status(500).json({ ok: false });
+      }
+    };
+  }
+}
+
+module.exports = PluggyWebhookReceiver;
+module.exports.PluggyWebhookReceiver = PluggyWebhookReceiver;
+module.exports.PluggyWebhookError = PluggyWebhookError;
+module.exports.MemoryEventStore = MemoryEventStore;
+module.exports.PLUGGY_WEBHOOK_EVENTS = PLUGGY_WEBHOOK_EVENTS;
+module.exports.parsePluggyWebhook = parsePluggyWebhook;
@@ -10,11 +10,13 @@
 
 const { ENV } = require('./env');
 const { supabase } = require('../lib/supabase-client');
+const { stripDocument, normalizeCnpj, detectDocumentType, isValidCnpj } = require('./document-utils');
+const { MemoryCacheStore } = require('./cache-store');
 
-// Cache de categorias do banco
-let categoriesCache = null;
-let cacheTimestamp = null;
+// Cache de categorias do banco (trocável via setCategoriesCacheStore)
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutos
+const CATEGORIES_CACHE_KEY = 'categories';
+let categoriesCache = new MemoryCacheStore({ maxEntries: 1, ttlMs: CACHE_TTL });
 
 // Mapeamento de emojis por categoria
 const CATEGORY_EMOJIS = {
@@ -632,7 +634,134 @@ Sempre que tiver dúvida sobre como usar algo da Enfinia, você pode perguntar e
     // 🎯 PRECISÃO MÍNIMA PARA USAR CATEGORIA DIRETAMENTE
     precisaoMinima: 0.9,  // 90%
 
+    // 🔢 NOME DE CATEGORIA → category_index DO BANCO (índices de CATEGORY_EMOJIS)
+    // Cobre as chaves de padroes e de categorias.ESTRUTURA; nomes fora daqui
+    // caem em categoryNameToIndex (BASELINE). Ver resolveCategoryIndex.
+    categoriaParaIndex: {
+      'Salário': 1,
+      'Prestação de serviços': 1,
+      'Venda de produtos': 1,
+      'Reembolso': 1,
+      'Resgate': 1,
+      'Moradia': 3,
+      'Utilidades': 4,
+      'Alimentação': 5,
+      'Transporte': 6,
+      'Educação': 7,
+      'Saúde': 8,
+      'Pet': 9,
+      'Lazer e entretenimento': 10,
+      'Cuidados pessoais': 11,
+      'Compras pessoais': 12,
+      'Cartão de crédito': 13,
+      'Empréstimos': 13,
+      'Financiamentos': 13,
+      'Juros e tarifas': 13,
+      'Impostos': 15,
+      'Contribuições': 15,
+      'Custos administrativos': 15,
+      'Aportes': 16,
+      'Fundos': 16,
+      'Previdência': 16,
+      'Ativos': 16,
+      'Outros': 17
+    },
+
+    // 🏭 CNAE → CATEGORIA ENFINIA (usado pelo cnae-category-scorer)
+    // Chave = prefixo do código CNAE (só dígitos); vence o prefixo mais longo.
+    // Ex: '4711' cobre 4711-3/01 (hipermercados) e 4711-3/02 (supermercados).
+    cnaeCategorias: {
+      // Alimentação
+      '4711': { categoria: 'Alimentação', subcategoria: 'Supermercado' },
+      '4712': { categoria: 'Alimentação', subcategoria: 'Supermercado' },
+      '4721': { categoria: 'Alimentação', subcategoria: 'Padaria' },
+      '1091': { categoria: 'Alimentação', subcategoria: 'Padaria' },
+      '4722': { categoria: 'Alimentação', subcategoria: 'Açougue' },
+      '4723': { categoria: 'Alimentação', subcategoria: 'Bebidas' },
+      '4724': { categoria: 'Alimentação', subcategoria: 'Hortifruti' },
+      '4729': { categoria: 'Alimentação', subcategoria: null },
+      '5611': { categoria: 'Alimentação', subcategoria: 'Restaurantes' },
+      '5612': { categoria: 'Alimentação', subcategoria: 'Restaurantes' },
+      '5620': { categoria: 'Alimentação', subcategoria: null },
+
+      // Transporte
+      '4731': { categoria: 'Transporte', subcategoria: 'Combustível' },
+      '4732': { categoria: 'Transporte', subcategoria: 'Combustível' },
+      '4520': { categoria: 'Transporte', subcategoria: 'Manutenção' },
+      '4530': { categoria: 'Transporte', subcategoria: 'Manutenção' },
+      '4921': { categoria: 'Transporte', subcategoria: 'Transporte público' },
+      '4922': { categoria: 'Transporte', subcategoria: 'Transporte público' },
+      '4923': { categoria: 'Transporte', subcategoria: 'Táxi e aplicativos' },
+      '5111': { categoria: 'Transporte', subcategoria: 'Passagens' },
+      '5221': { categoria: 'Transporte', subcategoria: 'Pedágio' },
+      '5223': { categoria: 'Transporte', subcategoria: 'Estacionamento' },
+
+      // Saúde
+      '4771': { categoria: 'Saúde', subcategoria: 'Farmácia' },
+      '6550': { categoria: 'Saúde', subcategoria: 'Plano de saúde' },
+      '8610': { categoria: 'Saúde', subcategoria: 'Hospital' },
+      '8630': { categoria: 'Saúde', subcategoria: 'Consultas' },
+      '8640': { categoria: 'Saúde', subcategoria: 'Exames' },
+      '8650': { categoria: 'Saúde', subcategoria: 'Consultas' },
+
+      // Pet
+      '4789004': { categoria: 'Pet', subcategoria: 'Pet shop' },
+      '7500': { categoria: 'Pet', subcategoria: 'Veterinário' },
+      '9609208': { categoria: 'Pet', subcategoria: 'Banho e tosa' },
+
+      // Educação
+      '85': { categoria: 'Educação', subcategoria: null },
+      '4761': { categoria: 'Educação', subcategoria: 'Livros' },
+
+      // Utilidades
+      '3514': { categoria: 'Utilidades', subcategoria: 'Energia Elétrica' },
+      '3520': { categoria: 'Utilidades', subcategoria: 'Gás' },
+      '3600': { categoria: 'Utilidades', subcategoria: 'Água e Esgoto' },
+      '3701': { categoria: 'Utilidades', subcategoria: 'Água e Esgoto' },
+      '6110': { categoria: 'Utilidades', subcategoria: 'Telefone/Internet' },
+      '6120': { categoria: 'Utilidades', subcategoria: 'Telefone/Internet' },
+      '6190': { categoria: 'Utilidades', subcategoria: 'Internet' },
+
+      // Moradia
+      '6810': { categoria: 'Moradia', subcategoria: 'Aluguel' },
+      '6821': { categoria: 'Moradia', subcategoria: null },
+      '6822': { categoria: 'Moradia', subcategoria: 'Condomínio' },
+      '8112': { categoria: 'Moradia', subcategoria: 'Condomínio' },
+      '4744': { categoria: 'Moradia', subcategoria: 'Manutenção' },
+
+      // Lazer e entretenimento
+      '5510': { categoria: 'Lazer e entretenimento', subcategoria: 'Viagem' },
+      '7911': { categoria: 'Lazer e entretenimento', subcategoria: 'Viagem' },
+      '5914': { categoria: 'Lazer e entretenimento', subcategoria: 'Cinema' },
+      '9001': { categoria: 'Lazer e entretenimento', subcategoria: 'Shows e teatro' },
+      '9321': { categoria: 'Lazer e entretenimento', subcategoria: null },
+      '9329': { categoria: 'Lazer e entretenimento', subcategoria: null },
+      '4763': { categoria: 'Lazer e entretenimento', subcategoria: null },
+
+      // Cuidados pessoais
+      '9602': { categoria: 'Cuidados pessoais', subcategoria: 'Salão e estética' },
+      '9313': { categoria: 'Cuidados pessoais', subcategoria: 'Academia' },
+      '4772': { categoria: 'Cuidados pessoais', subcategoria: 'Cosméticos' },
+
+      // Compras pessoais
+      '4713': { categoria: 'Compras pessoais', subcategoria: null },
+      '4752': { categoria: 'Compras pessoais', subcategoria: 'Eletrônicos' },
+      '4753': { categoria: 'Compras pessoais', subcategoria: 'Eletrodomésticos' },
+      '4754': { categoria: 'Compras pessoais', subcategoria: 'Móveis' },
+      '4774': { categoria: 'Compras pessoais', subcategoria: 'Óptica' },
+      '4781': { categoria: 'Compras pessoais', subcategoria: 'Vestuário' },
+      '4782': { categoria: 'Compras pessoais', subcategoria: 'Calçados' },
+
+      // Obrigações legais
+      '6911': { categoria: 'Custos administrativos', subcategoria: 'Jurídico' },
+      '6912': { categoria: 'Custos administrativos', subcategoria: 'Cartório' },
+      '6920': { categoria: 'Custos administrativos', subcategoria: 'Contabilidade' },
+      '8411': { categoria: 'Impostos', subcategoria: null }
+    },
+
     // 🛒 MARKETPLACES - Mapa unificado por descrição e CNPJ
+    // CNPJs podem ser escritos com ou sem máscara (comparação usa só os dígitos);
+    // dígito verificador é conferido ao carregar o módulo
     marketplaces: {
       // Mercado Livre / Mercado Pago
       'MERCADO LIVRE': {
@@ -1179,6 +1308,50 @@ function calcularFaixaIdeal(recom, receitaTotal) {
   };
 }
 
+// =============================================
+// FUNÇÕES DE APOIO A DOCUMENTOS (CPF/CNPJ)
+// =============================================
+
+// CNPJ digitado errado nunca casaria com a contraparte: falha já no carregamento
+for (const [chave, marketplace] of Object.entries(AppVars.categorizacao.marketplaces)) {
+  for (const cnpj of marketplace.cnpjs || []) {
+    if (!isValidCnpj(cnpj)) {
+      throw new Error(`CNPJ inválido em categorizacao.marketplaces['${chave}']: ${cnpj}`);
+    }
+  }
+}
+
+/**
+ * Encontra o marketplace dono de um CNPJ (com ou sem máscara)
+ * @param {string} cnpj - CNPJ da contraparte
+ * @returns {Object|null} { chave, label, termos, cnpjs } ou null
+ */
+function encontrarMarketplacePorCnpj(cnpj) {
+  const normalizado = normalizeCnpj(cnpj);
+  if (!normalizado) return null;
+
+  for (const [chave, marketplace] of Object.entries(AppVars.categorizacao.marketplaces)) {
+    const cnpjs = Array.isArray(marketplace.cnpjs) ? marketplace.cnpjs : [];
+    if (cnpjs.some(c => stripDocument(c) === normalizado)) {
+      return { chave, ...marketplace };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Classifica a contraparte de um PIX/transferência pelo documento
+ * @param {string} documento - CPF ou CNPJ (com ou sem máscara)
+ * @returns {string|null} 'pessoa_fisica', 'pessoa_juridica' ou null (documento inválido)
+ */
+function classificarContraparte(documento) {
+  const tipo = detectDocumentType(documento);
+  if (tipo === 'CPF') return 'pessoa_fisica';
+  if (tipo === 'CNPJ') return 'pessoa_juridica';
+  return null;
+}
+
 // =============================================
 // FUNÇÕES UTILITÁRIAS PARA CONVERSÃO DE CATEGORIAS
 // =============================================
@@ -1260,11 +1433,10 @@ function getCategoryByName(categoryName) {
  * Carrega categorias do banco (com cache)
  */
 async function loadCategoriesFromDB() {
-  const now = Date.now();
-  
   // Retorna cache se ainda válido
-  if (categoriesCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_TTL) {
-    return categoriesCache;
+  const cached = await categoriesCache.get(CATEGORIES_CACHE_KEY);
+  if (cached) {
+    return cached;
   }
   
   try {
@@ -1275,16 +1447,32 @@ async function loadCategoriesFromDB() {
     if (error) throw error;
     
     // Atualiza cache
-    categoriesCache = data || [];
-    cacheTimestamp = now;
+    const categories = data || [];
+    await categoriesCache.set(CATEGORIES_CACHE_KEY, categories, { ttlMs: CACHE_TTL });
     
-    return categoriesCache;
+    return categories;
   } catch (error) {
     console.error('❌ Erro ao carregar categorias do banco:', error);
     return [];
   }
 }
 
+/**
+ * Troca o backend do cache de categorias (ex: SupabaseCacheStore ou um LRU compartilhado)
+ * @param {Object} store - Implementa get/set/stats (ver cache-store.js)
+ */
+function setCategoriesCacheStore(store) {
+  categoriesCache = store;
+}
+
+/**
+ * Hits/misses do cache de categorias
+ * @returns {Object} stats do backend atual
+ */
+function getCategoriesCacheStats() {
+  return categoriesCache.stats();
+}
+
 /**
  * Busca informações da categoria por index (ASYNC - busca do banco)
  * @param {number} categoryIndex - Index da categoria
@@ -1343,6 +1531,18 @@ function categoryNameToIndex(categoryName) {
   return info ? info.index : null;
 }
 
+/**
+ * Converte nome de categoria Enfinia (chaves de padroes / ESTRUTURA) para o
+ * category_index do banco, via categorizacao.categoriaParaIndex e, fora dele,
+ * categoryNameToIndex.
+ * @param {string} categoryName - Nome da categoria (ex: 'Alimentação')
+ * @returns {number|null} Index da categoria ou null
+ */
+function resolveCategoryIndex(categoryName) {
+  if (!categoryName) return null;
+  return AppVars.categorizacao.categoriaParaIndex[categoryName] ?? categoryNameToIndex(categoryName);
+}
+
 /**
  * Converte index para título (SYNC - usa BASELINE hardcoded)
  * @deprecated Usar categoryIndexToTitleAsync para buscar do banco
@@ -1407,6 +1607,7 @@ module.exports.getCategoryByNameAsync = getCategoryByNameAsync;
 module.exports.getCategoryByIndex = getCategoryByIndex;
 module.exports.getCategoryByIndexAsync = getCategoryByIndexAsync;
 module.exports.categoryNameToIndex = categoryNameToIndex;
+module.exports.resolveCategoryIndex = resolveCategoryIndex;
 module.exports.categoryIndexToTitle = categoryIndexToTitle;
 module.exports.categoryTitleToIndex = categoryTitleToIndex;
 module.exports.categoryIndexToTitleAsync = categoryIndexToTitleAsync;
@@ -1414,3 +1615,7 @@ module.exports.loadCategoriesFromDB = loadCategoriesFromDB;
 module.exports.CATEGORY_EMOJIS = CATEGORY_EMOJIS;
 module.exports.encontrarRecomendacaoPorCategoria = encontrarRecomendacaoPorCategoria;
 module.exports.calcularFaixaIdeal = calcularFaixaIdeal;
+module.exports.setCategoriesCacheStore = setCategoriesCacheStore;
+module.exports.getCategoriesCacheStats = getCategoriesCacheStats;
+module.exports.encontrarMarketplacePorCnpj = encontrarMarketplacePorCnpj;
+module.exports.classificarContraparte = classificarContraparte;
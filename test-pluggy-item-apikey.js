@@ -1,34 +1,6 @@
 require('dotenv').config({ path: process.env.CONFIG_PATH || '.env' });
 
-const BASE_URL = (process.env.PLUGGY_BASE_URL || 'https://api.pluggy.ai').replace(/\/$/, '');
-const CLIENT_ID = process.env.PLUGGY_CLIENT_ID || '';
-const CLIENT_SECRET = process.env.PLUGGY_CLIENT_SECRET || '';
-
-async function getApiKey() {
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error('PLUGGY_CLIENT_ID e PLUGGY_CLIENT_SECRET são obrigatórios');
-  }
-
-  const url = `${BASE_URL}/auth`;
-
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET })
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`Falha ao autenticar em /auth (status ${resp.status}): ${text}`);
-  }
-
-  const json = await resp.json();
-  if (!json.apiKey) {
-    throw new Error('Resposta /auth não contém apiKey');
-  }
-
-  return json.apiKey;
-}
+const PluggyClient = require('./src/pluggy-client');
 
 async function main() {
   try {
@@ -40,23 +12,14 @@ async function main() {
       process.exit(1);
     }
 
-    const apiKey = await getApiKey();
-
-    const url = `${BASE_URL}/items/${encodeURIComponent(itemId)}`;
+    const client = new PluggyClient({ authMode: 'apiKey' });
 
-    const resp = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-API-KEY': apiKey
-      }
-    });
-
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      throw new Error(`Falha ao buscar item (status ${resp.status}): ${text}`);
+    if (!client.isEnabled()) {
+      console.error('PluggyClient desabilitado: configure PLUGGY_CLIENT_ID e PLUGGY_CLIENT_SECRET');
+      process.exit(1);
     }
 
-    const item = await resp.json();
+    const item = await client.getItem(itemId);
 
     console.log('ITEM DETAIL:\n', JSON.stringify(item, null, 2));
 
@@ -0,0 +1,253 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const BrasilApiClient = require('../src/brasilapi-client');
+const { BrasilApiError } = BrasilApiClient;
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+let servidor;
+let baseUrl;
+let rotas;
+let requisicoes;
+
+function responder(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    requisicoes.push(req.url);
+    const rota = rotas[req.url];
+    if (!rota) return responder(res, 404, { message: 'not found' });
+    return rota(req, res);
+  });
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  servidor.closeAllConnections();
+  await new Promise((resolve) => servidor.close(resolve));
+});
+
+beforeEach(() => {
+  rotas = {};
+  requisicoes = [];
+});
+
+function novoCliente(options = {}) {
+  return new BrasilApiClient({ baseUrl, retryBaseDelayMs: 0, returnErrors: true, ...options });
+}
+
+const CNPJ = '11222333000181';
+
+test('timeout vale também para um corpo que trava no meio', async () => {
+  rotas[`/cnpj/v1/${CNPJ}`] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"cnpj": "11222333000181",');
+  };
+
+  const { data, error } = await novoCliente({ timeoutMs: 100, maxRetries: 0 }).cnpjInfo(CNPJ);
+  assert.equal(data, null);
+  assert.equal(error.code, 'TIMEOUT');
+});
+
+test('timeout vale para a requisição inteira, mesmo com o corpo pingando', async () => {
+  rotas[`/cnpj/v1/${CNPJ}`] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{');
+    const timer = setInterval(() => res.write(' '), 20);
+    res.on('close', () => clearInterval(timer));
+  };
+
+  const inicio = Date.now();
+  const { error } = await novoCliente({ timeoutMs: 150, maxRetries: 0 }).cnpjInfo(CNPJ);
+  assert.equal(error.code, 'TIMEOUT');
+  assert.ok(Date.now() - inicio < 1000);
+});
+
+test('repete em 503 e devolve o CNPJ normalizado', async () => {
+  let tentativas = 0;
+  rotas[`/cnpj/v1/${CNPJ}`] = (req, res) => {
+    tentativas += 1;
+    if (tentativas === 1) return responder(res, 503, { message: 'indisponível' });
+    return responder(res, 200, {
+      razao_social: 'EMPRESA LTDA', cnae_fiscal: 4711302, cnae_fiscal_descricao: 'Supermercados',
+      cnaes_secundarios: [{ codigo: 5611201, descricao: 'Restaurantes' }, { codigo: 0, descricao: '' }]
+    });
+  };
+
+  const { data, error } = await novoCliente().cnpjInfo(CNPJ);
+  assert.equal(error, null);
+  assert.equal(tentativas, 2);
+  assert.deepEqual(data, {
+    cnpj: CNPJ, trade_name: 'EMPRESA LTDA', cnae: '4711302', cnae_desc: 'Supermercados',
+    secondary_cnaes: [{ code: '5611201', description: 'Restaurantes' }], provider: 'brasilapi'
+  });
+});
+
+test('404 não é repetido e fica em cache negativo', async () => {
+  const cliente = novoCliente();
+
+  const primeira = await cliente.cnpjInfo(CNPJ);
+  const segunda = await cliente.cnpjInfo(CNPJ);
+  assert.equal(primeira.error.code, 'NOT_FOUND');
+  assert.equal(segunda.error.code, 'NOT_FOUND');
+  assert.deepEqual(requisicoes, [`/cnpj/v1/${CNPJ}`]);
+});
+
+test('2xx com corpo que não é JSON vira INVALID_RESPONSE', async () => {
+  rotas[`/cnpj/v1/${CNPJ}`] = (req, res) => responder(res, 200, '<html>manutenção</html>', { 'Content-Type': 'text/html' });
+
+  const { error } = await novoCliente().cnpjInfo(CNPJ);
+  assert.equal(error.code, 'INVALID_RESPONSE');
+});
+
+test('entradas inválidas não chamam a API', async () => {
+  const cliente = novoCliente();
+  assert.equal((await cliente.cnpjInfo('123')).error.code, 'INVALID_INPUT');
+  assert.equal((await cliente.cnpjInfo('11.111.111/1111-11')).error.code, 'INVALID_INPUT');
+  assert.equal((await cliente.cepInfo('123')).error.code, 'INVALID_INPUT');
+  assert.equal((await cliente.holidays('dois mil')).error.code, 'INVALID_INPUT');
+  assert.equal((await cliente.getBank('12345')).error.code, 'INVALID_INPUT');
+  assert.deepEqual(requisicoes, []);
+});
+
+test('cepInfo devolve o CEP normalizado', async () => {
+  rotas['/cep/v2/01001000'] = (req, res) => responder(res, 200, {
+    cep: '01001000', state: 'SP', city: 'São Paulo', street: 'Praça da Sé',
+    location: { coordinates: { latitude: '-23.55', longitude: '-46.63' } }
+  });
+
+  assert.deepEqual((await novoCliente().cepInfo('01001-000')).data, {
+    cep: '01001000', state: 'SP', city: 'São Paulo', neighborhood: null, street: 'Praça da Sé',
+    location: { latitude: -23.55, longitude: -46.63 }
+  });
+});
+
+test('getBank busca por COMPE ou ISPB usando uma única chamada', async () => {
+  rotas['/banks/v1'] = (req, res) => responder(res, 200, [
+    { ispb: '60701190', name: 'ITAÚ UNIBANCO S.A.', code: 341, fullName: 'Itaú Unibanco S.A.' },
+    { ispb: '0', name: 'BCO DO BRASIL S.A.', code: 1, fullName: 'Banco do Brasil S.A.' }
+  ]);
+  const cliente = novoCliente({ returnErrors: false });
+
+  assert.equal((await cliente.getBank('341')).ispb, '60701190');
+  assert.equal((await cliente.getBank(1)).code, '001');
+  assert.equal((await cliente.getBank('00000000')).name, 'BCO DO BRASIL S.A.');
+  assert.equal(await cliente.getBank('999'), null);
+  assert.deepEqual(requisicoes, ['/banks/v1']);
+});
+
+// =============================================
+// cnpjInfoBatch
+// =============================================
+
+const CNPJS = ['11222333000181', '10573521000191', '12345678000195', '98765432000198', '45612378000184'];
+
+/**
+ * Provedor local que registra chamadas, horário de início e pico de consultas simultâneas.
+ */
+function provedorLocal({ demoraMs = 20, falhas = {} } = {}) {
+  const provider = {
+    name: 'local',
+    chamadas: [],
+    inicios: [],
+    emAndamento: 0,
+    pico: 0,
+    async lookup(cnpj) {
+      provider.chamadas.push(cnpj);
+      provider.inicios.push(Date.now());
+      provider.emAndamento += 1;
+      provider.pico = Math.max(provider.pico, provider.emAndamento);
+      try {
+        await new Promise((resolve) => setTimeout(resolve, demoraMs));
+        if (falhas[cnpj]) throw new BrasilApiError(`falha ${cnpj}`, falhas[cnpj]);
+        return { cnpj, trade_name: `Empresa ${cnpj}`, cnae: '4711302', cnae_desc: 'Mercado', secondary_cnaes: [] };
+      } finally {
+        provider.emAndamento -= 1;
+      }
+    }
+  };
+  return provider;
+}
+
+function clienteComProvedor(provider, options = {}) {
+  return new BrasilApiClient({ cnpjProviders: [provider], batchMinIntervalMs: 0, ...options });
+}
+
+test('remove duplicados (com e sem máscara), marca entradas inválidas e aceita lote vazio', async () => {
+  const provider = provedorLocal();
+  const resultados = await clienteComProvedor(provider).cnpjInfoBatch(['11.222.333/0001-81', '11222333000181', '11.222.333/0001-00', '10573521000191']);
+
+  assert.deepEqual(provider.chamadas.sort(), ['10573521000191', '11222333000181']);
+  assert.deepEqual([...resultados.keys()].sort(), ['10573521000191', '11.222.333/0001-00', '11222333000181']);
+  assert.equal(resultados.get('11222333000181').data.trade_name, 'Empresa 11222333000181');
+  assert.equal(resultados.get('11.222.333/0001-00').error.code, 'INVALID_INPUT');
+
+  assert.equal((await clienteComProvedor(provider).cnpjInfoBatch([])).size, 0);
+  assert.equal((await clienteComProvedor(provider).cnpjInfoBatch(null)).size, 0);
+  assert.equal(provider.chamadas.length, 2);
+});
+
+test('limita consultas simultâneas e reporta progresso', async () => {
+  const provider = provedorLocal();
+  const progresso = [];
+  await clienteComProvedor(provider).cnpjInfoBatch(CNPJS, { concurrency: 2, onProgress: (p) => progresso.push(p) });
+
+  assert.equal(provider.pico, 2);
+  assert.equal(provider.chamadas.length, CNPJS.length);
+  assert.deepEqual(progresso.map((p) => p.done), [1, 2, 3, 4, 5]);
+  assert.ok(progresso.every((p) => p.total === CNPJS.length));
+});
+
+test('espaça as consultas à API por minIntervalMs, mas não as que estão em cache', async () => {
+  const provider = provedorLocal({ demoraMs: 0 });
+  const cliente = clienteComProvedor(provider);
+
+  await cliente.cnpjInfoBatch(CNPJS.slice(0, 3), { concurrency: 3, minIntervalMs: 40 });
+  const [a, b, c] = provider.inicios;
+  // Folga de alguns ms para a imprecisão do setTimeout
+  assert.ok(b - a >= 35, `intervalo ${b - a}ms`);
+  assert.ok(c - b >= 35, `intervalo ${c - b}ms`);
+
+  const inicio = Date.now();
+  const resultados = await cliente.cnpjInfoBatch(CNPJS.slice(0, 3), { minIntervalMs: 1000 });
+  assert.ok(Date.now() - inicio < 500);
+  assert.equal(provider.chamadas.length, 3);
+  assert.ok([...resultados.values()].every((r) => r.data && !r.error));
+});
+
+test('coalesce com cnpjInfo em andamento para o mesmo CNPJ', async () => {
+  const provider = provedorLocal({ demoraMs: 30 });
+  const cliente = clienteComProvedor(provider);
+
+  const [avulso, lote] = await Promise.all([
+    cliente.cnpjInfo(CNPJS[0]),
+    cliente.cnpjInfoBatch([CNPJS[0], CNPJS[1]])
+  ]);
+
+  assert.deepEqual(provider.chamadas.sort(), [CNPJS[0], CNPJS[1]].sort());
+  assert.deepEqual(lote.get(CNPJS[0]).data, avulso);
+  assert.equal(cliente.inflight.size, 0);
+});
+
+test('erro de um item não derruba o lote', async () => {
+  const provider = provedorLocal({
+    falhas: {
+      [CNPJS[1]]: { code: 'NOT_FOUND', status: 404 },
+      [CNPJS[2]]: { code: 'RATE_LIMITED', status: 429 }
+    }
+  });
+  const resultados = await clienteComProvedor(provider, { circuitFailureThreshold: 10 }).cnpjInfoBatch(CNPJS.slice(0, 4));
+
+  assert.equal(resultados.get(CNPJS[0]).error, null);
+  assert.equal(resultados.get(CNPJS[1]).error.code, 'NOT_FOUND');
+  assert.equal(resultados.get(CNPJS[2]).error.code, 'RATE_LIMITED');
+  assert.equal(resultados.get(CNPJS[2]).data, null);
+  assert.ok(resultados.get(CNPJS[3]).data);
+});
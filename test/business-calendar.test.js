@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BusinessCalendar = require('../src/business-calendar');
+const { BrasilApiError } = require('../src/brasilapi-client');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+// BrasilAPI fora do ar: força o calendário local
+const apiFora = {
+  holidays: async () => ({ data: null, error: new BrasilApiError('fora', { code: 'UNAVAILABLE' }) })
+};
+
+function apiComFeriados(datas) {
+  return { holidays: async () => ({ data: datas.map((date) => ({ date, name: 'Feriado', type: 'national' })), error: null }) };
+}
+
+test('calendário local inclui Carnaval, Sexta-feira Santa e Corpus Christi', async () => {
+  const calendario = new BusinessCalendar({ brasilApi: apiFora });
+
+  // Páscoa 2024: 31/03 · Páscoa 2025: 20/04
+  const feriados2024 = await calendario.holidaysFor(2024);
+  for (const data of ['2024-02-12', '2024-02-13', '2024-03-29', '2024-05-30', '2024-11-20']) {
+    assert.ok(feriados2024.has(data), data);
+  }
+  const feriados2025 = await calendario.holidaysFor(2025);
+  for (const data of ['2025-03-03', '2025-03-04', '2025-04-18', '2025-06-19']) {
+    assert.ok(feriados2025.has(data), data);
+  }
+  assert.equal((await calendario.holidaysFor(2023)).has('2023-11-20'), false);
+});
+
+test('rollForward pula fim de semana de Carnaval até a quarta de cinzas', async () => {
+  const calendario = new BusinessCalendar({ brasilApi: apiFora });
+  assert.equal(await calendario.rollForward('2025-03-01'), '2025-03-05');
+  assert.equal(await calendario.rollForward('2025-06-19'), '2025-06-20');
+});
+
+test('virada de ano: rollForward e addBusinessDays atravessam 31/12 e 01/01', async () => {
+  const calendario = new BusinessCalendar({ brasilApi: apiFora });
+
+  assert.equal(await calendario.rollForward('2022-12-31'), '2023-01-02');
+  assert.equal(await calendario.addBusinessDays('2024-12-31', 1), '2025-01-02');
+  assert.equal(await calendario.addBusinessDays('2025-01-02', -1), '2024-12-31');
+  assert.equal(await calendario.countBusinessDays('2024-12-30', '2025-01-03'), 3);
+  assert.equal(await calendario.countBusinessDays('2025-01-03', '2024-12-30'), -3);
+});
+
+test('datas com horário ou Date usam o dia em UTC, sem voltar um dia', async () => {
+  const calendario = new BusinessCalendar({ brasilApi: apiComFeriados([]) });
+
+  assert.equal(await calendario.isBusinessDay('2024-01-31T23:30:00-03:00'), true);
+  assert.equal(await calendario.rollForward(new Date('2024-02-03T00:00:00Z')), '2024-02-05');
+  await assert.rejects(calendario.isBusinessDay('31/01/2024'), /Data inválida/);
+});
+
+test('feriados da BrasilAPI e extraHolidays valem para o ano certo', async () => {
+  const calendario = new BusinessCalendar({
+    brasilApi: apiComFeriados(['2025-04-21']),
+    extraHolidays: ['2025-01-25', '2026-01-25']
+  });
+
+  assert.equal(await calendario.isHoliday('2025-04-21'), true);
+  assert.equal(await calendario.isHoliday('2025-01-25'), true);
+  // Fonte é a API: o calendário local não entra
+  assert.equal(await calendario.isHoliday('2025-03-04'), false);
+  assert.equal((await calendario.holidaysFor(2025)).has('2026-01-25'), false);
+});
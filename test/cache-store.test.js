@@ -0,0 +1,84 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryCacheStore, SupabaseCacheStore } = require('../src/cache-store');
+const BrasilApiClient = require('../src/brasilapi-client');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+test('MemoryCacheStore descarta o item menos usado ao passar do limite', async () => {
+  const cache = new MemoryCacheStore({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  assert.equal(await cache.get('b'), undefined);
+  assert.equal(await cache.get('a'), 1);
+  assert.equal(await cache.get('c'), 3);
+  assert.deepEqual(cache.stats(), {
+    hits: 3, misses: 1, sets: 3, evictions: 1, errors: 0, hitRate: 0.75, size: 2, maxEntries: 2
+  });
+});
+
+test('MemoryCacheStore expira pelo TTL da entrada', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const cache = new MemoryCacheStore({ ttlMs: 1000 });
+  await cache.set('curta', 'x', { ttlMs: 10 });
+  await cache.set('padrao', 'y');
+  await cache.set('eterna', 'z', { ttlMs: null });
+
+  t.mock.timers.tick(500);
+  assert.equal(await cache.get('curta'), undefined);
+  assert.equal(await cache.get('padrao'), 'y');
+
+  t.mock.timers.tick(10_000);
+  assert.equal(await cache.get('padrao'), undefined);
+  assert.equal(await cache.get('eterna'), 'z');
+});
+
+test('SupabaseCacheStore trata falhas do banco como miss, sem lançar', async () => {
+  const quebrado = {
+    from: () => {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        maybeSingle: async () => ({ data: null, error: new Error('conexão recusada') }),
+        upsert: async () => ({ error: new Error('conexão recusada') })
+      };
+      return query;
+    }
+  };
+  const cache = new SupabaseCacheStore({ supabase: quebrado, namespace: 'teste' });
+
+  assert.equal(await cache.get('k'), undefined);
+  await cache.set('k', { a: 1 });
+  assert.deepEqual(cache.stats(), {
+    hits: 0, misses: 1, sets: 0, evictions: 0, errors: 2, hitRate: 0, namespace: 'teste'
+  });
+});
+
+test('SupabaseCacheStore ignora entradas expiradas', async () => {
+  const linha = { value: { a: 1 }, expires_at: new Date(Date.now() - 1000).toISOString() };
+  const supabase = {
+    from: () => {
+      const query = { select: () => query, eq: () => query, maybeSingle: async () => ({ data: linha, error: null }) };
+      return query;
+    }
+  };
+  const cache = new SupabaseCacheStore({ supabase });
+
+  assert.equal(await cache.get('k'), undefined);
+  linha.expires_at = null;
+  assert.deepEqual(await cache.get('k'), { a: 1 });
+});
+
+test('BrasilApiClient usa o backend de cache recebido', async () => {
+  const cache = new MemoryCacheStore();
+  await cache.set('cnpj:11222333000181', { data: { cnpj: '11222333000181', razao_social: 'EMPRESA TESTE LTDA' } });
+
+  const cliente = new BrasilApiClient({ cache, baseUrl: 'http://127.0.0.1:1' });
+  assert.equal((await cliente.cnpjInfo('11.222.333/0001-81')).razao_social, 'EMPRESA TESTE LTDA');
+  assert.equal(cliente.cacheStats().hits, 1);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AppVars = require('../src/variables');
+const { scoreCnaeCategory, findCnaeCategory, scoreToConfidence } = require('../src/cnae-category-scorer');
+
+const pesos = AppVars.categorizacao.pesosScore;
+
+test('findCnaeCategory aceita máscara e prefere o prefixo mais longo', () => {
+  assert.deepEqual(findCnaeCategory('4711-3/02'), { prefixo: '4711', categoria: 'Alimentação', subcategoria: 'Supermercado' });
+  assert.equal(findCnaeCategory('9609-2/08').subcategoria, 'Banho e tosa');
+  assert.equal(findCnaeCategory('0000000'), null);
+  assert.equal(findCnaeCategory(null), null);
+});
+
+test('scoreToConfidence segue limitesScore e confiancaPorScore', () => {
+  const { limitesScore, confiancaPorScore } = AppVars.categorizacao;
+  assert.deepEqual(scoreToConfidence(limitesScore.alto), { band: 'alto', confidence: confiancaPorScore.alto });
+  assert.deepEqual(scoreToConfidence(limitesScore.alto - 1), { band: 'medio', confidence: confiancaPorScore.medio });
+  assert.deepEqual(scoreToConfidence(limitesScore.medio - 1), { band: 'baixo', confidence: confiancaPorScore.baixo });
+});
+
+test('CNAE principal + nome fantasia apontam a categoria e o índice de variables.js', () => {
+  const resultado = scoreCnaeCategory({
+    cnae: '4771701',
+    cnae_desc: 'Comércio varejista de produtos farmacêuticos',
+    trade_name: 'DROGARIA SAO PAULO'
+  });
+
+  assert.equal(resultado.category, 'Saúde');
+  assert.equal(resultado.subcategory, 'Farmácia');
+  assert.equal(resultado.categoryIndex, AppVars.categorizacao.categoriaParaIndex['Saúde']);
+  assert.equal(resultado.score, pesos.cnaePrimario + pesos.nomeFantasia);
+  assert.equal(resultado.askUser, resultado.confidence < AppVars.categorizacao.precisaoMinima);
+  assert.equal(resultado.explanation.length, 2);
+});
+
+test('histórico do usuário soma pontos e o score fica limitado a 100', () => {
+  const resultado = scoreCnaeCategory(
+    { cnae: '4711302', secondary_cnaes: [{ code: '4721102' }], trade_name: 'SUPERMERCADO BOM PRECO' },
+    { historyCategory: 'Alimentação', description: 'SUPERMERCADO BOM PRECO' }
+  );
+
+  assert.equal(resultado.category, 'Alimentação');
+  assert.equal(resultado.score, 100);
+  assert.equal(resultado.band, 'alto');
+  assert.equal(resultado.askUser, false);
+});
+
+test('sem nenhum sinal devolve null', () => {
+  assert.equal(scoreCnaeCategory({ cnae: '0000000', trade_name: 'XYZ LTDA' }), null);
+  assert.equal(scoreCnaeCategory(), null);
+});
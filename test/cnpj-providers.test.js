@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CnpjProviderChain,
+  CIRCUIT_STATE,
+  createCnpjWsProvider,
+  createReceitaWsProvider
+} = require('../src/cnpj-providers');
+const { BrasilApiError } = require('../src/brasilapi-client');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+const CNPJ = '11222333000181';
+
+function contexto(respostas = {}) {
+  return {
+    baseUrl: 'https://brasilapi.test/api',
+    requestJson: async (url) => {
+      if (!(url in respostas)) throw new BrasilApiError(`sem rota ${url}`, { code: 'NOT_FOUND', status: 404 });
+      return respostas[url];
+    },
+    error: (message, options = {}) => new BrasilApiError(message, options)
+  };
+}
+
+function provedor(name, comportamento) {
+  const provider = {
+    name,
+    chamadas: 0,
+    async lookup(cnpj) {
+      provider.chamadas += 1;
+      return comportamento(cnpj);
+    }
+  };
+  return provider;
+}
+
+const ok = (name) => provedor(name, (cnpj) => ({ cnpj, trade_name: name, cnae: '4711302', cnae_desc: 'Mercado', secondary_cnaes: [] }));
+const fora = (name) => provedor(name, () => { throw new BrasilApiError('503', { code: 'UNAVAILABLE', status: 503 }); });
+const naoExiste = (name) => provedor(name, () => { throw new BrasilApiError('404', { code: 'NOT_FOUND', status: 404 }); });
+
+test('cai para o próximo provedor quando o primeiro falha', async () => {
+  const primario = fora('primario');
+  const reserva = ok('reserva');
+  const cadeia = new CnpjProviderChain({ providers: [primario, reserva] });
+
+  const data = await cadeia.lookup(CNPJ, contexto());
+  assert.equal(data.provider, 'reserva');
+  assert.equal(data.trade_name, 'reserva');
+
+  const [saudePrimario, saudeReserva] = cadeia.health();
+  assert.equal(saudePrimario.failures, 1);
+  assert.equal(saudePrimario.consecutiveFailures, 1);
+  assert.equal(saudeReserva.successes, 1);
+});
+
+test('NOT_FOUND encerra a cadeia, a menos que continueOnNotFound esteja ligado', async () => {
+  const reserva = ok('reserva');
+  const cadeia = new CnpjProviderChain({ providers: [naoExiste('primario'), reserva] });
+  await assert.rejects(cadeia.lookup(CNPJ, contexto()), { code: 'NOT_FOUND' });
+  assert.equal(reserva.chamadas, 0);
+  // "Não existe" não é falha do provedor
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.CLOSED);
+  assert.equal(cadeia.health()[0].notFound, 1);
+
+  const tolerante = new CnpjProviderChain({ providers: [naoExiste('primario'), ok('reserva')], continueOnNotFound: true });
+  assert.equal((await tolerante.lookup(CNPJ, contexto())).provider, 'reserva');
+});
+
+test('circuito abre após failureThreshold falhas e volta em half-open depois do cooldown', async () => {
+  const primario = fora('primario');
+  const cadeia = new CnpjProviderChain({ providers: [primario, ok('reserva')], failureThreshold: 2, cooldownMs: 30 });
+
+  await cadeia.lookup(CNPJ, contexto());
+  await cadeia.lookup(CNPJ, contexto());
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.OPEN);
+
+  // Aberto: pulado sem chamada
+  await cadeia.lookup(CNPJ, contexto());
+  assert.equal(primario.chamadas, 2);
+  assert.equal(cadeia.health()[0].skipped, 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.HALF_OPEN);
+
+  // Chamada de teste falhou: reabre na hora
+  await cadeia.lookup(CNPJ, contexto());
+  assert.equal(primario.chamadas, 3);
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.OPEN);
+
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  primario.lookup = async (cnpj) => ({ cnpj, trade_name: 'voltou', cnae: '', cnae_desc: null, secondary_cnaes: [] });
+  assert.equal((await cadeia.lookup(CNPJ, contexto())).provider, 'primario');
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.CLOSED);
+});
+
+test('todos com circuito aberto: UNAVAILABLE sem chamar ninguém', async () => {
+  const unico = fora('unico');
+  const cadeia = new CnpjProviderChain({ providers: [unico], failureThreshold: 1 });
+
+  await assert.rejects(cadeia.lookup(CNPJ, contexto()), { code: 'UNAVAILABLE', status: 503 });
+  await assert.rejects(cadeia.lookup(CNPJ, contexto()), { code: 'UNAVAILABLE', message: /circuito aberto/ });
+  assert.equal(unico.chamadas, 1);
+
+  cadeia.resetCircuits();
+  assert.equal(cadeia.health()[0].state, CIRCUIT_STATE.CLOSED);
+});
+
+test('cadeia padrão só tem brasilapi; outros provedores vêm de CNPJ_PROVIDERS', (t) => {
+  const anterior = process.env.CNPJ_PROVIDERS;
+  t.after(() => {
+    if (anterior === undefined) delete process.env.CNPJ_PROVIDERS;
+    else process.env.CNPJ_PROVIDERS = anterior;
+  });
+
+  delete process.env.CNPJ_PROVIDERS;
+  assert.deepEqual(new CnpjProviderChain().health().map((h) => h.name), ['brasilapi']);
+
+  process.env.CNPJ_PROVIDERS = 'brasilapi, receitaws';
+  assert.deepEqual(new CnpjProviderChain().health().map((h) => h.name), ['brasilapi', 'receitaws']);
+});
+
+test('register aceita posição, substitui pelo nome e rejeita provedor inválido', () => {
+  const cadeia = new CnpjProviderChain({ providers: ['brasilapi', 'receitaws'] });
+  cadeia.register(ok('interno'), { position: 0 });
+  cadeia.register(ok('receitaws'));
+  assert.deepEqual(cadeia.health().map((h) => h.name), ['interno', 'brasilapi', 'receitaws']);
+
+  assert.throws(() => cadeia.register('inexistente'), /Provedor de CNPJ inválido/);
+  assert.throws(() => cadeia.register({ name: 'sem-lookup' }), /Provedor de CNPJ inválido/);
+});
+
+test('provedores públicos devolvem o mesmo formato normalizado e ReceitaWS ERROR vira NOT_FOUND', async () => {
+  const ctx = contexto({
+    [`https://publica.cnpj.ws/cnpj/${CNPJ}`]: {
+      razao_social: 'EMPRESA LTDA',
+      estabelecimento: {
+        nome_fantasia: 'Empresa',
+        atividade_principal: { id: '4711-3/02', descricao: 'Comércio varejista' },
+        atividades_secundarias: [{ id: '5611-2/01', descricao: 'Restaurantes' }, { id: '', descricao: 'Vazia' }]
+      }
+    },
+    [`https://receitaws.com.br/v1/cnpj/${CNPJ}`]: {
+      nome: 'EMPRESA LTDA',
+      fantasia: '',
+      atividade_principal: [{ code: '47.11-3-02', text: 'Comércio varejista' }],
+      atividades_secundarias: [{ code: '00.00-0-00', text: 'Não informada' }]
+    }
+  });
+
+  assert.deepEqual(await createCnpjWsProvider().lookup(CNPJ, ctx), {
+    cnpj: CNPJ,
+    trade_name: 'Empresa',
+    cnae: '4711302',
+    cnae_desc: 'Comércio varejista',
+    secondary_cnaes: [{ code: '5611201', description: 'Restaurantes' }]
+  });
+  assert.deepEqual(await createReceitaWsProvider().lookup(CNPJ, ctx), {
+    cnpj: CNPJ,
+    trade_name: 'EMPRESA LTDA',
+    cnae: '4711302',
+    cnae_desc: 'Comércio varejista',
+    secondary_cnaes: []
+  });
+
+  const comErro = contexto({ [`https://receitaws.com.br/v1/cnpj/${CNPJ}`]: { status: 'ERROR', message: 'CNPJ inválido' } });
+  await assert.rejects(createReceitaWsProvider().lookup(CNPJ, comErro), { code: 'NOT_FOUND', message: /ReceitaWS: CNPJ inválido/ });
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CryptoService = require('../src/crypto-service');
+const { reencryptSupabaseColumns } = require('../src/crypto-rotation');
+const { silenciarLogger, supabaseEmMemoria, cbc } = require('./helpers');
+
+silenciarLogger();
+
+const LEGADA = 'chave-legada-com-no-minimo-32-caracteres!!';
+const ANTIGA = 'chave-2024-com-no-minimo-32-caracteres!!!!';
+const NOVA = 'chave-2025-com-no-minimo-32-caracteres!!!!';
+
+const v1 = (texto) => cbc(LEGADA, 'salt', texto);
+const v2 = (kid, segredo, texto) => `v2:${kid}:${cbc(segredo, `enfinia:${kid}`, texto)}`;
+
+function servico(options = {}) {
+  return new CryptoService({
+    legacyKey: LEGADA,
+    keys: { '2024-01': ANTIGA, '2025-01': NOVA },
+    activeKeyId: '2025-01',
+    blindIndexKeys: {},
+    strict: false,
+    ...options
+  });
+}
+
+test('criptografar gera v3 com a chave ativa e lê de volta', () => {
+  const crypto = servico();
+  const texto = crypto.criptografar('123.456.789-09');
+
+  assert.match(texto, /^v3:2025-01:[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+  assert.equal(crypto.descriptografar(texto), '123.456.789-09');
+  assert.deepEqual(crypto.describe(texto), { version: 'v3', algorithm: 'aes-256-gcm', authenticated: true, kid: '2025-01', current: true });
+});
+
+test('reencrypt leva v1, v2 e v3 de chave antiga para v3 com a chave ativa', () => {
+  const antigo = servico({ activeKeyId: '2024-01' });
+  const crypto = servico();
+
+  for (const original of [v1('a'), v2('2024-01', ANTIGA, 'a'), antigo.criptografar('a')]) {
+    assert.equal(crypto.needsReencryption(original), true);
+    const novo = crypto.reencrypt(original);
+    assert.equal(crypto.describe(novo).current, true);
+    assert.equal(crypto.descriptografar(novo), 'a');
+  }
+  assert.equal(crypto.needsReencryption(crypto.criptografar('a')), false);
+});
+
+test('reencryptSupabaseColumns migra em lotes, conta formatos e pula o que já está na chave ativa', async () => {
+  const crypto = servico();
+  const atual = crypto.criptografar('já migrado');
+  const supabase = supabaseEmMemoria({ users: [
+    { id: 1, cpf: v1('111') },
+    { id: 2, cpf: v2('2024-01', ANTIGA, '222') },
+    { id: 3, cpf: atual },
+    { id: 4, cpf: null }
+  ] });
+  const lotes = [];
+
+  const resumo = await reencryptSupabaseColumns({
+    table: 'users', columns: ['cpf'], batchSize: 2, cryptoService: crypto, supabase, onBatch: (p) => lotes.push(p.lastId)
+  });
+
+  assert.equal(resumo.scanned, 4);
+  assert.equal(resumo.updated, 2);
+  assert.equal(resumo.unchanged, 2);
+  assert.equal(resumo.failed, 0);
+  assert.deepEqual(resumo.formats, { v1: 1, v2: 1, v3: 1 });
+  assert.deepEqual(lotes, [2, 4]);
+  assert.equal(supabase.tabelas.users[2].cpf, atual);
+  assert.deepEqual(supabase.tabelas.users.map((l) => crypto.descriptografar(l.cpf)), ['111', '222', 'já migrado', null]);
+  assert.ok(supabase.tabelas.users.slice(0, 3).every((l) => crypto.describe(l.cpf).current));
+
+  // Segunda rodada: nada a fazer
+  const denovo = await reencryptSupabaseColumns({ table: 'users', columns: ['cpf'], cryptoService: crypto, supabase });
+  assert.equal(denovo.updated, 0);
+  assert.equal(supabase.chamadas.filter((c) => c.metodo === 'update').length, 2);
+});
+
+test('dryRun não grava e linha ilegível vira erro sem parar a migração', async () => {
+  const crypto = servico();
+  const supabase = supabaseEmMemoria({ users: [
+    { id: 1, cpf: v2('2023-01', ANTIGA, 'kid removido') },
+    { id: 2, cpf: v1('222') }
+  ] });
+
+  const simulado = await reencryptSupabaseColumns({ table: 'users', columns: ['cpf'], dryRun: true, cryptoService: crypto, supabase });
+  assert.equal(simulado.updated, 1);
+  assert.equal(supabase.chamadas.filter((c) => c.metodo === 'update').length, 0);
+
+  const resumo = await reencryptSupabaseColumns({ table: 'users', columns: ['cpf'], cryptoService: crypto, supabase });
+  assert.equal(resumo.failed, 1);
+  assert.equal(resumo.updated, 1);
+  assert.deepEqual(resumo.errors.map((e) => e.id), [1]);
+  assert.match(resumo.errors[0].message, /2023-01/);
+});
+
+test('aadColumn amarra o novo texto à linha como o aad: true do schema', async () => {
+  const crypto = servico({ schema: { users: { cpf: { type: 'string', aad: true } } } });
+  const supabase = supabaseEmMemoria({ users: [{ id: 7, cpf: v1('777') }] });
+
+  await assert.rejects(
+    reencryptSupabaseColumns({ table: 'users', columns: ['cpf'], cryptoService: crypto, supabase }),
+    /cpf usa aad no schema/
+  );
+  assert.equal(supabase.chamadas.filter((c) => c.metodo === 'update').length, 0);
+
+  await reencryptSupabaseColumns({ table: 'users', columns: ['cpf'], aadColumn: 'id', cryptoService: crypto, supabase });
+
+  assert.equal(crypto.decryptRow('users', supabase.tabelas.users[0]).cpf, '777');
+  assert.equal(crypto.descriptografar(supabase.tabelas.users[0].cpf, { aad: 'users:8:cpf' }), null);
+});
@@ -0,0 +1,385 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('node:crypto');
+const { Readable, Writable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+
+const Logger = require('../src/logger');
+const CryptoService = require('../src/crypto-service');
+const { CryptoIntegrityError, CryptoFormatError, CryptoKeyError } = CryptoService;
+const { silenciarLogger, cbc } = require('./helpers');
+
+silenciarLogger();
+
+const LEGADA = 'chave-legada-com-no-minimo-32-caracteres!!';
+const CHAVE = 'chave-2025-com-no-minimo-32-caracteres!!!!';
+
+function servico(options = {}) {
+  return new CryptoService({
+    legacyKey: LEGADA,
+    keys: { '2025-01': CHAVE },
+    activeKeyId: '2025-01',
+    blindIndexKeys: {},
+    strict: false,
+    ...options
+  });
+}
+
+// Formato v1 (CBC, sem kid), como o código antigo gravava
+const v1 = (texto) => cbc(LEGADA, 'salt', texto);
+
+// Troca um caractere hex de uma das partes do texto v3
+function adulterar(texto, parte) {
+  const partes = texto.split(':');
+  const alvo = partes[parte];
+  partes[parte] = (alvo[0] === '0' ? '1' : '0') + alvo.slice(1);
+  return partes.join(':');
+}
+
+// =============================================
+// GCM (v3) e migração do CBC
+// =============================================
+
+test('v3: ida e volta com texto, acentos, número e JSON', () => {
+  const crypto = servico();
+
+  for (const texto of ['a', 'João da Silva - São Paulo', '😀'.repeat(100)]) {
+    assert.equal(crypto.descriptografar(crypto.criptografar(texto)), texto);
+  }
+  assert.equal(crypto.descriptografarNumero(crypto.criptografarNumero(1520.3)), 1520.3);
+  assert.deepEqual(crypto.descriptografarJSON(crypto.criptografarJSON({ a: [1, 'b'] })), { a: [1, 'b'] });
+
+  // IV aleatório: o mesmo texto gera saídas diferentes
+  assert.notEqual(crypto.criptografar('igual'), crypto.criptografar('igual'));
+  assert.equal(crypto.criptografar(''), null);
+  assert.equal(crypto.descriptografar(null), null);
+});
+
+test('v3: ciphertext, tag ou iv adulterados e texto truncado não são aceitos', () => {
+  const crypto = servico({ strict: true });
+  const texto = crypto.criptografar('saldo: 1000');
+
+  assert.throws(() => crypto.descriptografar(adulterar(texto, 4)), CryptoIntegrityError);
+  assert.throws(() => crypto.descriptografar(adulterar(texto, 3)), CryptoIntegrityError);
+  assert.throws(() => crypto.descriptografar(adulterar(texto, 2)), CryptoIntegrityError);
+  assert.throws(() => crypto.descriptografar(texto.slice(0, -2)), CryptoIntegrityError);
+  // Tag cortada: tamanho inválido
+  const partes = texto.split(':');
+  partes[3] = partes[3].slice(0, 16);
+  assert.throws(() => crypto.descriptografar(partes.join(':')), CryptoFormatError);
+
+  // Fora do modo estrito: null
+  assert.equal(servico().descriptografar(adulterar(texto, 4)), null);
+});
+
+test('v3: aad amarra o texto ao contexto', () => {
+  const crypto = servico({ strict: true });
+  const texto = crypto.criptografar('123.456.789-09', { aad: 'users:42:cpf' });
+
+  assert.equal(crypto.descriptografar(texto, { aad: 'users:42:cpf' }), '123.456.789-09');
+  assert.throws(() => crypto.descriptografar(texto, { aad: 'users:43:cpf' }), CryptoIntegrityError);
+  assert.throws(() => crypto.descriptografar(texto), CryptoIntegrityError);
+  assert.equal(crypto.descriptografar(texto, { aad: Buffer.from('users:42:cpf') }), '123.456.789-09');
+});
+
+test('CBC antigo continua legível e aparece como v1 nas estatísticas', () => {
+  const crypto = servico();
+  const antigo = v1('dado antigo');
+
+  assert.equal(crypto.descriptografar(antigo), 'dado antigo');
+  assert.deepEqual(crypto.describe(antigo), { version: 'v1', algorithm: 'aes-256-cbc', authenticated: false, kid: 'legacy', current: false });
+  assert.equal(crypto.needsReencryption(antigo), true);
+  assert.deepEqual(crypto.formatStats([antigo, crypto.criptografar('x'), 'lixo', null, '']), { v1: 1, v3: 1, invalid: 1 });
+});
+
+test('kid desconhecido e formato inválido geram erros tipados', () => {
+  const crypto = servico({ strict: true });
+  const deOutroServico = servico({ keys: { '2026-01': CHAVE }, activeKeyId: '2026-01' }).criptografar('x');
+
+  assert.throws(() => crypto.descriptografar(deOutroServico), (erro) => erro instanceof CryptoKeyError && erro.kid === '2026-01');
+  assert.throws(() => crypto.descriptografar('isso-não-é-cifrado'), CryptoFormatError);
+});
+
+// =============================================
+// Modo estrito e erros tipados
+// =============================================
+
+test('modo padrão: erro vai para o Logger e o método retorna null', () => {
+  const crypto = servico();
+  const antes = Logger.error.mock.callCount();
+
+  assert.equal(crypto.descriptografar('lixo'), null);
+  assert.equal(Logger.error.mock.callCount(), antes + 1);
+  const [mensagem, erro] = Logger.error.mock.calls.at(-1).arguments;
+  assert.match(mensagem, /descriptografar/);
+  assert.ok(erro instanceof CryptoFormatError);
+});
+
+test('modo estrito no construtor e sobrescrita por chamada', () => {
+  const estrito = servico({ strict: true });
+  const tolerante = servico();
+  const naoNumero = estrito.criptografar('abc');
+  const naoJson = estrito.criptografar('{quebrado');
+
+  assert.throws(() => estrito.descriptografarNumero(naoNumero), (erro) => erro instanceof CryptoFormatError && erro.code === 'FORMAT_ERROR');
+  assert.throws(() => estrito.descriptografarJSON(naoJson), /JSON inválido/);
+  assert.equal(estrito.descriptografarNumero(naoNumero, { strict: false }), null);
+
+  assert.equal(tolerante.descriptografarJSON(naoJson), null);
+  assert.throws(() => tolerante.descriptografar('lixo', { strict: true }), CryptoFormatError);
+
+  // Entrada vazia continua null, mesmo no modo estrito
+  assert.equal(estrito.descriptografar(''), null);
+  assert.equal(estrito.descriptografarNumero(null), null);
+  assert.equal(estrito.criptografar(undefined), null);
+});
+
+test('configuração de chave inválida lança CryptoKeyError já no construtor', () => {
+  assert.throws(() => servico({ legacyKey: null, keys: {} }), (erro) => erro instanceof CryptoKeyError && /ENCRYPTION_KEY/.test(erro.message));
+  assert.throws(() => servico({ legacyKey: 'curta' }), /no mínimo 32 caracteres/);
+  assert.throws(() => servico({ keys: { 'kid inválido': CHAVE } }), CryptoKeyError);
+  assert.throws(() => servico({ keys: { legacy: CHAVE } }), CryptoKeyError);
+  assert.throws(() => servico({ activeKeyId: '2030-01' }), /ENCRYPTION_ACTIVE_KEY_ID inválido/);
+});
+
+// =============================================
+// Blind index
+// =============================================
+
+const BI_2025 = 'blind-index-2025-com-no-minimo-32-caracteres';
+const BI_2026 = 'blind-index-2026-com-no-minimo-32-caracteres';
+
+test('blind index normaliza telefone, documento e email antes do HMAC', () => {
+  const crypto = servico();
+  const token = crypto.blindIndex('+55 (11) 91234-5678', 'phone');
+
+  assert.match(token, /^bi1:legacy:[0-9a-f]{64}$/);
+  assert.equal(crypto.blindIndex('11 91234-5678', 'phone'), token);
+  assert.equal(crypto.blindIndex('0055 11 91234-5678', 'phone'), token);
+  assert.equal(crypto.blindIndex('529.982.247-25', 'cpf'), crypto.blindIndex('52998224725', 'cpf'));
+  assert.equal(crypto.blindIndex(' Ana@Exemplo.COM ', 'email'), crypto.blindIndex('ana@exemplo.com', 'email'));
+  // O tipo entra no HMAC
+  assert.notEqual(crypto.blindIndex('52998224725', 'cpf'), crypto.blindIndex('52998224725', 'document'));
+  assert.equal(crypto.blindIndex('', 'phone'), null);
+  assert.throws(() => crypto.blindIndex('x', 'placa'), (erro) => erro instanceof CryptoService.CryptoError && erro.code === 'INVALID_BLIND_INDEX_TYPE');
+
+  crypto.registerBlindIndexNormalizer('placa', (v) => v.replace(/[^a-z0-9]/gi, '').toUpperCase());
+  assert.equal(crypto.blindIndex('abc-1d23', 'placa'), crypto.blindIndex('ABC1D23', 'placa'));
+});
+
+test('sem BLIND_INDEX_KEYS os tokens não mudam quando a chave de criptografia ativa muda', () => {
+  const NOVA = 'chave-2026-com-no-minimo-32-caracteres!!!!';
+  const antes = servico();
+  const depois = servico({ keys: { '2025-01': CHAVE, '2026-01': NOVA }, activeKeyId: '2026-01' });
+
+  assert.equal(depois.blindIndex('11 91234-5678', 'phone'), antes.blindIndex('11 91234-5678', 'phone'));
+  assert.equal(depois.blindIndexActiveKeyId, 'legacy');
+  assert.equal(depois.needsBlindIndexRotation(antes.blindIndex('11 91234-5678', 'phone')), false);
+});
+
+test('sem ENCRYPTION_KEY o blind index exige BLIND_INDEX_KEYS e sobrevive à nova chave de criptografia', () => {
+  assert.throws(
+    () => servico({ legacyKey: null }),
+    (erro) => erro instanceof CryptoKeyError && /BLIND_INDEX_KEYS/.test(erro.message)
+  );
+
+  const NOVA = 'chave-2026-com-no-minimo-32-caracteres!!!!';
+  const antes = servico({ legacyKey: null, blindIndexKeys: { 'bi-2025': BI_2025 } });
+  const token = antes.blindIndex('529.982.247-25', 'cpf');
+
+  // Primeiro passo da rotação: outra chave no keyring, ainda sem trocar a ativa
+  const depois = servico({ legacyKey: null, keys: { '2025-01': CHAVE, '2026-01': NOVA }, blindIndexKeys: { 'bi-2025': BI_2025 } });
+  assert.equal(depois.blindIndex('52998224725', 'cpf'), token);
+  assert.equal(depois.needsBlindIndexRotation(token), false);
+});
+
+test('rotação do blind index: tokens em todas as chaves e detecção de token antigo', () => {
+  const antes = servico({ blindIndexKeys: { 'bi-2025': BI_2025 } });
+  const depois = servico({ blindIndexKeys: { 'bi-2025': BI_2025, 'bi-2026': BI_2026 }, blindIndexActiveKeyId: 'bi-2026' });
+  const antigo = antes.blindIndex('ana@exemplo.com', 'email');
+
+  const tokens = depois.blindIndexes('ana@exemplo.com', 'email');
+  assert.equal(tokens.length, 2);
+  assert.match(tokens[0], /^bi1:bi-2026:/);
+  assert.equal(tokens[1], antigo);
+  assert.equal(depois.needsBlindIndexRotation(antigo), true);
+  assert.equal(depois.needsBlindIndexRotation(tokens[0]), false);
+  assert.equal(depois.blindIndexKeyIdOf(antigo), 'bi-2025');
+
+  assert.throws(
+    () => servico({ blindIndexKeys: { 'bi-2025': BI_2025, 'bi-2026': BI_2026 } }),
+    /BLIND_INDEX_ACTIVE_KEY_ID inválido/
+  );
+  assert.throws(() => servico({ blindIndexKeys: { 'bi-2025': 'curta' } }), CryptoKeyError);
+});
+
+// =============================================
+// Schema de colunas (encryptRow / decryptRow)
+// =============================================
+
+const SCHEMA = {
+  accounts: { balance: 'number', documento: 'string', meta: 'json' },
+  users: {
+    phone: { type: 'string', blindIndex: 'phone' },
+    cpf: { type: 'string', aad: true },
+    rg: { type: 'string', aad: (linha, coluna, tabela) => linha.user_id && `${tabela}:${linha.user_id}:${coluna}` }
+  }
+};
+
+test('encryptRow/decryptRow: ida e volta por tipo, update parcial e blind index', () => {
+  const crypto = servico({ schema: SCHEMA });
+  const linha = crypto.encryptRow('accounts', { user_id: 'u1', balance: 1520.3, meta: { banco: '341' } });
+
+  assert.equal(linha.user_id, 'u1');
+  assert.equal('documento' in linha, false);
+  assert.match(linha.balance, /^v3:/);
+  assert.deepEqual(crypto.decryptRow('accounts', linha), { user_id: 'u1', balance: 1520.3, meta: { banco: '341' } });
+
+  const usuario = crypto.encryptRow('users', { id: 42, phone: '+55 11 91234-5678' });
+  assert.equal(usuario.phone_bidx, crypto.blindIndex('11 91234-5678', 'phone'));
+  assert.deepEqual(crypto.decryptRows('users', [usuario]), [{ ...usuario, phone: '+55 11 91234-5678' }]);
+  assert.equal(crypto.encryptRow('sem_schema', { a: 1 }).a, 1);
+});
+
+test('aad: true usa o id da linha; valor copiado para outra linha não é aceito', () => {
+  const crypto = servico({ schema: SCHEMA });
+  const linha = crypto.encryptRow('users', { id: 42, cpf: '529.982.247-25' });
+
+  assert.equal(crypto.descriptografar(linha.cpf, { aad: 'users:42:cpf' }), '529.982.247-25');
+  assert.equal(crypto.decryptRow('users', linha).cpf, '529.982.247-25');
+  assert.equal(crypto.decryptRow('users', { id: 43, cpf: linha.cpf }).cpf, null);
+});
+
+test('sem id numa coluna com aad: gravação sempre lança MISSING_AAD, leitura segue o modo estrito', () => {
+  const crypto = servico({ schema: SCHEMA });
+
+  assert.throws(
+    () => crypto.encryptRow('users', { nome: 'Ana', cpf: '529.982.247-25', phone: '11912345678' }),
+    (erro) => erro instanceof CryptoService.CryptoError && erro.code === 'MISSING_AAD' && /users\.cpf/.test(erro.message)
+  );
+
+  // Select sem a coluna id
+  const gravada = crypto.encryptRow('users', { id: 42, cpf: '529.982.247-25' });
+  assert.equal(crypto.decryptRow('users', { cpf: gravada.cpf }).cpf, null);
+  assert.throws(() => crypto.decryptRow('users', { cpf: gravada.cpf }, { strict: true }), { code: 'MISSING_AAD' });
+});
+
+test('aad como função dispensa o id no insert', () => {
+  const crypto = servico({ schema: SCHEMA, strict: true });
+  const linha = crypto.encryptRow('users', { user_id: 'u1', rg: '12.345.678-9' });
+
+  assert.equal(crypto.descriptografar(linha.rg, { aad: 'users:u1:rg' }), '12.345.678-9');
+  assert.equal(crypto.decryptRow('users', linha).rg, '12.345.678-9');
+  // Função devolveu vazio: mesmo erro tipado
+  assert.throws(() => crypto.encryptRow('users', { rg: '12.345.678-9' }), { code: 'MISSING_AAD' });
+});
+
+// =============================================
+// Arquivos (ENFC)
+// =============================================
+
+// Cabeçalho com kid '2025-01': 'ENFC' + versão + tamanho do kid + kid + tamanho do bloco + salt
+const TAMANHO_CABECALHO = 4 + 1 + 1 + '2025-01'.length + 4 + 16;
+const BLOCO = 16;
+const BLOCO_CIFRADO = BLOCO + 16;
+
+async function passarPor(transform, partes) {
+  const saida = [];
+  await pipeline(
+    Readable.from(partes),
+    transform,
+    new Writable({ write(chunk, encoding, callback) { saida.push(chunk); callback(); } })
+  );
+  return Buffer.concat(saida);
+}
+
+// Quebra o buffer em pedaços de tamanhos irregulares, como chegam de um upload
+function fatiar(buffer, tamanhos = [1, 7, 33, 5]) {
+  const partes = [];
+  for (let posicao = 0, i = 0; posicao < buffer.length; i += 1) {
+    const tamanho = tamanhos[i % tamanhos.length];
+    partes.push(buffer.subarray(posicao, posicao + tamanho));
+    posicao += tamanho;
+  }
+  return partes;
+}
+
+test('ENFC: encryptBuffer/decryptBuffer com vazio, bloco exato e vários blocos', () => {
+  const crypto = servico({ strict: true });
+
+  for (const tamanho of [0, 1, BLOCO, BLOCO * 3, BLOCO * 3 + 5]) {
+    const dados = nodeCrypto.randomBytes(tamanho);
+    const cifrado = crypto.encryptBuffer(dados, { chunkSize: BLOCO, aad: 'statements:u1:f1' });
+    assert.equal(cifrado.subarray(0, 4).toString('ascii'), 'ENFC');
+    assert.equal(cifrado.length, TAMANHO_CABECALHO + Math.max(1, Math.ceil(tamanho / BLOCO)) * 16 + tamanho);
+    assert.deepEqual(crypto.decryptBuffer(cifrado, { aad: 'statements:u1:f1' }), dados);
+  }
+
+  assert.deepEqual(crypto.describeFile(crypto.encryptBuffer('x', { chunkSize: BLOCO })), { version: 1, kid: '2025-01', chunkSize: BLOCO, current: true });
+  assert.equal(crypto.describeFile(Buffer.from('%PDF-1.7')), null);
+  assert.throws(() => crypto.encryptBuffer('x', { chunkSize: 0 }), CryptoFormatError);
+});
+
+test('ENFC: stream e buffer são intercambiáveis, com qualquer fatiamento da entrada', async () => {
+  const crypto = servico({ strict: true });
+  const dados = nodeCrypto.randomBytes(BLOCO * 4 + 3);
+
+  const viaStream = await passarPor(crypto.encryptStream({ chunkSize: BLOCO, aad: 'f1' }), fatiar(dados));
+  assert.deepEqual(crypto.decryptBuffer(viaStream, { aad: 'f1' }), dados);
+
+  const viaBuffer = crypto.encryptBuffer(dados, { chunkSize: BLOCO, aad: 'f1' });
+  assert.deepEqual(await passarPor(crypto.decryptStream({ aad: 'f1' }), fatiar(viaBuffer, [3, 40, 2])), dados);
+
+  // Entrada vazia: ainda gera cabeçalho + bloco final
+  const vazio = await passarPor(crypto.encryptStream({ chunkSize: BLOCO }), []);
+  assert.deepEqual(crypto.decryptBuffer(vazio), Buffer.alloc(0));
+});
+
+test('ENFC: byte adulterado no bloco, no cabeçalho ou aad diferente é rejeitado', () => {
+  const crypto = servico({ strict: true });
+  const cifrado = crypto.encryptBuffer(nodeCrypto.randomBytes(BLOCO * 3), { chunkSize: BLOCO, aad: 'f1' });
+
+  const trocarByte = (posicao) => {
+    const copia = Buffer.from(cifrado);
+    copia[posicao] ^= 0x01;
+    return copia;
+  };
+
+  assert.throws(() => crypto.decryptBuffer(trocarByte(TAMANHO_CABECALHO + 2), { aad: 'f1' }), CryptoIntegrityError);
+  assert.throws(() => crypto.decryptBuffer(trocarByte(cifrado.length - 1), { aad: 'f1' }), CryptoIntegrityError);
+  // Salt faz parte do cabeçalho autenticado
+  assert.throws(() => crypto.decryptBuffer(trocarByte(TAMANHO_CABECALHO - 1), { aad: 'f1' }), CryptoIntegrityError);
+  assert.throws(() => crypto.decryptBuffer(cifrado, { aad: 'f2' }), CryptoIntegrityError);
+  assert.throws(() => crypto.decryptBuffer(cifrado), CryptoIntegrityError);
+});
+
+test('ENFC: blocos removidos, truncados ou reordenados são detectados', () => {
+  const crypto = servico({ strict: true });
+  const cifrado = crypto.encryptBuffer(nodeCrypto.randomBytes(BLOCO * 3), { chunkSize: BLOCO });
+  const cabecalho = cifrado.subarray(0, TAMANHO_CABECALHO);
+  const blocos = [0, 1, 2].map((i) => cifrado.subarray(TAMANHO_CABECALHO + i * BLOCO_CIFRADO, TAMANHO_CABECALHO + (i + 1) * BLOCO_CIFRADO));
+
+  // Último bloco removido, exatamente na fronteira
+  assert.throws(() => crypto.decryptBuffer(Buffer.concat([cabecalho, blocos[0], blocos[1]])), CryptoIntegrityError);
+  // Truncado no meio de um bloco
+  assert.throws(() => crypto.decryptBuffer(cifrado.subarray(0, cifrado.length - 5)), CryptoIntegrityError);
+  // Blocos trocados de lugar
+  assert.throws(() => crypto.decryptBuffer(Buffer.concat([cabecalho, blocos[1], blocos[0], blocos[2]])), CryptoIntegrityError);
+  // Só o cabeçalho, ou nem ele inteiro
+  assert.throws(() => crypto.decryptBuffer(cabecalho), CryptoIntegrityError);
+  assert.throws(() => crypto.decryptBuffer(cabecalho.subarray(0, 10)), CryptoFormatError);
+
+  // Modo padrão: null
+  assert.equal(servico().decryptBuffer(cifrado.subarray(0, cifrado.length - 5)), null);
+});
+
+test('ENFC: decryptStream emite erro em arquivo truncado ou com kid fora do keyring', async () => {
+  const crypto = servico();
+  const cifrado = crypto.encryptBuffer(nodeCrypto.randomBytes(BLOCO * 3), { chunkSize: BLOCO });
+
+  await assert.rejects(passarPor(crypto.decryptStream(), fatiar(cifrado.subarray(0, TAMANHO_CABECALHO + BLOCO_CIFRADO * 2))), CryptoIntegrityError);
+  await assert.rejects(passarPor(crypto.decryptStream(), [cifrado.subarray(0, 8)]), CryptoFormatError);
+
+  const deOutraChave = servico({ keys: { '2026-01': CHAVE }, activeKeyId: '2026-01' }).encryptBuffer('x');
+  await assert.rejects(passarPor(crypto.decryptStream(), [deOutraChave]), (erro) => erro instanceof CryptoKeyError && erro.kid === '2026-01');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DOCUMENT_TYPES,
+  stripDocument,
+  isValidCpf,
+  isValidCnpj,
+  detectDocumentType,
+  normalizeCpf,
+  normalizeCnpj,
+  formatCpf,
+  formatCnpj,
+  formatDocument,
+  normalizePhone
+} = require('../src/document-utils');
+
+test('isValidCpf confere os dois dígitos verificadores', () => {
+  assert.equal(isValidCpf('529.982.247-25'), true);
+  assert.equal(isValidCpf('52998224725'), true);
+  assert.equal(isValidCpf('529.982.247-24'), false);
+  assert.equal(isValidCpf('529.982.247-15'), false);
+  assert.equal(isValidCpf('111.111.111-11'), false);
+  assert.equal(isValidCpf('5299822472'), false);
+  assert.equal(isValidCpf(null), false);
+});
+
+test('isValidCnpj confere os dois dígitos verificadores', () => {
+  assert.equal(isValidCnpj('10.573.521/0001-91'), true);
+  assert.equal(isValidCnpj('11222333000181'), true);
+  assert.equal(isValidCnpj('11.222.333/0001-80'), false);
+  assert.equal(isValidCnpj('11.222.333/0001-71'), false);
+  assert.equal(isValidCnpj('00000000000000'), false);
+  assert.equal(isValidCnpj('1122233300018'), false);
+});
+
+test('stripDocument restaura zeros à esquerda de números', () => {
+  assert.equal(stripDocument(' 012.345.678-90 '), '01234567890');
+  assert.equal(stripDocument(1234567890), '01234567890');
+  assert.equal(stripDocument(191000000000), '00191000000000');
+  assert.equal(stripDocument(undefined), '');
+});
+
+test('detectDocumentType separa CPF, CNPJ e inválidos', () => {
+  assert.equal(detectDocumentType('529.982.247-25'), DOCUMENT_TYPES.CPF);
+  assert.equal(detectDocumentType('11.222.333/0001-81'), DOCUMENT_TYPES.CNPJ);
+  assert.equal(detectDocumentType('12345678900'), null);
+});
+
+test('normalize* devolvem só dígitos ou null e format* aplicam a máscara', () => {
+  assert.equal(normalizeCpf('529.982.247-25'), '52998224725');
+  assert.equal(normalizeCpf('529.982.247-26'), null);
+  assert.equal(normalizeCnpj('11.222.333/0001-81'), '11222333000181');
+  assert.equal(normalizeCnpj('11.222.333/0001-82'), null);
+
+  assert.equal(formatCpf('52998224725'), '529.982.247-25');
+  assert.equal(formatCnpj('11222333000181'), '11.222.333/0001-81');
+  assert.equal(formatCpf('123'), null);
+  assert.equal(formatDocument('11222333000181'), '11.222.333/0001-81');
+  assert.equal(formatDocument('52998224725'), '529.982.247-25');
+  assert.equal(formatDocument('52998224726'), null);
+});
+
+test('normalizePhone deixa só DDD + número', () => {
+  assert.equal(normalizePhone('+55 (11) 91234-5678'), '11912345678');
+  assert.equal(normalizePhone('0055 11 91234-5678'), '11912345678');
+  assert.equal(normalizePhone('011 91234-5678'), '11912345678');
+  assert.equal(normalizePhone('(11) 3456-7890'), '1134567890');
+  // DDD 55 (RS) sem código do país não perde o DDD
+  assert.equal(normalizePhone('55 91234-5678'), '55912345678');
+});
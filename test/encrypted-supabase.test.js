@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CryptoService = require('../src/crypto-service');
+const { createEncryptedSupabase } = require('../src/encrypted-supabase');
+const { silenciarLogger, supabaseEmMemoria } = require('./helpers');
+
+silenciarLogger();
+
+function novoDb() {
+  const supabase = supabaseEmMemoria();
+  const cryptoService = new CryptoService({
+    legacyKey: 'chave-legada-com-no-minimo-32-caracteres!!',
+    keys: {},
+    blindIndexKeys: {},
+    strict: false
+  });
+  const db = createEncryptedSupabase({
+    supabase,
+    cryptoService,
+    schema: {
+      users: {
+        phone: { type: 'string', blindIndex: 'phone' },
+        cpf: { type: 'string', aad: true }
+      }
+    }
+  });
+  return { db, supabase, cryptoService };
+}
+
+test('insert grava criptografado e select devolve em claro', async () => {
+  const { db, supabase } = novoDb();
+
+  const { data: inseridas } = await db.from('users').insert({ id: 1, phone: '+55 11 91234-5678', cpf: '529.982.247-25' }).select();
+  assert.deepEqual(inseridas, [{ id: 1, phone: '+55 11 91234-5678', cpf: '529.982.247-25', phone_bidx: inseridas[0].phone_bidx }]);
+
+  const [gravada] = supabase.tabelas.users;
+  assert.match(gravada.phone, /^v3:legacy:/);
+  assert.match(gravada.cpf, /^v3:legacy:/);
+  assert.match(gravada.phone_bidx, /^bi1:legacy:/);
+
+  const { data } = await db.from('users').select('*').eq('id', 1);
+  assert.equal(data[0].cpf, '529.982.247-25');
+});
+
+test('matchBlindIndex busca pelos tokens do valor normalizado', async () => {
+  const { db, supabase } = novoDb();
+  await db.from('users').insert([{ id: 1, phone: '11 91234-5678' }, { id: 2, phone: '11 99999-0000' }]);
+
+  const { data } = await db.from('users').select('id, phone').matchBlindIndex('phone', '+55 (11) 91234-5678');
+  assert.deepEqual(data.map((l) => l.id), [1]);
+  assert.equal(supabase.chamadas.at(-1).coluna, 'phone_bidx');
+  assert.throws(() => db.from('users').matchBlindIndex('cpf', 'x'), /não tem blind index/);
+});
+
+test('update sem id numa coluna com aad é rejeitado em vez de gravar null', async () => {
+  const { db, supabase } = novoDb();
+  await db.from('users').insert({ id: 1, cpf: '529.982.247-25' });
+  const [gravada] = supabase.tabelas.users;
+  const cpf = gravada.cpf;
+
+  assert.throws(() => db.from('users').update({ cpf: '111.444.777-35' }).eq('id', 1), { code: 'MISSING_AAD' });
+  assert.equal(supabase.chamadas.filter((c) => c.metodo === 'update').length, 0);
+  assert.equal(gravada.cpf, cpf);
+
+  await db.from('users').update({ id: 1, cpf: '111.444.777-35' }).eq('id', 1);
+  const { data } = await db.from('users').select('*').eq('id', 1);
+  assert.equal(data[0].cpf, '111.444.777-35');
+});
+
+test('métodos fora de from são repassados', async () => {
+  const { db, cryptoService } = novoDb();
+  assert.deepEqual(await db.rpc('minha_funcao'), { data: 'minha_funcao', error: null });
+  assert.equal(db.cryptoService, cryptoService);
+});
@@ -0,0 +1,81 @@
+const { mock } = require('node:test');
+const nodeCrypto = require('node:crypto');
+
+const Logger = require('../src/logger');
+
+// Logs no stdout atrapalham o protocolo do runner do node --test
+function silenciarLogger() {
+  ['info', 'warning', 'error', 'debug'].forEach((nivel) => mock.method(Logger, nivel, () => {}));
+}
+
+// Supabase em memória: query builder thenable como o do supabase-js (não é Promise).
+// `tabelas` guarda as linhas por tabela; `chamadas` registra escritas e filtros `in`.
+function supabaseEmMemoria(tabelas = {}) {
+  const chamadas = [];
+
+  return {
+    tabelas,
+    chamadas,
+    rpc: async (nome) => ({ data: nome, error: null }),
+    from(tabela) {
+      tabelas[tabela] = tabelas[tabela] || [];
+      const linhas = tabelas[tabela];
+      const filtros = [];
+      let ordem = null;
+      let limite = Infinity;
+      let gravadas = null;
+      let patch = null;
+      const filtradas = () => (gravadas || linhas).filter((l) => filtros.every((f) => f(l)));
+
+      const query = {
+        select: () => query,
+        order: (coluna) => { ordem = coluna; return query; },
+        limit: (n) => { limite = n; return query; },
+        eq: (coluna, valor) => { filtros.push((l) => l[coluna] === valor); return query; },
+        gt: (coluna, valor) => { filtros.push((l) => l[coluna] > valor); return query; },
+        in: (coluna, valores) => {
+          chamadas.push({ metodo: 'in', tabela, coluna, valores });
+          filtros.push((l) => valores.includes(l[coluna]));
+          return query;
+        },
+        maybeSingle: async () => ({ data: filtradas()[0] || null, error: null }),
+        insert: (valores) => {
+          chamadas.push({ metodo: 'insert', tabela, valores });
+          gravadas = [].concat(valores).map((v) => ({ ...v }));
+          linhas.push(...gravadas);
+          return query;
+        },
+        upsert: async (valores, { onConflict }) => {
+          chamadas.push({ metodo: 'upsert', tabela, valores });
+          for (const v of [].concat(valores)) {
+            const existente = linhas.find((l) => l[onConflict] === v[onConflict]);
+            if (existente) Object.assign(existente, v);
+            else linhas.push({ ...v });
+          }
+          return { error: null };
+        },
+        update: (valores) => {
+          chamadas.push({ metodo: 'update', tabela, valores });
+          patch = valores;
+          return query;
+        },
+        then: (resolve, reject) => {
+          const data = filtradas();
+          if (patch) data.forEach((l) => Object.assign(l, patch));
+          if (ordem) data.sort((a, b) => (a[ordem] > b[ordem] ? 1 : -1));
+          return Promise.resolve({ data: data.slice(0, limite).map((l) => ({ ...l })), error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+}
+
+// Formato CBC de antes do GCM (iv:ciphertext em hex), como o código antigo gerava
+function cbc(segredo, salt, texto) {
+  const iv = nodeCrypto.randomBytes(16);
+  const cipher = nodeCrypto.createCipheriv('aes-256-cbc', nodeCrypto.scryptSync(segredo, salt, 32), iv);
+  return `${iv.toString('hex')}:${cipher.update(texto, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+module.exports = { silenciarLogger, supabaseEmMemoria, cbc };
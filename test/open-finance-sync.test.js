@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OpenFinanceSync = require('../src/open-finance-sync');
+const { PluggyWebhookReceiver } = require('../src/pluggy-webhook');
+const { silenciarLogger, supabaseEmMemoria } = require('./helpers');
+
+silenciarLogger();
+
+function pluggyFalso({ contas, transacoes }) {
+  return {
+    listAllAccounts: async () => contas,
+    listAllTransactions: async (accountId) => {
+      const lista = transacoes[accountId];
+      if (lista instanceof Error) throw lista;
+      return lista || [];
+    }
+  };
+}
+
+function tx(id, date) {
+  return { id, date, description: 'Mercado', amount: -10, type: 'DEBIT' };
+}
+
+test('syncAccount faz upsert por external_id e salva cursor só com a última data', async () => {
+  const supabase = supabaseEmMemoria();
+  const sync = new OpenFinanceSync({
+    supabase,
+    pluggy: pluggyFalso({ contas: [], transacoes: { 'acc-1': [tx('t1', '2024-01-30'), tx('t2', '2024-01-31T22:00:00-03:00')] } })
+  });
+
+  const primeira = await sync.syncAccount('acc-1', { itemId: 'item-1', from: '2024-01-01', to: '2024-01-31' });
+  assert.equal(primeira.inserted, 2);
+  assert.deepEqual(primeira.cursor, {
+    external_item_id: 'item-1',
+    external_account_id: 'acc-1',
+    account_id: null,
+    last_synced_date: '2024-01-31',
+    last_created_at: null,
+    synced_at: primeira.cursor.synced_at
+  });
+
+  const segunda = await sync.syncAccount('acc-1');
+  assert.equal(segunda.inserted, 0);
+  assert.equal(segunda.updated, 2);
+  assert.equal(segunda.from, '2024-01-28');
+  assert.equal(supabase.tabelas.open_finance_transactions.length, 2);
+});
+
+test('transação criada depois do último sync com data fora da janela entra pelo createdAtFrom', async () => {
+  const supabase = supabaseEmMemoria();
+  const transacoes = [{ ...tx('t1', '2024-03-01'), createdAt: '2024-03-01T12:00:00.000Z' }];
+  const consultas = [];
+  const sync = new OpenFinanceSync({
+    supabase,
+    pluggy: {
+      // Aplica os filtros como a Pluggy: janela de data ou createdAtFrom
+      listAllTransactions: async (accountId, params) => {
+        consultas.push(params);
+        return transacoes.filter((t) => (params.createdAtFrom
+          ? t.createdAt >= params.createdAtFrom
+          : t.date >= params.from && t.date <= params.to));
+      }
+    }
+  });
+
+  const primeira = await sync.syncAccount('acc-1', { from: '2024-02-01', to: '2024-03-01' });
+  assert.equal(primeira.cursor.last_created_at, '2024-03-01T12:00:00.000Z');
+
+  // Lançamento retroativo: data de janeiro, criado depois do sync
+  transacoes.push({ ...tx('t-retro', '2024-01-10'), createdAt: '2024-03-05T09:00:00.000Z' });
+  const segunda = await sync.syncAccount('acc-1', { to: '2024-03-06' });
+
+  assert.deepEqual(consultas.at(-1), { createdAtFrom: '2024-03-01T12:00:00.000Z' });
+  assert.equal(segunda.inserted, 1);
+  assert.equal(segunda.updated, 1);
+  assert.ok(supabase.tabelas.open_finance_transactions.some((t) => t.external_id === 't-retro'));
+  assert.equal(segunda.cursor.last_created_at, '2024-03-05T09:00:00.000Z');
+  assert.equal(segunda.cursor.last_synced_date, '2024-03-01');
+});
+
+test('syncItem continua nas demais contas e junta as falhas em errors', async () => {
+  const sync = new OpenFinanceSync({
+    supabase: supabaseEmMemoria(),
+    pluggy: pluggyFalso({
+      contas: [{ id: 'acc-1', balance: 10 }, { id: 'acc-2', balance: 20 }],
+      transacoes: { 'acc-1': new Error('Pluggy fora'), 'acc-2': [tx('t1', '2024-01-31')] }
+    })
+  });
+
+  const resumo = await sync.syncItem('item-1');
+  assert.equal(resumo.totals.inserted, 1);
+  assert.deepEqual(resumo.errors, [{ pluggyAccountId: 'acc-1', message: 'Pluggy fora' }]);
+  assert.equal(resumo.balances.length, 2);
+});
+
+test('webhook com falha em alguma conta rejeita e não marca o evento como processado', async () => {
+  let falhar = true;
+  const transacoes = { 'acc-1': [tx('t1', '2024-01-31')] };
+  const sync = new OpenFinanceSync({
+    supabase: supabaseEmMemoria(),
+    pluggy: {
+      listAllAccounts: async () => [{ id: 'acc-1' }],
+      listAllTransactions: async (accountId) => {
+        if (falhar) throw new Error('timeout');
+        return transacoes[accountId];
+      }
+    }
+  });
+  const receiver = new PluggyWebhookReceiver();
+  const resumos = [];
+  sync.attachWebhooks(receiver, { onSummary: async (resumo) => resumos.push(resumo) });
+
+  const payload = { event: 'item/updated', eventId: 'evt-1', itemId: 'item-1' };
+  await assert.rejects(receiver.handle(payload), (erro) => {
+    assert.match(erro.message, /acc-1/);
+    assert.equal(erro.resumo.errors.length, 1);
+    return true;
+  });
+  assert.equal(resumos.length, 1);
+
+  falhar = false;
+  assert.equal((await receiver.handle(payload)).status, 'processed');
+  assert.equal(resumos[1].totals.inserted, 1);
+});
+
+test('webhook transactions/deleted marca deleted_at', async () => {
+  const supabase = supabaseEmMemoria();
+  const sync = new OpenFinanceSync({
+    supabase,
+    pluggy: pluggyFalso({ contas: [], transacoes: { 'acc-1': [tx('t1', '2024-01-31'), tx('t2', '2024-01-31')] } })
+  });
+  await sync.syncAccount('acc-1', { from: '2024-01-01' });
+
+  const receiver = sync.attachWebhooks(new PluggyWebhookReceiver());
+  await receiver.handle({ event: 'transactions/deleted', eventId: 'evt-9', accountId: 'acc-1', transactionIds: ['t2'] });
+
+  const porId = (id) => supabase.tabelas.open_finance_transactions.find((t) => t.external_id === id);
+  assert.equal(porId('t1').deleted_at, null);
+  assert.ok(porId('t2').deleted_at);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_MASK_POLICY,
+  maskText,
+  maskCpf,
+  maskCnpj,
+  maskDocument,
+  maskPhone,
+  maskEmail,
+  maskBankAgency,
+  maskBankAccount,
+  maskCardNumber,
+  maskPixKey,
+  bucketMoney,
+  maskObject
+} = require('../src/pii-masking');
+
+test('documentos: CPF, CNPJ e detecção pelo dígito verificador', () => {
+  assert.equal(maskCpf('529.982.247-25'), '***.982.247-**');
+  assert.equal(maskCnpj('10.573.521/0001-91'), '10.***.***/0001-**');
+  assert.equal(maskDocument('52998224725'), '***.982.247-**');
+  assert.equal(maskDocument('11222333000181'), '11.***.***/0001-**');
+  assert.equal(maskDocument('12345678900'), '12*******00');
+  assert.equal(maskCpf(null), null);
+  assert.equal(maskCpf(''), '');
+});
+
+test('telefone, e-mail, agência, conta e cartão', () => {
+  assert.equal(maskPhone('+55 (11) 91234-5678'), '(11) *****-5678');
+  assert.equal(maskPhone('11 3456-7890'), '(11) ****-7890');
+  assert.equal(maskEmail('joao.silva@gmail.com'), 'j***@gmail.com');
+  assert.equal(maskEmail('sem-arroba'), 'se******ba');
+  assert.equal(maskBankAgency('1234-5'), '**34-5');
+  assert.equal(maskBankAccount('0012345-6'), '*****45-6');
+  assert.equal(maskBankAccount('12'), '****');
+  assert.equal(maskCardNumber('4111 1111 1111 1111'), '**** **** **** 1111');
+  assert.equal(maskCardNumber('1234'), '****');
+  assert.equal(maskText('abc'), '****');
+});
+
+test('chave PIX: detecta o tipo e só mascara como CNPJ quando o dígito confere', () => {
+  assert.equal(maskPixKey('529.982.247-25'), '***.982.247-**');
+  assert.equal(maskPixKey('11.222.333/0001-81'), '11.***.***/0001-**');
+  assert.equal(maskPixKey('joao.silva@gmail.com'), 'j***@gmail.com');
+  assert.equal(maskPixKey('+5511912345678'), '(11) *****-5678');
+  assert.equal(maskPixKey('11912345678'), '(11) *****-5678');
+  assert.equal(maskPixKey('123e4567-e89b-12d3-a456-426614174000'), '123e****4000');
+
+  // 14 dígitos sem DV de CNPJ: máscara genérica, sem fingir que é um CNPJ
+  assert.equal(maskPixKey('12345678901234'), '12**********34');
+});
+
+test('bucketMoney devolve a faixa, não o valor', () => {
+  assert.equal(bucketMoney(3200), 'R$ 1 a 5 mil');
+  assert.equal(bucketMoney('1.234,56'), 'R$ 1 a 5 mil');
+  assert.equal(bucketMoney('R$ 99.90'), 'até R$ 100');
+  assert.equal(bucketMoney('1.234'), 'R$ 1 a 5 mil');
+  assert.equal(bucketMoney('R$ 1.234.567'), 'acima de R$ 1 milhão');
+  assert.equal(bucketMoney('R$ 1.234.567,89'), 'acima de R$ 1 milhão');
+  assert.equal(bucketMoney('-1.500'), 'R$ 1 a 5 mil (negativo)');
+  assert.equal(bucketMoney(-750), 'R$ 500 a 1 mil (negativo)');
+  assert.equal(bucketMoney(1000), 'R$ 1 a 5 mil');
+  assert.equal(bucketMoney(0), 'R$ 0');
+  assert.equal(bucketMoney(5e6), 'acima de R$ 1 milhão');
+  assert.equal(bucketMoney('abc'), 'R$ ****');
+  assert.equal(bucketMoney(null), 'R$ ****');
+});
+
+test('maskObject aplica a política padrão em payloads aninhados sem alterar o original', () => {
+  const payload = {
+    user: { cpf: '529.982.247-25', Telefone: '11912345678', senha: 'segredo' },
+    contas: [{ conta: { numero: '0012345-6', agencia: '1234-5' }, balance: 3200 }],
+    chave_pix: 'joao@gmail.com',
+    criadoEm: new Date('2024-01-01T00:00:00Z'),
+    descricao: 'livre'
+  };
+  const original = structuredClone(payload);
+
+  const mascarado = maskObject(payload);
+  assert.deepEqual(mascarado, {
+    user: { cpf: '***.982.247-**', Telefone: '(11) *****-5678', senha: '****' },
+    contas: [{ conta: { numero: '*****45-6', agencia: '**34-5' }, balance: 'R$ 1 a 5 mil' }],
+    chave_pix: 'j***@gmail.com',
+    criadoEm: payload.criadoEm,
+    descricao: 'livre'
+  });
+  assert.deepEqual(payload, original);
+});
+
+test('maskObject: política própria com remove, função, arrays e referências circulares', () => {
+  const payload = { emails: ['a@b.com', 'c@d.com'], observacao: 'x', valor: 12, token: { a: 1 } };
+  payload.self = payload;
+
+  const mascarado = maskObject(payload, {
+    ...DEFAULT_MASK_POLICY,
+    observacao: 'remove',
+    valor: (v) => `#${v}`
+  });
+
+  assert.deepEqual(mascarado, { emails: ['a***@b.com', 'c***@d.com'], valor: '#12', token: '****', self: '[Circular]' });
+  assert.throws(() => maskObject({}, { campo: 'inexistente' }), /Máscara desconhecida/);
+});
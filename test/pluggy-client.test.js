@@ -0,0 +1,423 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const PluggyClient = require('../src/pluggy-client');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+const fetchOriginal = globalThis.fetch;
+let chamadas;
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// Troca o fetch global: /auth/token sempre autentica, o resto vai para `rotas`
+function mockFetch(rotas) {
+  globalThis.fetch = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/auth/token') {
+      return json({ accessToken: 'token-teste', expiresIn: 3600 });
+    }
+    chamadas.push({
+      method: init.method,
+      pathname,
+      query: Object.fromEntries(searchParams),
+      body: init.body ? JSON.parse(init.body) : undefined
+    });
+    return rotas({ method: init.method, pathname, query: searchParams, init });
+  };
+}
+
+function novoCliente(options = {}) {
+  return new PluggyClient({
+    clientId: 'id',
+    clientSecret: 'secret',
+    baseUrl: 'http://pluggy.test',
+    retryBaseDelayMs: 0,
+    ...options
+  });
+}
+
+beforeEach(() => {
+  chamadas = [];
+});
+
+afterEach(() => {
+  globalThis.fetch = fetchOriginal;
+});
+
+test('iterateTransactions percorre todas as páginas até totalPages', async () => {
+  mockFetch(({ query }) => {
+    const page = Number(query.get('page'));
+    return json({ page, totalPages: 3, results: [{ id: `tx-${page}` }] });
+  });
+
+  const ids = [];
+  for await (const tx of novoCliente().iterateTransactions('acc-1', { from: '2024-01-01' })) {
+    ids.push(tx.id);
+  }
+
+  assert.deepEqual(ids, ['tx-1', 'tx-2', 'tx-3']);
+  assert.deepEqual(chamadas.map((c) => c.query.page), ['1', '2', '3']);
+  assert.ok(chamadas.every((c) => c.query.accountId === 'acc-1' && c.query.from === '2024-01-01'));
+  assert.ok(chamadas.every((c) => c.query.pageSize === String(PluggyClient.PAGE_SIZE_MAX)));
+});
+
+test('_paginate respeita maxPages e limita pageSize ao máximo da Pluggy', async () => {
+  mockFetch(({ query }) => json({ totalPages: 10, results: [{ page: query.get('page') }] }));
+
+  const registros = await novoCliente().listAllTransactions('acc-1', {}, { pageSize: 5000, maxPages: 2 });
+
+  assert.equal(registros.length, 2);
+  assert.equal(chamadas.length, 2);
+  assert.equal(chamadas[0].query.pageSize, String(PluggyClient.PAGE_SIZE_MAX));
+});
+
+test('_paginate para em página vazia e aceita endpoints que devolvem array simples', async () => {
+  mockFetch(({ pathname }) => (pathname === '/accounts'
+    ? json([{ id: 'a' }, { id: 'b' }])
+    : json({ totalPages: 5, results: [] })));
+
+  const cliente = novoCliente();
+  assert.deepEqual((await cliente.listAllAccounts('item-1')).map((a) => a.id), ['a', 'b']);
+  assert.deepEqual(await cliente.listAllTransactions('acc-1'), []);
+  assert.equal(chamadas.filter((c) => c.pathname === '/transactions').length, 1);
+});
+
+test('transações saem cruas por padrão e normalizadas com { normalize }', async () => {
+  const crua = { id: 'tx-1', accountId: 'acc-1', date: '2024-01-31T23:30:00-03:00', amount: -10.5, type: 'DEBIT', description: 'Uber *Trip' };
+  mockFetch(() => json({ totalPages: 1, results: [crua, { sem: 'id' }] }));
+  const cliente = novoCliente();
+
+  assert.deepEqual((await cliente.listAllTransactions('acc-1')).map((tx) => tx.id), ['tx-1', undefined]);
+
+  const [normalizada, ...resto] = await cliente.listAllTransactions('acc-1', {}, { normalize: { accountId: 'conta-enfinia' } });
+  assert.equal(resto.length, 0);
+  assert.equal(normalizada.external_id, 'tx-1');
+  assert.equal(normalizada.account_id, 'conta-enfinia');
+  assert.equal(normalizada.date, '2024-01-31');
+  assert.equal(normalizada.amount, 10.5);
+  assert.equal(normalizada.nature, 'saida');
+
+  const iteradas = [];
+  for await (const tx of cliente.iterateTransactions('acc-1', {}, { normalize: true })) iteradas.push(tx);
+  assert.deepEqual(iteradas.map((tx) => [tx.external_id, tx.account_id]), [['tx-1', null]]);
+});
+
+test('GET é repetido após 5xx até obter resposta', async () => {
+  let tentativas = 0;
+  mockFetch(() => {
+    tentativas += 1;
+    return tentativas < 3 ? json({ message: 'indisponível' }, 503) : json({ id: 'item-1' });
+  });
+
+  assert.deepEqual(await novoCliente().getItem('item-1'), { id: 'item-1' });
+  assert.equal(tentativas, 3);
+});
+
+test('POST, PATCH e DELETE não são repetidos após 5xx ou falha de rede', async () => {
+  mockFetch(({ method }) => {
+    if (method === 'DELETE') throw new TypeError('fetch failed');
+    return json({ message: 'erro' }, 500);
+  });
+  const cliente = novoCliente();
+
+  await assert.rejects(cliente._request('PATCH', '/items/item-1', { body: {} }), { name: 'PluggyApiError', status: 500 });
+  await assert.rejects(cliente.createConnectToken(), { name: 'PluggyApiError', status: 500 });
+  await assert.rejects(cliente._request('DELETE', '/items/item-1'), { name: 'PluggyApiError', status: 0 });
+  assert.deepEqual(chamadas.map((c) => c.method), ['PATCH', 'POST', 'DELETE']);
+});
+
+test('POST é repetido com idempotent: true ou quando a Pluggy responde 429', async () => {
+  let respostas = [json({}, 502), json({ ok: 1 })];
+  mockFetch(() => respostas.shift());
+  const cliente = novoCliente({ retryMaxDelayMs: 5 });
+
+  assert.deepEqual(await cliente._request('POST', '/x', { body: { a: 1 }, idempotent: true }), { ok: 1 });
+
+  respostas = [json({}, 429, { 'Retry-After': '0' }), json({ ok: 2 })];
+  assert.deepEqual(await cliente._request('POST', '/x', { body: { a: 1 } }), { ok: 2 });
+  assert.equal(chamadas.length, 4);
+});
+
+test('401 renova a credencial uma única vez e repete a chamada', async () => {
+  let autenticacoes = 0;
+  let respostas = [json({}, 401), json({ id: 'item-1' })];
+  globalThis.fetch = async (url) => {
+    if (new URL(url).pathname === '/auth/token') {
+      autenticacoes += 1;
+      return json({ accessToken: `token-${autenticacoes}`, expiresIn: 3600 });
+    }
+    return respostas.shift();
+  };
+
+  assert.deepEqual(await novoCliente().getItem('item-1'), { id: 'item-1' });
+  assert.equal(autenticacoes, 2);
+
+  respostas = [json({}, 401), json({}, 401)];
+  await assert.rejects(novoCliente().getItem('item-1'), { status: 401 });
+});
+
+test('timeout cobre a leitura do corpo, não só os headers', async () => {
+  const servidor = http.createServer((req, res) => {
+    if (req.url === '/auth/token') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ accessToken: 't', expiresIn: 3600 }));
+      return;
+    }
+    // Envia headers e metade do corpo, depois trava
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"results": [');
+  });
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+
+  try {
+    globalThis.fetch = fetchOriginal;
+    const cliente = novoCliente({ baseUrl: `http://127.0.0.1:${servidor.address().port}`, timeoutMs: 100, maxRetries: 0 });
+    await assert.rejects(cliente.getItem('item-1'), (erro) => {
+      assert.equal(erro.name, 'PluggyApiError');
+      assert.equal(erro.status, 0);
+      assert.match(erro.message, /timeout após 100ms/);
+      return true;
+    });
+  } finally {
+    servidor.closeAllConnections();
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+});
+
+test('updateItem, deleteItem e submitMfa chamam os endpoints do item', async () => {
+  mockFetch(({ method }) => (method === 'DELETE' ? new Response(null, { status: 204 }) : json({ id: 'item-1' })));
+  const cliente = novoCliente();
+
+  await cliente.updateItem('item-1', { webhookUrl: 'https://hook' });
+  assert.equal(await cliente.deleteItem('item-1'), null);
+  await cliente.submitMfa('item-1', { token: '123456' });
+
+  assert.deepEqual(chamadas.map((c) => [c.method, c.pathname, c.body]), [
+    ['PATCH', '/items/item-1', { webhookUrl: 'https://hook' }],
+    ['DELETE', '/items/item-1', undefined],
+    ['POST', '/items/item-1/mfa', { token: '123456' }]
+  ]);
+  await assert.rejects(cliente.submitMfa('item-1', {}), /parameters é obrigatório/);
+  await assert.rejects(cliente.updateItem(), /itemId é obrigatório/);
+});
+
+test('waitForItemStatus consulta até um status final e avisa cada mudança', async () => {
+  const estados = [
+    { status: 'UPDATING', executionStatus: 'LOGIN_IN_PROGRESS' },
+    { status: 'UPDATING', executionStatus: 'LOGIN_IN_PROGRESS' },
+    { status: 'UPDATING', executionStatus: 'TRANSACTIONS_IN_PROGRESS' },
+    { status: 'UPDATED', executionStatus: 'SUCCESS' }
+  ];
+  mockFetch(() => json({ id: 'item-1', ...estados.shift() }));
+
+  const mudancas = [];
+  const item = await novoCliente().waitForItemStatus('item-1', {
+    intervalMs: 1,
+    onStatusChange: (atual, anterior) => mudancas.push([anterior, atual.status, atual.executionStatus])
+  });
+
+  assert.equal(item.status, 'UPDATED');
+  assert.deepEqual(mudancas, [
+    [null, 'UPDATING', 'LOGIN_IN_PROGRESS'],
+    ['UPDATING', 'UPDATING', 'TRANSACTIONS_IN_PROGRESS'],
+    ['UPDATING', 'UPDATED', 'SUCCESS']
+  ]);
+});
+
+test('waitForItemStatus expira com o último item em error.item; describeItemStatus traz o detalhe do erro', async () => {
+  mockFetch(() => json({ id: 'item-1', status: 'UPDATING' }));
+
+  await assert.rejects(
+    novoCliente().waitForItemStatus('item-1', { timeoutMs: 20, intervalMs: 5 }),
+    (erro) => /Timeout aguardando item item-1/.test(erro.message) && erro.item.status === 'UPDATING'
+  );
+
+  const cliente = novoCliente();
+  assert.match(cliente.describeItemStatus({ status: 'LOGIN_ERROR', error: { message: 'Senha inválida' } }), /Detalhe: Senha inválida/);
+  assert.match(cliente.describeItemStatus({ status: 'UPDATED' }), /sucesso/);
+  assert.equal(cliente.describeItemStatus({ status: 'NOVO' }), 'Status da conexão: NOVO');
+  assert.equal(cliente.describeItemStatus(null), 'Não encontramos essa conexão bancária.');
+});
+
+test('getFinancialSnapshot não usa o valor contratado como saldo devedor', async () => {
+  mockFetch(({ pathname }) => {
+    if (pathname === '/investments') {
+      return json({ totalPages: 1, results: [
+        { id: 'i1', type: 'FIXED_INCOME', balance: 1000, status: 'ACTIVE' },
+        { id: 'i2', type: 'EQUITY', balance: 500, status: 'ACTIVE' },
+        { id: 'i3', type: 'EQUITY', balance: 999, status: 'TOTAL_WITHDRAWAL' }
+      ] });
+    }
+    return json({ totalPages: 1, results: [
+      { id: 'l1', contractAmount: 10000, outstandingBalance: 2500 },
+      { id: 'l2', contractAmount: 50000 },
+      { id: 'l3', contractAmount: 8000, outstandingBalance: 0 }
+    ] });
+  });
+
+  const { investimentos, dividaAtiva } = await novoCliente().getFinancialSnapshot('item-1');
+
+  assert.equal(investimentos.total, 1500);
+  assert.deepEqual(investimentos.porTipo, { FIXED_INCOME: 1000, EQUITY: 500 });
+  assert.equal(dividaAtiva.total, 2500);
+  assert.equal(dividaAtiva.semSaldoDevedor, 1);
+  assert.equal(dividaAtiva.itens.length, 3);
+});
+
+test('getIdentity devolve null quando a instituição não fornece identidade', async () => {
+  mockFetch(() => json({ message: 'not found' }, 404));
+  assert.equal(await novoCliente().getIdentity('item-1'), null);
+});
+
+test('iterateCreditCardBills e iterateLoans paginam pelos filtros da conta/item', async () => {
+  mockFetch(({ pathname }) => json({ totalPages: 1, results: [{ id: `${pathname}-1` }] }));
+  const cliente = novoCliente();
+
+  assert.deepEqual(await cliente.listAllCreditCardBills('acc-cc'), [{ id: '/bills-1' }]);
+  assert.deepEqual(await cliente.listAllLoans('item-1'), [{ id: '/loans-1' }]);
+  assert.equal(chamadas[0].query.accountId, 'acc-cc');
+  assert.equal(chamadas[1].query.itemId, 'item-1');
+});
+
+test('authMode apiKey autentica em /auth e envia X-API-KEY', async () => {
+  const requisicoes = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    requisicoes.push({ pathname, headers: init.headers || {} });
+    if (pathname === '/auth') return json({ apiKey: 'chave-api' });
+    return json({ id: 'item-1' });
+  };
+
+  const cliente = novoCliente({ authMode: 'apiKey' });
+  await cliente.getItem('item-1');
+  await cliente.getItem('item-1');
+
+  assert.deepEqual(requisicoes.map((r) => r.pathname), ['/auth', '/items/item-1', '/items/item-1']);
+  assert.equal(requisicoes[1].headers['X-API-KEY'], 'chave-api');
+  assert.equal(requisicoes[1].headers.Authorization, undefined);
+});
+
+test('authMode token envia Bearer e reaproveita o token até perto de expirar', async () => {
+  const requisicoes = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    requisicoes.push({ pathname, headers: init.headers || {} });
+    if (pathname === '/auth/token') return json({ accessToken: 'tok', expiresIn: 30 });
+    return json({ id: 'item-1' });
+  };
+
+  const cliente = novoCliente();
+  await cliente.getItem('item-1');
+  await cliente.getItem('item-1');
+
+  // expiresIn de 30s fica dentro da margem de 60s: autentica de novo a cada chamada
+  assert.deepEqual(requisicoes.map((r) => r.pathname), ['/auth/token', '/items/item-1', '/auth/token', '/items/item-1']);
+  assert.equal(requisicoes[1].headers.Authorization, 'Bearer tok');
+});
+
+test('authMode inválido e falha de autenticação viram erros claros', async () => {
+  assert.throws(() => novoCliente({ authMode: 'oauth' }), /authMode inválido/);
+
+  globalThis.fetch = async () => json({ message: 'invalid credentials' }, 403);
+  await assert.rejects(novoCliente().getItem('item-1'), (erro) => {
+    assert.equal(erro.name, 'PluggyApiError');
+    assert.equal(erro.status, 403);
+    assert.deepEqual(erro.body, { message: 'invalid credentials' });
+    return true;
+  });
+
+  globalThis.fetch = async () => json({});
+  await assert.rejects(novoCliente({ authMode: 'apiKey' }).getItem('item-1'), /não contém apiKey/);
+});
+
+const CONECTORES = [
+  { id: 201, name: 'Itaú Unibanco', country: 'BR', type: 'PERSONAL_BANK', isOpenFinance: false },
+  { id: 601, name: 'Itaú Unibanco', country: 'BR', type: 'PERSONAL_BANK', isOpenFinance: true },
+  { id: 212, name: 'Nubank', country: 'BR', type: 'PERSONAL_BANK', isOpenFinance: true },
+  { id: 215, name: 'Banco Inter', country: 'BR', type: 'PERSONAL_BANK', isOpenFinance: true },
+  { id: 2, name: 'Pluggy Bank', country: 'BR', type: 'PERSONAL_BANK', isSandbox: true }
+];
+
+test('resolveConnector entende apelidos e nomes com acento', async () => {
+  mockFetch(() => json({ results: CONECTORES }));
+  const cliente = novoCliente();
+
+  for (const resposta of ['itaú', 'ITAU', 'Itaú Unibanco S.A.']) {
+    const match = await cliente.resolveConnector(resposta);
+    assert.equal(match.connector.id, 601, resposta);
+  }
+  assert.equal((await cliente.resolveConnector('roxinho')).connector.id, 212);
+  assert.equal((await cliente.resolveConnector('banco inter')).connector.id, 215);
+  assert.equal(await cliente.resolveConnector('banco que não existe'), null);
+
+  // Catálogo fica em cache entre as buscas
+  assert.equal(chamadas.length, 1);
+});
+
+test('searchConnectors filtra por nome e esconde sandbox por padrão', async () => {
+  mockFetch(({ query }) => json({ results: query.get('sandbox') ? CONECTORES : CONECTORES.filter((c) => !c.isSandbox) }));
+  const cliente = novoCliente();
+
+  assert.deepEqual((await cliente.searchConnectors({ name: 'itau', openFinance: true })).map((c) => c.id), [601]);
+  assert.deepEqual((await cliente.searchConnectors({ name: 'pluggy' })).map((c) => c.id), []);
+  assert.deepEqual((await cliente.searchConnectors({ name: 'pluggy', sandbox: true })).map((c) => c.id), [2]);
+});
+
+test('createConnectToken envia update mode, produtos e redirect OAuth em options', async () => {
+  mockFetch(() => json({ accessToken: 'connect-token' }));
+
+  await novoCliente().createConnectToken({
+    clientUserId: 'user-1',
+    webhookUrl: 'https://hook',
+    itemId: 'item-1',
+    products: ['ACCOUNTS', 'TRANSACTIONS'],
+    oauthRedirectUrl: 'https://app/retorno'
+  });
+
+  assert.deepEqual(chamadas[0].body, {
+    clientUserId: 'user-1',
+    webhookUrl: 'https://hook',
+    itemId: 'item-1',
+    options: {
+      clientUserId: 'user-1',
+      webhookUrl: 'https://hook',
+      oauthRedirectUri: 'https://app/retorno',
+      products: ['ACCOUNTS', 'TRANSACTIONS']
+    }
+  });
+});
+
+test('createReconnectLink monta a URL do Connect para o item', async () => {
+  mockFetch(() => json({ accessToken: 'connect-token' }));
+
+  const { url, connectToken } = await novoCliente().createReconnectLink('item-1', { products: ['TRANSACTIONS'] });
+  const link = new URL(url);
+
+  assert.equal(connectToken, 'connect-token');
+  assert.equal(link.searchParams.get('connectToken'), 'connect-token');
+  assert.equal(link.searchParams.get('itemId'), 'item-1');
+  assert.equal(link.searchParams.get('products'), 'TRANSACTIONS');
+  assert.equal(chamadas[0].body.itemId, 'item-1');
+});
+
+test('getConsentStatus classifica o consentimento pela data de expiração', () => {
+  const cliente = novoCliente();
+  const agora = Date.parse('2024-06-01T12:00:00Z');
+  const status = (expira) => cliente.getConsentStatus({ id: 'i', consentExpiresAt: expira }, { now: agora });
+
+  assert.equal(status('2024-05-31T12:00:00Z').status, 'expired');
+  assert.equal(status('2024-06-01T18:00:00Z').status, 'expiring');
+  assert.match(status('2024-06-01T18:00:00Z').mensagem, /expira hoje/);
+  assert.equal(status('2024-06-08T12:00:00Z').daysLeft, 7);
+  assert.equal(status('2024-06-08T12:00:00Z').status, 'expiring');
+  assert.equal(status('2024-06-20T12:00:00Z').status, 'ok');
+  assert.equal(cliente.getConsentStatus({ id: 'i' }).status, 'unknown');
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const PluggyClient = require('../src/pluggy-client');
+const PluggyStubServer = require('../src/pluggy-stub-server');
+const { PluggyFixtureRecorder, scrubPluggyPayload, fixtureKey } = require('../src/pluggy-fixtures');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+function arquivoTemporario() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pluggy-fixtures-'));
+  return { file: path.join(dir, 'gravado.json'), limpar: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('scrubPluggyPayload remove segredos e pseudonimiza de forma determinística', () => {
+  const limpo = scrubPluggyPayload({
+    accessToken: 'segredo',
+    results: [{
+      id: 'tx-1',
+      amount: -50,
+      paymentData: {
+        payer: { name: 'MARIA SOUZA', documentNumber: { type: 'CPF', value: '52998224725' } },
+        receiver: 'JOAO DA SILVA'
+      }
+    }]
+  });
+
+  const tx = limpo.results[0];
+  assert.equal(limpo.accessToken, 'scrubbed-secret');
+  assert.equal(tx.amount, -50);
+  assert.match(tx.paymentData.payer.name, /^Pessoa [0-9a-f]{6}$/);
+  assert.match(tx.paymentData.receiver, /^Pessoa [0-9a-f]{6}$/);
+  assert.notEqual(tx.paymentData.payer.documentNumber.value, '52998224725');
+  assert.equal(tx.paymentData.payer.documentNumber.type, 'CPF');
+
+  const a = scrubPluggyPayload({ owner: 'Fulano de Tal', email: 'fulano@banco.com' });
+  const b = scrubPluggyPayload({ owner: 'Fulano de Tal', email: 'fulano@banco.com' });
+  assert.deepEqual(a, b);
+  assert.match(a.email, /^user-[0-9a-f]{8}@example\.com$/);
+});
+
+test('descrições não levam o nome do pagador/recebedor para a fixture', () => {
+  const [pix, ted, conta] = scrubPluggyPayload([
+    {
+      description: 'PIX ENVIADO JOAO DA SILVA',
+      descriptionRaw: 'Pix enviado Joao da Silva 529.982.247-25',
+      paymentData: { receiver: { name: 'JOAO DA SILVA' } }
+    },
+    { description: 'TED RECEBIDA Carlos Pereira' },
+    { description: 'CEMIG DISTRIBUICAO' }
+  ]);
+
+  const pseudonimo = pix.paymentData.receiver.name;
+  assert.equal(pix.description, `PIX ENVIADO ${pseudonimo}`);
+  assert.doesNotMatch(pix.descriptionRaw, /joao|silva|529\.982/i);
+  assert.ok(pix.descriptionRaw.includes(pseudonimo));
+  assert.doesNotMatch(ted.description, /carlos|pereira/i);
+  assert.equal(conta.description, 'CEMIG DISTRIBUICAO');
+});
+
+test('fixtureKey ordena a query e ignora valores vazios', () => {
+  assert.equal(fixtureKey('get', '/loans'), 'GET /loans');
+  assert.equal(
+    fixtureKey('GET', '/loans', { page: 2, itemId: 'i', from: undefined, to: null }),
+    'GET /loans?itemId=i&page=2'
+  );
+  assert.equal(fixtureKey('GET', '/loans', new URLSearchParams('page=2&itemId=i')), 'GET /loans?itemId=i&page=2');
+});
+
+test('gravação guarda cada página em uma chave e o stub devolve a página certa', async () => {
+  const { file, limpar } = arquivoTemporario();
+  const recorder = new PluggyFixtureRecorder(file);
+
+  recorder.capture('GET', '/loans', { page: 1, totalPages: 2, results: [{ id: 'l1' }] }, { itemId: 'i', page: 1, pageSize: 500 });
+  recorder.capture('GET', '/loans', { page: 2, totalPages: 2, results: [{ id: 'l2' }] }, { itemId: 'i', page: 2, pageSize: 500 });
+  recorder.capture('GET', '/identity', { fullName: 'Maria' }, { itemId: 'i' });
+  recorder.capture('POST', '/connect_token', { accessToken: 'x' });
+
+  const gravado = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(Object.keys(gravado.responses).sort(), [
+    'GET /identity?itemId=i',
+    'GET /loans?itemId=i&page=1&pageSize=500',
+    'GET /loans?itemId=i&page=2&pageSize=500'
+  ]);
+
+  const stub = new PluggyStubServer({ fixturesFile: file });
+  try {
+    const cliente = new PluggyClient({ clientId: 'id', clientSecret: 'secret', baseUrl: await stub.start() });
+    assert.deepEqual((await cliente.listAllLoans('i')).map((l) => l.id), ['l1', 'l2']);
+
+    // Outra query sem fixture: 404, em vez de repetir a página 1
+    await assert.rejects(cliente.listAllLoans('outro'), { status: 404 });
+  } finally {
+    await stub.stop();
+    limpar();
+  }
+});
+
+test('PluggyClient com recordFixturesTo grava a query da chamada', async () => {
+  const { file, limpar } = arquivoTemporario();
+  const stub = new PluggyStubServer({
+    fixtures: { responses: { 'GET /investments': { totalPages: 1, results: [{ id: 'inv-1', owner: 'Fulano' }] } } }
+  });
+
+  try {
+    const cliente = new PluggyClient({ clientId: 'id', clientSecret: 'secret', baseUrl: await stub.start(), recordFixturesTo: file });
+    await cliente.listAllInvestments('item-1');
+
+    const { responses } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const chave = `GET /investments?itemId=item-1&page=1&pageSize=${PluggyClient.PAGE_SIZE_MAX}`;
+    assert.deepEqual(Object.keys(responses), [chave]);
+    assert.match(responses[chave].results[0].owner, /^Pessoa /);
+  } finally {
+    await stub.stop();
+    limpar();
+  }
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AppVars = require('../src/variables');
+const { normalizePluggyTransaction, normalizePluggyTransactions, CATEGORIA_PARA_INDEX } = require('../src/pluggy-transaction-normalizer');
+
+function tx(campos = {}) {
+  return { id: 'tx-1', accountId: 'acc-1', description: 'Compra', amount: -10, type: 'DEBIT', date: '2024-01-31', ...campos };
+}
+
+test('date mantém o dia da string ISO, usa o dia em São Paulo para Date e vira null se inválida', () => {
+  assert.equal(normalizePluggyTransaction(tx({ date: '2024-01-31T23:30:00-03:00' })).date, '2024-01-31');
+  assert.equal(normalizePluggyTransaction(tx({ date: '2024-01-31T00:00:00.000Z' })).date, '2024-01-31');
+  assert.equal(normalizePluggyTransaction(tx({ date: '2024-02-01T01:30:00+02:00' })).date, '2024-02-01');
+  assert.equal(normalizePluggyTransaction(tx({ date: '2024-12-31' })).date, '2024-12-31');
+
+  // 02:30Z do dia 1º ainda é 23:30 do dia 31 em São Paulo (UTC-3)
+  assert.equal(normalizePluggyTransaction(tx({ date: new Date('2024-02-01T02:30:00Z') })).date, '2024-01-31');
+  assert.equal(normalizePluggyTransaction(tx({ date: new Date('2024-02-01T03:00:00Z') })).date, '2024-02-01');
+
+  assert.equal(normalizePluggyTransaction(tx({ date: '2024-02-30' })).date, null);
+  assert.equal(normalizePluggyTransaction(tx({ date: 'ontem' })).date, null);
+  assert.equal(normalizePluggyTransaction(tx({ date: null })).date, null);
+  assert.equal(normalizePluggyTransaction(tx({ date: new Date('x') })).date, null);
+});
+
+test('purchase_date do cartão segue a mesma regra de data', () => {
+  const normalizada = normalizePluggyTransaction(tx({
+    creditCardMetadata: { purchaseDate: '2024-03-31T22:00:00-03:00', installmentNumber: 2, totalInstallments: 3, totalAmount: -300 }
+  }));
+  assert.equal(normalizada.purchase_date, '2024-03-31');
+  assert.equal(normalizada.installment_number, 2);
+  assert.equal(normalizada.installment_total, 3);
+  assert.equal(normalizada.installment_total_amount, 300);
+});
+
+test('category_index vem da tabela de variables.js', () => {
+  assert.equal(CATEGORIA_PARA_INDEX, AppVars.categorizacao.categoriaParaIndex);
+
+  const normalizada = normalizePluggyTransaction(tx({ description: 'Compra', category: 'Pharmacy' }));
+  assert.equal(normalizada.category_name, 'Saúde');
+  assert.equal(normalizada.category_source, 'pluggy');
+  assert.equal(normalizada.category_index, AppVars.categorizacao.categoriaParaIndex['Saúde']);
+});
+
+test('natureza e valor absoluto a partir do type da Pluggy', () => {
+  const [debito, credito] = normalizePluggyTransactions([
+    tx({ amount: -25.5, type: 'DEBIT' }),
+    tx({ id: 'tx-2', amount: 100, type: 'CREDIT', description: 'Recebido' }),
+    { sem: 'id' }
+  ], { accountId: 'enf-1' });
+
+  assert.equal(debito.nature, 'saida');
+  assert.equal(debito.amount, 25.5);
+  assert.equal(debito.account_id, 'enf-1');
+  assert.equal(credito.nature, 'entrada');
+  assert.equal(credito.external_id, 'tx-2');
+});
+
+test('nome de pessoa física no PIX não entra na categorização', () => {
+  const pix = (documentNumber) => normalizePluggyTransaction(tx({
+    description: 'Pix enviado',
+    paymentData: { receiver: { name: 'Joao Uber Silva', documentNumber: { value: documentNumber } } }
+  }));
+
+  assert.equal(pix('529.982.247-25').category_name, null);
+  assert.equal(pix('11.222.333/0001-81').category_name, 'Transporte');
+});
+
+test('CNPJ de marketplace desliga as regras de loja local', () => {
+  const compra = (documentNumber) => normalizePluggyTransaction(tx({
+    description: 'Mercearia Bom Preco',
+    paymentData: { receiver: { name: 'Mercearia Bom Preco', documentNumber: { value: documentNumber } } }
+  }));
+
+  assert.equal(compra('11222333000181').category_source, 'regra_fatura');
+  assert.notEqual(compra('10573521000191').category_source, 'regra_fatura');
+});
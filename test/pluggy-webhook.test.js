@@ -0,0 +1,124 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PluggyWebhookReceiver, PluggyWebhookError, parsePluggyWebhook } = require('../src/pluggy-webhook');
+const { silenciarLogger } = require('./helpers');
+
+silenciarLogger();
+
+function adiado() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test('parsePluggyWebhook usa eventId e, sem ele, não colapsa eventos distintos do mesmo item', () => {
+  const evento = parsePluggyWebhook({ event: 'item/updated', eventId: 'evt-1', id: 'item-1', itemId: 'item-1' });
+  assert.equal(evento.id, 'evt-1');
+  assert.equal(evento.itemId, 'item-1');
+  assert.equal(evento.known, true);
+
+  const atualizado = parsePluggyWebhook({ event: 'item/updated', id: 'item-1', itemId: 'item-1' });
+  const erro = parsePluggyWebhook({ event: 'item/error', id: 'item-1', itemId: 'item-1', error: { code: 'X' } });
+  const reentrega = parsePluggyWebhook(JSON.stringify({ event: 'item/updated', id: 'item-1', itemId: 'item-1' }));
+
+  assert.notEqual(atualizado.id, 'item-1');
+  assert.notEqual(atualizado.id, erro.id);
+  assert.equal(atualizado.id, reentrega.id);
+});
+
+test('parsePluggyWebhook rejeita payloads inválidos', () => {
+  assert.throws(() => parsePluggyWebhook('{'), PluggyWebhookError);
+  assert.throws(() => parsePluggyWebhook([]), PluggyWebhookError);
+  assert.throws(() => parsePluggyWebhook({ itemId: 'x' }), PluggyWebhookError);
+  assert.throws(() => parsePluggyWebhook({ event: 'item/updated' }), PluggyWebhookError);
+  assert.throws(() => parsePluggyWebhook({ event: 'transactions/created' }), PluggyWebhookError);
+});
+
+test('reentrega de evento já processado vira duplicate sem chamar o handler', async () => {
+  const receiver = new PluggyWebhookReceiver();
+  const handler = mock.fn();
+  receiver.on('item/updated', handler);
+
+  const payload = { event: 'item/updated', eventId: 'evt-1', itemId: 'item-1' };
+  assert.equal((await receiver.handle(payload)).status, 'processed');
+  assert.equal((await receiver.handle(payload)).status, 'duplicate');
+  assert.equal(handler.mock.callCount(), 1);
+  assert.equal((await receiver.handle({ event: 'item/deleted', eventId: 'evt-2', itemId: 'item-1' })).status, 'ignored');
+});
+
+test('evento cujo handler falhou não é marcado como processado', async () => {
+  const receiver = new PluggyWebhookReceiver();
+  let falhar = true;
+  receiver.on('item/updated', () => {
+    if (falhar) throw new Error('banco fora');
+  });
+
+  const payload = { event: 'item/updated', eventId: 'evt-1', itemId: 'item-1' };
+  await assert.rejects(receiver.handle(payload), /banco fora/);
+  falhar = false;
+  assert.equal((await receiver.handle(payload)).status, 'processed');
+});
+
+test('entrega concorrente espera a primeira e vira duplicate quando ela termina bem', async () => {
+  const receiver = new PluggyWebhookReceiver();
+  const primeira = adiado();
+  const handler = mock.fn(() => primeira.promise);
+  receiver.on('item/updated', handler);
+
+  const payload = { event: 'item/updated', eventId: 'evt-1', itemId: 'item-1' };
+  const a = receiver.handle(payload);
+  const b = receiver.handle(payload);
+
+  let bTerminou = false;
+  b.then(() => { bTerminou = true; });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(bTerminou, false);
+
+  primeira.resolve();
+  assert.equal((await a).status, 'processed');
+  assert.equal((await b).status, 'duplicate');
+  assert.equal(handler.mock.callCount(), 1);
+});
+
+test('entrega concorrente falha quando a primeira falha, para a Pluggy reentregar', async () => {
+  const receiver = new PluggyWebhookReceiver();
+  const primeira = adiado();
+  receiver.on('item/updated', () => primeira.promise);
+
+  const payload = { event: 'item/updated', eventId: 'evt-1', itemId: 'item-1' };
+  const a = receiver.handle(payload);
+  const b = receiver.handle(payload);
+
+  primeira.reject(new Error('timeout no banco'));
+  await assert.rejects(a, /timeout no banco/);
+  await assert.rejects(b, (erro) => erro.cause?.message === 'timeout no banco');
+  assert.equal(await receiver.store.has('evt-1'), false);
+});
+
+test('middleware responde 400 para payload inválido e 500 quando o handler falha', async () => {
+  const receiver = new PluggyWebhookReceiver();
+  receiver.on('item/error', () => {
+    throw new Error('falhou');
+  });
+  const middleware = receiver.middleware();
+
+  const chamar = async (body) => {
+    const res = {
+      status(code) { this.code = code; return this; },
+      json(corpo) { this.corpo = corpo; return this; }
+    };
+    await middleware({ body }, res);
+    return res;
+  };
+
+  assert.equal((await chamar({})).code, 400);
+  assert.equal((await chamar({ event: 'item/error', eventId: 'e', itemId: 'i' })).code, 500);
+  const ok = await chamar({ event: 'item/created', eventId: 'e2', itemId: 'i' });
+  assert.equal(ok.code, 200);
+  assert.deepEqual(ok.corpo, { ok: true, status: 'ignored' });
+});